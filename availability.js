@@ -0,0 +1,105 @@
+import { addDays, consecutiveDayToDate, isISODate } from "./calendar.js";
+
+// Cast availability calendars
+// Keyed by character name (matched case-insensitively against scene.characters):
+// {
+//   "Haikal": {
+//     "unavailable": ["2026-11-03", "2026-11-04"],               // dates the actor is booked elsewhere
+//     "windows": [{ "from": "2026-11-01", "to": "2026-11-20" }],  // if given, the actor can only work inside these
+//     "maxConsecutiveDays": 5                                     // longest run of back to back shooting days
+//   }
+// }
+// Dates are ISO "YYYY-MM-DD" strings so they compare as plain strings, shooting days are turned into
+// dates by the shooting calendar (see calendar.js)
+
+function normalizeName(name) {
+    return String(name).trim().toUpperCase();
+}
+
+export function createAvailability(castCalendars = {}, dayToDate = null) {
+    if (typeof castCalendars !== "object" || Array.isArray(castCalendars) || castCalendars === null) {
+        throw new Error("availability must be an object keyed by character name");
+    }
+
+    const characters = {};
+    for (const [name, entry] of Object.entries(castCalendars)) {
+        const unavailable = entry.unavailable || [];
+        const windows = entry.windows || [];
+        const maxConsecutiveDays = entry.maxConsecutiveDays ?? null;
+
+        for (const date of unavailable) {
+            if (!isISODate(date)) throw new Error(`${name}: unavailable date "${date}" must be YYYY-MM-DD`);
+        }
+        for (const window of windows) {
+            if (!isISODate(window.from) || !isISODate(window.to) || window.from > window.to) {
+                throw new Error(`${name}: availability windows need YYYY-MM-DD "from" and "to" with from <= to`);
+            }
+        }
+        if (maxConsecutiveDays !== null && !(Number.isInteger(maxConsecutiveDays) && maxConsecutiveDays > 0)) {
+            throw new Error(`${name}: maxConsecutiveDays must be a positive whole number`);
+        }
+        if ((unavailable.length || windows.length) && !dayToDate) {
+            throw new Error("startDate is required when availability lists dates");
+        }
+
+        characters[normalizeName(name)] = { name, unavailable: new Set(unavailable), windows, maxConsecutiveDays };
+    }
+
+    function get(character) {
+        return characters[normalizeName(character)];
+    }
+
+    // Why a character can't work on a date, or null if they can
+    function unavailableReason(character, date) {
+        const entry = get(character);
+        if (!entry || !date) return null;
+
+        if (entry.unavailable.has(date)) {
+            return `${entry.name} is unavailable on ${date}`;
+        }
+        if (entry.windows.length && !entry.windows.some(w => w.from <= date && date <= w.to)) {
+            return `${entry.name} is outside their availability windows on ${date}`;
+        }
+        return null;
+    }
+
+    // Last date a character could still work, null when open ended
+    function lastAvailableDate(character) {
+        const entry = get(character);
+        if (!entry || !entry.windows.length) return null;
+        return entry.windows.reduce((last, w) => w.to > last ? w.to : last, entry.windows[0].to);
+    }
+
+    return {
+        isEmpty: Object.keys(characters).length === 0,
+        dayToDate: (day) => dayToDate ? dayToDate(day) : null,
+
+        unavailableReason,
+        lastAvailableDate,
+
+        maxConsecutiveDays(character) {
+            return get(character)?.maxConsecutiveDays ?? null;
+        },
+
+        // Length of the back to back run a character is on if they work `day` as well as `workedDays`
+        // Without a start date shooting days stand in for calendar days
+        consecutiveRun(workedDays, day) {
+            const dateOf = dayToDate || consecutiveDayToDate("2000-01-01");
+            const dates = new Set(workedDays.map(dateOf));
+            const date = dateOf(day);
+
+            let run = 1;
+            for (let d = addDays(date, -1); dates.has(d); d = addDays(d, -1)) run++;
+            for (let d = addDays(date, 1); dates.has(d); d = addDays(d, 1)) run++;
+            return run;
+        },
+
+        // Characters of a scene that can't work the given shooting day
+        unavailableCharacters(scene, day) {
+            const date = dayToDate ? dayToDate(day) : null;
+            return (scene.characters || [])
+                .map(character => ({ character, reason: unavailableReason(character, date) }))
+                .filter(c => c.reason);
+        }
+    };
+}
@@ -0,0 +1,163 @@
+import { ELEMENT_DEPARTMENTS, bookedDays } from "./elements.js";
+
+// Budget estimate for a schedule, in money rather than cost model points
+// Rate cards are given as JSON, amounts per shooting day in one currency:
+// {
+//   "currency": "MYR",
+//   "cast": { "Haikal": { "day": 1500, "hold": 750 }, "*": 300 },   // a plain number is a day rate with no hold rate
+//   "locations": { "RESORT": 2000, "*": 500 },                        // fee for every day shot there
+//   "elements": {
+//     "vehicles": { "Jeep Wrangler": { "day": 400, "hold": 150 } },
+//     "stunts": { "*": 2500 }, "sfx": {}, "vfx": {}, "extras": { "*": 80 }
+//   }
+// }
+// "*" prices everything in its department that has no rate of its own. Cast and elements are paid for the days
+// they work and held at the hold rate on the days in between, like the Day Out of Days (see dood.js)
+// Anything without a rate is listed as unpriced instead of being guessed at
+
+export const BUDGET_DEPARTMENTS = ["cast", "locations", ...ELEMENT_DEPARTMENTS];
+
+const ANY_ITEM = "*";
+
+function normalizeName(name) {
+    return String(name ?? "").trim().toUpperCase();
+}
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+// Day and hold rates by normalised item name for one department of the rate card
+function parseRateCard(card, label) {
+    if (card === undefined || card === null) return new Map();
+    if (typeof card !== "object" || Array.isArray(card)) {
+        throw new Error(`budget: ${label} must be an object of name to rate`);
+    }
+
+    const rates = new Map();
+    for (const [name, rate] of Object.entries(card)) {
+        const { day, hold = 0 } = typeof rate === "number" ? { day: rate } : (rate || {});
+        if (!isNonNegativeNumber(day) || !isNonNegativeNumber(hold)) {
+            throw new Error(`budget: ${label}.${name} must be a day rate from 0 or { "day": ..., "hold": ... }`);
+        }
+        rates.set(name === ANY_ITEM ? ANY_ITEM : normalizeName(name), { day, hold });
+    }
+    return rates;
+}
+
+// null when there are no rate cards
+export function createBudget(settings) {
+    if (settings === null || settings === undefined) return null;
+    if (typeof settings !== "object" || Array.isArray(settings)) {
+        throw new Error("rates must be an object of rate cards for cast, locations and elements");
+    }
+
+    const { currency = null, cast, locations, elements = {}, ...unknown } = settings;
+    if (Object.keys(unknown).length > 0) throw new Error(`Unknown rates setting "${Object.keys(unknown)[0]}"`);
+    if (currency !== null && typeof currency !== "string") throw new Error("rates: currency must be a string like \"MYR\"");
+    if (typeof elements !== "object" || elements === null || Array.isArray(elements)) {
+        throw new Error("rates: elements must be an object of department to rate card");
+    }
+    for (const department of Object.keys(elements)) {
+        if (!ELEMENT_DEPARTMENTS.includes(department)) {
+            throw new Error(`rates: unknown element department "${department}". Available: ${ELEMENT_DEPARTMENTS.join(", ")}`);
+        }
+    }
+
+    const rateCards = {
+        cast: parseRateCard(cast, "cast"),
+        locations: parseRateCard(locations, "locations"),
+    };
+    ELEMENT_DEPARTMENTS.forEach(department => {
+        rateCards[department] = parseRateCard(elements[department], `elements.${department}`);
+    });
+
+    const rateFor = (department, item) => rateCards[department].get(normalizeName(item)) ?? rateCards[department].get(ANY_ITEM) ?? null;
+
+    // The budget of a { day, scenes, date? } schedule by day, by department and by element
+    function estimate(schedule) {
+        const days = schedule.map(day => ({ day: day.day, date: day.date ?? null, total: 0, departments: {}, lines: [] }));
+        const departments = Object.fromEntries(BUDGET_DEPARTMENTS.map(department => [department, 0]));
+        const elements = [];
+        const unpriced = [];
+
+        const charge = (i, department, item, kind, amount) => {
+            if (amount === 0) return;
+            const day = days[i];
+            day.lines.push({ department, item, kind, amount });
+            day.departments[department] = roundMoney((day.departments[department] || 0) + amount);
+            day.total = roundMoney(day.total + amount);
+            departments[department] = roundMoney(departments[department] + amount);
+        };
+
+        for (const department of BUDGET_DEPARTMENTS) {
+            for (const { name, days: worked } of bookedDays(schedule.map(day => day.scenes), department)) {
+                const rate = rateFor(department, name);
+                if (!rate) {
+                    unpriced.push({ department, item: name, days: worked.map(i => schedule[i].day) });
+                    continue;
+                }
+
+                // Locations are paid for the days they're shot, nothing is held
+                const held = [];
+                if (department !== "locations") {
+                    for (let i = worked[0] + 1; i < worked[worked.length - 1]; i++) {
+                        if (!worked.includes(i)) held.push(i);
+                    }
+                }
+
+                worked.forEach(i => charge(i, department, name, department === "locations" ? "fee" : "work", rate.day));
+                held.forEach(i => charge(i, department, name, "hold", rate.hold));
+                elements.push({
+                    department,
+                    item: name,
+                    workDays: worked.length,
+                    holdDays: held.length,
+                    dayRate: rate.day,
+                    holdRate: department === "locations" ? null : rate.hold,
+                    total: roundMoney(worked.length * rate.day + held.length * rate.hold),
+                });
+            }
+        }
+
+        return {
+            currency,
+            total: roundMoney(days.reduce((total, day) => total + day.total, 0)),
+            shootingDays: schedule.length,
+            departments,
+            days,
+            elements: elements.sort((a, b) => b.total - a.total),
+            unpriced,
+        };
+    }
+
+    return {
+        settings: { ...settings },
+        estimate,
+    };
+}
+
+// Two estimates of the same breakdown side by side, savings being what the optimized one costs less
+export function compareBudgets(greedy, optimized) {
+    const departments = {};
+    BUDGET_DEPARTMENTS.forEach(department => {
+        departments[department] = {
+            greedy: greedy.departments[department],
+            optimized: optimized.departments[department],
+            savings: roundMoney(greedy.departments[department] - optimized.departments[department]),
+        };
+    });
+
+    return {
+        currency: optimized.currency,
+        greedy: greedy.total,
+        optimized: optimized.total,
+        savings: roundMoney(greedy.total - optimized.total),
+        shootingDays: { greedy: greedy.shootingDays, optimized: optimized.shootingDays },
+        departments,
+    };
+}
@@ -0,0 +1,126 @@
+// Shooting calendar - maps shooting day numbers (1, 2, 3...) to real dates
+// Days off come from the weekly pattern, public holidays and any other dark days. Day numbers only count
+// shooting days, so inserting a holiday mid-shoot moves the dates after it but never renumbers the days
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const WEEKDAYS = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+// 5 = Monday to Friday, 6 = Monday to Saturday, 7 = every day
+const WEEKLY_PATTERNS = {
+    5: ["MON", "TUE", "WED", "THU", "FRI"],
+    6: ["MON", "TUE", "WED", "THU", "FRI", "SAT"],
+    7: WEEKDAYS
+};
+
+// Safety net so a calendar with every day switched off can't loop forever
+const MAX_CALENDAR_SPAN_DAYS = 3660;
+
+export function isISODate(value) {
+    return typeof value === "string" && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+export function addDays(isoDate, days) {
+    const date = new Date(isoDate + "T00:00:00Z");
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+export function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / 86400000);
+}
+
+export function weekdayOf(isoDate) {
+    return WEEKDAYS[new Date(isoDate + "T00:00:00Z").getUTCDay()];
+}
+
+// Shooting day N falls on startDate + (N - 1), every calendar day is a shooting day
+export function consecutiveDayToDate(startDate) {
+    return (day) => addDays(startDate, day - 1);
+}
+
+// weeklyPattern: 5, 6, 7 or a list of weekdays like ["MON", "TUE", "THU"]
+// holidays: ["2026-12-25"] or [{ "date": "2026-12-25", "name": "Christmas" }]
+// darkDays: same shape as holidays, for anything else the unit isn't shooting
+export function createShootingCalendar({ startDate, weeklyPattern = 7, holidays = [], darkDays = [] }) {
+    if (!isISODate(startDate)) throw new Error("startDate must be YYYY-MM-DD");
+
+    const workDays = Array.isArray(weeklyPattern)
+        ? weeklyPattern.map(day => String(day).slice(0, 3).toUpperCase())
+        : WEEKLY_PATTERNS[weeklyPattern];
+    if (!workDays || workDays.length === 0 || workDays.some(day => !WEEKDAYS.includes(day))) {
+        throw new Error("weeklyPattern must be 5, 6, 7 or a list of weekdays");
+    }
+
+    const daysOff = new Map();
+    const addDaysOff = (entries, reason, label) => {
+        if (!Array.isArray(entries)) throw new Error(`${label} must be a list of dates`);
+        for (const entry of entries) {
+            const date = typeof entry === "string" ? entry : entry?.date;
+            if (!isISODate(date)) throw new Error(`${label}: "${date}" must be YYYY-MM-DD`);
+            daysOff.set(date, typeof entry === "object" && entry.name ? `${reason}: ${entry.name}` : reason);
+        }
+    };
+    addDaysOff(holidays, "Holiday", "holidays");
+    addDaysOff(darkDays, "Dark day", "darkDays");
+
+    // Why a date isn't a shooting day, or null if it is
+    function dayOffReason(date) {
+        if (daysOff.has(date)) return daysOff.get(date);
+        if (!workDays.includes(weekdayOf(date))) return "Weekend";
+        return null;
+    }
+
+    // Shooting dates found so far, extended on demand
+    const shootingDates = [];
+    function dayToDate(day) {
+        let date = shootingDates.length ? addDays(shootingDates[shootingDates.length - 1], 1) : startDate;
+        while (shootingDates.length < day) {
+            if (daysBetween(startDate, date) > MAX_CALENDAR_SPAN_DAYS) {
+                throw new Error("Shooting calendar has no working days left");
+            }
+            if (!dayOffReason(date)) shootingDates.push(date);
+            date = addDays(date, 1);
+        }
+        return shootingDates[day - 1];
+    }
+
+    return {
+        startDate,
+        workDays,
+        dayToDate,
+        dayOffReason,
+
+        // Dates for every day of a schedule, plus the wrap date and the days off in between
+        summarize(dayCount) {
+            if (dayCount === 0) {
+                return { startDate, firstShootingDate: null, wrapDate: null, shootingDays: 0, calendarDays: 0, daysOff: [] };
+            }
+
+            const firstShootingDate = dayToDate(1);
+            const wrapDate = dayToDate(dayCount);
+            const offDates = [];
+            for (let date = firstShootingDate; date < wrapDate; date = addDays(date, 1)) {
+                const reason = dayOffReason(date);
+                if (reason) offDates.push({ date, weekday: weekdayOf(date), reason });
+            }
+
+            return {
+                startDate,
+                firstShootingDate,
+                wrapDate,
+                shootingDays: dayCount,
+                calendarDays: daysBetween(firstShootingDate, wrapDate) + 1,
+                daysOff: offDates
+            };
+        }
+    };
+}
+
+// Put the real date on every day of a { day, scenes, totalTime } schedule, replacing any date it already had
+export function applyCalendar(schedule, calendar) {
+    return schedule.map(day => {
+        const date = calendar.dayToDate(day.day);
+        return { ...day, date, weekday: weekdayOf(date) };
+    });
+}
@@ -0,0 +1,192 @@
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { assignCastNumbers, castIdsForScene, castKey, formatPages } from './castList.js';
+import { fitText, pdfSafe, stripCategory } from './stripboard.js';
+
+// Breakdown elements carried onto the call sheet
+const CALL_SHEET_ELEMENTS = ["props", "vehicles", "sfx", "vfx", "stunts", "extras"];
+
+// Portrait letter
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+
+// Call sheet for one shooting day of a { day, date?, scenes, totalTime, companyMoves?, daylight?, callTimes?, labour? }
+// schedule
+// Cast numbers are taken across the whole schedule so they match the stripboard
+export function buildCallSheet(schedule, dayNumber, { title = "" } = {}) {
+    const day = schedule.find(d => d.day === dayNumber);
+    if (!day) return null;
+
+    const castList = assignCastNumbers(schedule.flatMap(d => d.scenes));
+
+    const scenes = day.scenes.map((scene, i) => ({
+        order: i + 1,
+        scene_number: scene.scene_number,
+        scene_heading: scene.scene_heading,
+        strip: stripCategory(scene),
+        set: [scene.location_name, scene.sub_location_name].filter(Boolean).join(" - "),
+        scene_summary: scene.scene_summary || "",
+        pages: formatPages(scene.page_estimate),
+        estimatedTime: scene.estimatedTime,
+        cast: castIdsForScene(scene, castList)
+    }));
+
+    const castCalls = day.callTimes?.cast || [];
+    const requirements = day.labour?.requirements || [];
+    const cast = castList
+        .map(member => ({
+            castId: member.castId,
+            name: member.name,
+            call: castCalls.find(call => castKey(call.name) === castKey(member.name))?.call ?? null,
+            labour: requirements.filter(requirement => castKey(requirement.character) === castKey(member.name)),
+            scenes: day.scenes.filter(scene => (scene.characters || []).some(character => castKey(character) === castKey(member.name))).map(scene => scene.scene_number)
+        }))
+        .filter(member => member.scenes.length > 0);
+
+    // Every element listed once with the scenes that need it
+    const elements = {};
+    for (const type of CALL_SHEET_ELEMENTS) {
+        const byItem = new Map();
+        day.scenes.forEach(scene => {
+            (scene[type] || []).forEach(item => {
+                if (!byItem.has(item)) byItem.set(item, []);
+                byItem.get(item).push(scene.scene_number);
+            });
+        });
+        elements[type] = [...byItem].map(([item, sceneNumbers]) => ({ item, scenes: sceneNumbers }));
+    }
+
+    const totalPages = day.scenes.reduce((total, scene) => total + (Number(scene.page_estimate) || 0), 0);
+
+    return {
+        title,
+        day: day.day,
+        totalDays: schedule.length,
+        date: day.date || null,
+        weekday: day.weekday || null,
+        totalTime: day.totalTime,
+        totalPages: formatPages(totalPages),
+        locations: [...new Set(day.scenes.map(scene => scene.location_name))],
+        companyMoves: day.companyMoves || [],
+        moveHours: day.moveHours || 0,
+        daylight: day.daylight || null,
+        crewCall: day.callTimes?.callTime ?? null,
+        estimatedWrap: day.callTimes?.wrapTime ?? null,
+        labourBreaches: day.labour?.breaches || [],
+        scenes,
+        cast,
+        elements
+    };
+}
+
+// Split text into lines no wider than maxWidth
+function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    let line = "";
+
+    for (const word of pdfSafe(text).split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+
+    return lines;
+}
+
+// Renders a call sheet from buildCallSheet() as a PDF. Returns the PDF bytes
+export async function renderCallSheet(callSheet) {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const boldFont = await pdf.embedFont(StandardFonts.HelveticaBold);
+    const contentWidth = PAGE_WIDTH - 2 * MARGIN;
+
+    let page;
+    let y;
+
+    const newPage = () => {
+        page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+        y = PAGE_HEIGHT - MARGIN;
+    };
+
+    const ensureSpace = (height) => {
+        if (!page || y - height < MARGIN) newPage();
+    };
+
+    const line = (text, { x = MARGIN, size = FONT_SIZE, bold = false, width = contentWidth } = {}) => {
+        ensureSpace(LINE_HEIGHT);
+        const lineFont = bold ? boldFont : font;
+        page.drawText(fitText(text, lineFont, size, width), { x, y: y - size, size, font: lineFont });
+        y -= Math.max(LINE_HEIGHT, size + 4);
+    };
+
+    const heading = (text) => {
+        y -= 6;
+        ensureSpace(LINE_HEIGHT * 2);
+        page.drawRectangle({ x: MARGIN, y: y - 14, width: contentWidth, height: 16, color: rgb(0.12, 0.12, 0.12) });
+        page.drawText(pdfSafe(text), { x: MARGIN + 4, y: y - 10, size: FONT_SIZE + 1, font: boldFont, color: rgb(1, 1, 1) });
+        y -= 20;
+    };
+
+    // Header
+    line(callSheet.title || "Call Sheet", { size: 16, bold: true });
+    line(`CALL SHEET - DAY ${callSheet.day} OF ${callSheet.totalDays}`, { size: 12, bold: true });
+    if (callSheet.date) line(`${callSheet.weekday || ""} ${callSheet.date}`.trim(), { size: 11 });
+    line(`${callSheet.scenes.length} scenes - ${callSheet.totalPages} pages - ${callSheet.totalTime} hrs`
+        + (callSheet.companyMoves.length ? ` + ${callSheet.moveHours} hrs of company moves` : ""));
+    line(`Locations: ${callSheet.locations.join(", ")}`);
+    if (callSheet.crewCall) line(`Crew call ${callSheet.crewCall} - Estimated wrap ${callSheet.estimatedWrap}`, { bold: true });
+    if (callSheet.daylight) {
+        const { sunrise, sunset, goldenHour, daylightHours, timeZone } = callSheet.daylight;
+        line(sunrise
+            ? `Sunrise ${sunrise} - Sunset ${sunset} (${daylightHours} hrs daylight, ${timeZone})`
+                + (goldenHour ? ` - Golden hour ${goldenHour.morning.from}-${goldenHour.morning.to}, ${goldenHour.evening.from}-${goldenHour.evening.to}` : "")
+            : `${daylightHours} hrs daylight - no sunrise or sunset`);
+    }
+
+    // Scenes in shooting order, company moves between the strips they separate
+    heading("SCENES");
+    for (const scene of callSheet.scenes) {
+        const move = callSheet.companyMoves.find(m => m.beforeScene === scene.scene_number);
+        if (move) {
+            line(`COMPANY MOVE: ${move.from} to ${move.to} - ${move.hours} hrs (${move.travelHours} travel, ${move.packUpHours} pack-up)`, { bold: true });
+            y -= 4;
+        }
+        line(`${scene.order}. Sc ${scene.scene_number} - ${scene.scene_heading}`, { bold: true });
+        line(`${scene.strip} | ${scene.set} | Cast: ${scene.cast.join(", ") || "-"} | ${scene.pages} pgs | ${scene.estimatedTime} hrs`, { x: MARGIN + 12, width: contentWidth - 12 });
+        for (const summaryLine of wrapText(scene.scene_summary, font, FONT_SIZE, contentWidth - 12)) {
+            line(summaryLine, { x: MARGIN + 12, width: contentWidth - 12 });
+        }
+        y -= 4;
+    }
+
+    heading("CAST");
+    for (const member of callSheet.cast) {
+        const labour = member.labour.map(requirement => (requirement.type === "tutor"
+            ? `Tutor ${requirement.hours} hrs`
+            : `${requirement.count} x ${requirement.minutes} min break`));
+        line(`${member.castId}. ${member.name} - Sc ${member.scenes.join(", ")}${member.call ? ` - Call ${member.call}` : ""}`
+            + (labour.length ? ` - ${labour.join(", ")}` : ""));
+    }
+    for (const breach of callSheet.labourBreaches) {
+        line(`LABOUR: ${breach.message}`, { bold: true });
+    }
+
+    for (const type of CALL_SHEET_ELEMENTS) {
+        const items = callSheet.elements[type];
+        if (!items.length) continue;
+
+        heading(type.toUpperCase());
+        for (const { item, scenes } of items) {
+            line(`${item} - Sc ${scenes.join(", ")}`);
+        }
+    }
+
+    return pdf.save();
+}
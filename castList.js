@@ -0,0 +1,46 @@
+import { compareSceneNumbers } from "./sceneMerge.js";
+
+// Characters are matched on their name without case or surrounding spaces, "HAIKAL" and "Haikal" are one
+export function castKey(name) {
+    return String(name ?? "").trim().toUpperCase();
+}
+
+// Cast list with ID numbers, numbered the usual way: the character in the most scenes is 1
+// Each character keeps the spelling they first appear with
+export function assignCastNumbers(scenes) {
+    const cast = new Map(); // castKey to { name, scenes, firstScene }
+
+    scenes.forEach(scene => {
+        new Set((scene.characters || []).map(castKey)).forEach(key => {
+            if (!key) return;
+            const member = cast.get(key) || { name: scene.characters.find(character => castKey(character) === key).trim(), scenes: 0, firstScene: scene.scene_number };
+            member.scenes++;
+            if (compareSceneNumbers(scene.scene_number, member.firstScene) < 0) member.firstScene = scene.scene_number;
+            cast.set(key, member);
+        });
+    });
+
+    // Ties go to whoever appears first in the script (lowest scene number), so they don't change with the schedule
+    return [...cast.values()]
+        .sort((a, b) => b.scenes - a.scenes || compareSceneNumbers(a.firstScene, b.firstScene))
+        .map((member, i) => ({ castId: i + 1, name: member.name, sceneCount: member.scenes }));
+}
+
+// Cast IDs for one scene, in ID order
+export function castIdsForScene(scene, castList) {
+    const idByName = new Map(castList.map(member => [castKey(member.name), member.castId]));
+    return [...new Set((scene.characters || [])
+        .map(character => idByName.get(castKey(character)))
+        .filter(id => id !== undefined))]
+        .sort((a, b) => a - b);
+}
+
+// Page counts in eighths the way scripts are timed, 1.375 -> "1 3/8"
+export function formatPages(pages) {
+    const eighths = Math.round((Number(pages) || 0) * 8);
+    const whole = Math.floor(eighths / 8);
+    const rest = eighths % 8;
+
+    if (rest === 0) return String(whole);
+    return whole > 0 ? `${whole} ${rest}/8` : `${rest}/8`;
+}
@@ -0,0 +1,360 @@
+import { normalizeLocks, isSameScene, applyLockedPositions } from "./locks.js"
+import { sortScenesByTimeOfDay } from "./scheduler.js"
+
+// Cost model used to score schedules (greedy and annealed)
+// Soft terms are weighted penalties, hard constraints add HARD_CONSTRAINT_PENALTY per breach so the
+// annealer never settles on a schedule that breaks them
+
+export const HARD_CONSTRAINT_PENALTY = 1000000
+
+// Weight profiles - pick one per request/project and override single weights on top of it
+export const COST_PROFILES = {
+    default: {
+        location: 100,          // per extra location in a day (company move)
+        subLocation: 10,        // per extra sub location in a day
+        locationType: 20,       // per extra location type (INT/EXT) in a day
+        character: 10,          // per character called on a day
+        characterOverlap: -10,  // per repeat appearance of a character on the same day (rewarded)
+        overtime: 50,           // per hour past maxDayTimeHours
+        travel: 50,             // per hour of company moves, travel plus pack-up (only with travel, see travel.js)
+        rentalDay: 40,          // per day a listed element is on hire, times its weight (only with elements, see elements.js)
+        shootingDay: 100        // per shooting day
+    },
+    // Fewer, longer days - moves and overtime are cheaper than an extra day
+    compact: {
+        location: 60,
+        subLocation: 5,
+        locationType: 10,
+        character: 10,
+        characterOverlap: -10,
+        overtime: 25,
+        travel: 25,
+        rentalDay: 30,
+        shootingDay: 400
+    },
+    // Cast heavy shoots - keep actors' days together even if it costs a company move
+    cast: {
+        location: 80,
+        subLocation: 10,
+        locationType: 20,
+        character: 40,
+        characterOverlap: -30,
+        overtime: 50,
+        travel: 50,
+        rentalDay: 40,
+        shootingDay: 100
+    }
+}
+
+// Hard constraints - null switches a rule off
+// Cast availability (createAvailability in availability.js), scene locks (locks.js), daylight (daylight.js),
+// turnaround (turnaround.js), labour rules (labourRules.js) and element windows (elements.js) are always hard when
+// given
+export const DEFAULT_HARD_CONSTRAINTS = {
+    maxOvertimeHours: null,     // overtime beyond this many hours is not allowed at all
+    maxLocationsPerDay: null    // no more than this many locations in a single day
+}
+
+// dayHours overrides maxDayTimeHours for single days, e.g. { 5: 10 } makes day 5 a ten hour day
+// travel (createTravel in travel.js) prices company moves by their real travel and pack-up time
+// daylight (createDaylight in daylight.js) caps EXT DAY and EXT NIGHT hours by the sun on each shooting date
+// turnaround (createTurnaround in turnaround.js) plans call and wrap times and the rest between them
+// labour (createLabourRules in labourRules.js) caps the hours of cast with a minor or union profile
+// elements (createElementRentals in elements.js) charges every day an expensive element is on hire
+export function createCostModel({ profile = "default", weights = {}, hardConstraints = {}, maxDayTimeHours = 12, availability = null, locks = [], dayHours = {}, travel = null, daylight = null, turnaround = null, labour = null, elements = null } = {}) {
+    if (!Object.hasOwn(COST_PROFILES, profile)) {
+        throw new Error(`Unknown cost profile "${profile}". Available: ${Object.keys(COST_PROFILES).join(", ")}`)
+    }
+
+    for (const key of Object.keys(weights)) {
+        if (!Object.hasOwn(COST_PROFILES.default, key)) throw new Error(`Unknown cost weight "${key}"`)
+        if (typeof weights[key] !== "number") throw new Error(`Cost weight "${key}" must be a number`)
+    }
+    for (const key of Object.keys(hardConstraints)) {
+        if (!Object.hasOwn(DEFAULT_HARD_CONSTRAINTS, key)) throw new Error(`Unknown hard constraint "${key}"`)
+        if (hardConstraints[key] !== null && typeof hardConstraints[key] !== "number") {
+            throw new Error(`Hard constraint "${key}" must be a number or null`)
+        }
+    }
+    if (typeof dayHours !== "object" || dayHours === null || Array.isArray(dayHours)) {
+        throw new Error("dayHours must be an object of day number to hours")
+    }
+    for (const [day, hours] of Object.entries(dayHours)) {
+        if (!Number.isInteger(Number(day)) || Number(day) < 1) throw new Error(`dayHours: "${day}" is not a shooting day number`)
+        if (typeof hours !== "number" || !(hours > 0 && hours <= 24)) throw new Error(`dayHours: day ${day} needs a number of hours between 0 and 24`)
+    }
+
+    return {
+        profile,
+        weights: { ...COST_PROFILES[profile], ...weights },
+        hardConstraints: { ...DEFAULT_HARD_CONSTRAINTS, ...hardConstraints },
+        maxDayTimeHours,
+        availability,
+        locks: normalizeLocks(locks),
+        dayHours: { ...dayHours },
+        travel,
+        daylight,
+        turnaround,
+        labour,
+        elements
+    }
+}
+
+// The cost model for one shooting day - the same one unless dayHours gives that day its own length
+export function costModelForDay(costModel, day) {
+    const hours = costModel.dayHours?.[day]
+    return hours === undefined ? costModel : { ...costModel, maxDayTimeHours: hours }
+}
+
+// Score a single day - returns how much each term contributed and any hard constraint breaches
+// find total location changes (Total Locations -1)
+// find total sub location changes (Sub Location - 1)
+// find total location type changes (Location Types - 1)
+// find character overlap (More Overlap less cost)
+// OT hours totalDayTime - maxHours (The higher the higher the cost)
+// With travel, company moves between strips (in the order given) use up day time and cost per hour
+export function costOfDay(dayScenes, costModel) {
+    const { weights, hardConstraints, maxDayTimeHours, travel } = costModel
+
+    let locations = new Set()
+    let subLocations = new Set()
+    let locationTypes = new Set()
+    let charactersMap = {}
+    let totalTime = 0
+
+    dayScenes.forEach(scene => {
+        locations.add(scene.location_name)
+        subLocations.add(scene.sub_location_name)
+        locationTypes.add(scene.location_type)
+        totalTime += scene.estimatedTime
+
+        const characters = scene.characters || []
+        characters.forEach(character =>{
+            charactersMap[character] = (charactersMap[character] || 0) + 1
+        })
+    })
+
+    const totalCharacters = Object.keys(charactersMap).length
+
+    let totalCharacterOverlap = 0
+    Object.keys(charactersMap).forEach(char => {
+        totalCharacterOverlap += charactersMap[char] - 1
+    })
+
+    const companyMoves = travel ? travel.companyMoves(dayScenes) : []
+    const moveHours = Math.round(companyMoves.reduce((total, move) => total + move.hours, 0) * 100) / 100
+
+    const overtimeHours = Math.max(0, totalTime + moveHours - maxDayTimeHours)
+
+    const terms = {
+        location: weights.location * Math.max(0, locations.size - 1),
+        subLocation: weights.subLocation * Math.max(0, subLocations.size - 1),
+        locationType: weights.locationType * Math.max(0, locationTypes.size - 1),
+        character: weights.character * totalCharacters,
+        characterOverlap: weights.characterOverlap * totalCharacterOverlap,
+        overtime: weights.overtime * overtimeHours,
+        travel: weights.travel * moveHours,
+        rentalDay: 0,   // filled in by costBreakdown(), it spans days
+        shootingDay: weights.shootingDay
+    }
+
+    const violations = []
+    if (hardConstraints.maxOvertimeHours !== null && overtimeHours > hardConstraints.maxOvertimeHours) {
+        violations.push({
+            rule: "maxOvertimeHours",
+            message: `${overtimeHours} hours overtime, limit is ${hardConstraints.maxOvertimeHours}`
+        })
+    }
+    if (hardConstraints.maxLocationsPerDay !== null && locations.size > hardConstraints.maxLocationsPerDay) {
+        violations.push({
+            rule: "maxLocationsPerDay",
+            message: `${locations.size} locations, limit is ${hardConstraints.maxLocationsPerDay}`
+        })
+    }
+    terms.hardConstraints = HARD_CONSTRAINT_PENALTY * violations.length
+
+    const total = Object.values(terms).reduce((sum, value) => sum + value, 0)
+
+    return { totalTime, moveHours, overtimeHours, terms, total, violations, companyMoves }
+}
+
+// Per-day breakdown for a list of days, each day being an array of scenes in shooting order
+// days[i] is shooting day i + 1, an empty array is a day nothing is shot on
+export function costBreakdown(days, costModel) {
+    const breakdown = days.map((dayScenes, i) => ({ day: i + 1, ...costOfDay(dayScenes, costModelForDay(costModel, i + 1)) }))
+
+    // A listed element is on hire from the first day it's needed to the last, every one of those days is charged
+    if (costModel.elements) {
+        costModel.elements.rentals(days).forEach(({ weight, first, last }) => {
+            for (let i = first; i <= last; i++) {
+                const cost = costModel.weights.rentalDay * weight
+                breakdown[i].terms.rentalDay += cost
+                breakdown[i].total += cost
+            }
+        })
+    }
+
+    const hardViolations = [
+        ...(costModel.availability ? castAvailabilityViolations(days, costModel.availability) : []),
+        ...lockViolations(days, costModel.locks || []),
+        ...(costModel.daylight ? daylightViolations(days, costModel.daylight) : []),
+        ...(costModel.turnaround ? turnaroundViolations(days, costModel.turnaround) : []),
+        ...(costModel.labour ? labourViolations(days, costModel.labour) : []),
+        ...(costModel.elements ? elementAvailabilityViolations(days, costModel.elements) : [])
+    ]
+    hardViolations.forEach(({ day, ...violation }) => {
+        breakdown[day - 1].violations.push(violation)
+        breakdown[day - 1].terms.hardConstraints += HARD_CONSTRAINT_PENALTY
+        breakdown[day - 1].total += HARD_CONSTRAINT_PENALTY
+    })
+
+    const violations = breakdown.flatMap(d => d.violations.map(v => ({ day: d.day, ...v })))
+
+    return {
+        profile: costModel.profile,
+        weights: costModel.weights,
+        total: breakdown.reduce((sum, d) => sum + d.total, 0),
+        feasible: violations.length === 0,
+        violations,
+        days: breakdown,
+        locks: lockCosts(days, costModel)
+    }
+}
+
+// Locked scenes that ended up on another day - reported on the day the scene is actually on
+function lockViolations(days, locks) {
+    const violations = []
+
+    locks.forEach(lock => {
+        const dayIndex = days.findIndex(dayScenes => dayScenes.some(scene => isSameScene(scene, lock.scene_number)))
+        if (dayIndex === -1 || dayIndex + 1 === lock.day) return
+
+        violations.push({ day: dayIndex + 1, rule: "sceneLock", message: `Scene ${lock.scene_number} is locked to day ${lock.day}` })
+    })
+
+    return violations
+}
+
+// What every lock costs: how much cheaper the schedule would be with the locked scene on its best other day,
+// everything else staying where it is. 0 when the locked day already is the cheapest
+// Positions inside a day aren't priced by the cost model, so only the day of a lock can cost anything
+function lockCosts(days, costModel) {
+    return (costModel.locks || []).map(lock => {
+        const dayIndex = days.findIndex(dayScenes => dayScenes.some(scene => isSameScene(scene, lock.scene_number)))
+        if (dayIndex === -1) return { ...lock, cost: 0, cheapestDay: null, scheduled: false }
+
+        const lockedDay = days[dayIndex]
+        const scene = lockedDay.find(s => isSameScene(s, lock.scene_number))
+        const withoutScene = lockedDay.filter(s => s !== scene)
+        const lockedDayModel = costModelForDay(costModel, dayIndex + 1)
+        let removalSaving = costOfDay(lockedDay, lockedDayModel).total - costOfDay(withoutScene, lockedDayModel).total
+
+        // A lock that is the only thing on the last day also keeps that day and the idle days before it
+        if (withoutScene.length === 0 && days.slice(dayIndex + 1).every(dayScenes => dayScenes.length === 0)) {
+            removalSaving = costOfDay(lockedDay, lockedDayModel).total
+            for (let i = dayIndex - 1; i >= 0 && days[i].length === 0; i--) {
+                removalSaving += costOfDay([], costModel).total
+            }
+        }
+
+        let cheapestDay = dayIndex + 1
+        let bestSaving = 0
+        days.forEach((dayScenes, i) => {
+            if (i === dayIndex || dayScenes.length === 0) return
+            if (costModel.availability && costModel.availability.unavailableCharacters(scene, i + 1).length > 0) return
+
+            const dayModel = costModelForDay(costModel, i + 1)
+            const addedCost = costOfDay([...dayScenes, scene], dayModel).total - costOfDay(dayScenes, dayModel).total
+            if (removalSaving - addedCost > bestSaving) {
+                bestSaving = removalSaving - addedCost
+                cheapestDay = i + 1
+            }
+        })
+
+        return { ...lock, cost: bestSaving, cheapestDay, scheduled: true }
+    })
+}
+
+// Days with more exterior day (or night) scenes than the date has daylight (or darkness)
+function daylightViolations(days, daylight) {
+    return days.flatMap((dayScenes, i) =>
+        daylight.breaches(i + 1, dayScenes).map(message => ({ day: i + 1, rule: "daylight", message }))
+    )
+}
+
+// Calls that come too soon after the last wrap, for the crew or a cast member
+function turnaroundViolations(days, turnaround) {
+    return turnaround.planDays(days).flatMap(plan => plan.violations.map(violation => ({ day: plan.day, ...violation })))
+}
+
+// Cast over the hours their labour rules allow in a day or a week
+function labourViolations(days, labour) {
+    return labour.reportDays(days).flatMap(report => report.breaches.map(({ message }) => ({ day: report.day, rule: "labour", message })))
+}
+
+// Scenes on a day their vehicles, stunts or effects aren't available
+function elementAvailabilityViolations(days, elements) {
+    return days.flatMap((dayScenes, i) => dayScenes.flatMap(scene =>
+        elements.unavailableElements(scene, i + 1).map(({ reason }) => ({ day: i + 1, rule: "elementAvailability", message: `Scene ${scene.scene_number}: ${reason}` }))
+    ))
+}
+
+// Cast booked on a day they are unavailable, or past their maxConsecutiveDays
+function castAvailabilityViolations(days, availability) {
+    const violations = []
+    const characterDays = {}
+
+    days.forEach((dayScenes, i) => {
+        const day = i + 1
+        dayScenes.forEach(scene => {
+            availability.unavailableCharacters(scene, day).forEach(({ reason }) => {
+                violations.push({ day, rule: "castAvailability", message: `Scene ${scene.scene_number}: ${reason}` })
+            })
+            const characters = scene.characters || []
+            characters.forEach(character => {
+                characterDays[character] = characterDays[character] || new Set()
+                characterDays[character].add(day)
+            })
+        })
+    })
+
+    Object.entries(characterDays).forEach(([character, workedDays]) => {
+        const maxConsecutiveDays = availability.maxConsecutiveDays(character)
+        if (maxConsecutiveDays === null) return
+
+        // Flag every day that runs past the limit, counting only the days before it
+        const sortedDays = [...workedDays].sort((a, b) => a - b)
+        sortedDays.forEach((day, i) => {
+            const run = availability.consecutiveRun(sortedDays.slice(0, i), day)
+            if (run > maxConsecutiveDays) {
+                violations.push({ day, rule: "maxConsecutiveDays", message: `${character} works ${run} days in a row, limit is ${maxConsecutiveDays}` })
+            }
+        })
+    })
+
+    return violations
+}
+
+// Breakdown of a { day, scenes, totalTime } schedule as returned by scheduleScenes()
+export function scheduleCostBreakdown(schedule, costModel) {
+    return costBreakdown(schedule.map(d => d.scenes), costModel)
+}
+
+// Total cost of an annealing state, broken locks included as hard constraint penalties
+// costBreakdown() has the per day terms and what each lock costs
+// Company moves, call times and cast hours depend on the order of the strips, so with travel, turnaround or
+// labour rules the days are put in the order stateToSchedule() shoots them in first
+export function costOfSchedule(state, scenes, costModel = createCostModel()){
+    let days = stateToDays(state, scenes)
+    if (costModel.travel || costModel.turnaround || costModel.labour) {
+        days = days.map(dayScenes => applyLockedPositions(sortScenesByTimeOfDay(dayScenes), costModel.locks || []))
+    }
+    return costBreakdown(days, costModel).total
+}
+
+// Turn a state (state[i] = day of scenes[i]) into an array of days, [] for days nothing is shot on
+export function stateToDays(state, scenes) {
+    const days = Array.from({ length: Math.max(0, ...state) }, () => [])
+    state.forEach((day, i) => days[day - 1].push(scenes[i]))
+    return days
+}
@@ -0,0 +1,234 @@
+// Daylight at the shooting locations
+// Sunrise, sunset and golden hour for every shooting date come from the sunrise equation (the NOAA solar
+// position approximation, good to a minute or two away from the poles) - no lookup service needed.
+// Given as JSON:
+// {
+//   "timeZone": "Asia/Kuala_Lumpur",                          // IANA zone the times are shown in, UTC by default
+//   "latitude": 3.14, "longitude": 101.69,                     // the shoot's base, for locations without their own
+//   "locations": { "RESORT": { "lat": 2.81, "lng": 101.52 } }, // location names as in scene.location_name
+//   "goldenHourElevation": 6                                   // golden hour is the sun below this many degrees
+// }
+// Exterior day scenes can't take more hours than the day has daylight, exterior night scenes no more than
+// the night has darkness. The scheduler keeps to that, the cost model treats a breach as a hard constraint
+
+export const DEFAULT_DAYLIGHT_SETTINGS = {
+    timeZone: "UTC",
+    goldenHourElevation: 6,
+};
+
+// Exterior scenes are the ones that need the sky to match
+const EXTERIOR_TYPES = ["EXT", "INT/EXT", "I/E"];
+
+// Sun's centre this far below the horizon at sunrise and sunset (refraction and the sun's radius)
+const SUNRISE_ELEVATION = -0.833;
+const EARTH_TILT = 23.4397;
+const J2000 = 2451545;
+const UNIX_EPOCH_JULIAN = 2440587.5;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+
+function normalizeName(name) {
+    return String(name ?? "").trim().toUpperCase();
+}
+
+function roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+}
+
+function julianToDate(julian) {
+    return new Date((julian - UNIX_EPOCH_JULIAN) * 86400000);
+}
+
+// Solar noon and declination for a date at a longitude
+function solarDay(isoDate, longitude) {
+    const julianMidnight = Date.parse(`${isoDate}T00:00:00Z`) / 86400000 + UNIX_EPOCH_JULIAN;
+    const n = Math.ceil(julianMidnight - J2000 + 0.0008);
+    const meanSolarTime = n - longitude / 360;
+
+    const meanAnomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+    const M = toRadians(meanAnomaly);
+    const center = 1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M);
+    const eclipticLongitude = toRadians((meanAnomaly + center + 180 + 102.9372) % 360);
+
+    const transit = J2000 + meanSolarTime + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * eclipticLongitude);
+    const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(toRadians(EARTH_TILT)));
+
+    return { transit, declination };
+}
+
+// Julian dates when the sun crosses an elevation before and after noon
+// { always: true } when it stays above it all day, { never: true } when it never gets there
+function elevationCrossings({ transit, declination }, latitude, elevation) {
+    const phi = toRadians(latitude);
+    const cosHourAngle = (Math.sin(toRadians(elevation)) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination));
+    if (cosHourAngle < -1) return { always: true };
+    if (cosHourAngle > 1) return { never: true };
+
+    const hourAngle = toDegrees(Math.acos(cosHourAngle));
+    return { rise: transit - hourAngle / 360, set: transit + hourAngle / 360 };
+}
+
+// Sunrise, sunset and golden hour on a date at a place, times as Date objects (null when the sun doesn't
+// rise or set that day)
+export function sunTimes(isoDate, latitude, longitude, goldenHourElevation = DEFAULT_DAYLIGHT_SETTINGS.goldenHourElevation) {
+    const day = solarDay(isoDate, longitude);
+    const sun = elevationCrossings(day, latitude, SUNRISE_ELEVATION);
+    const golden = elevationCrossings(day, latitude, goldenHourElevation);
+
+    const daylightHours = sun.always ? 24 : sun.never ? 0 : (sun.set - sun.rise) * 24;
+    const hasSunriseAndSunset = !sun.always && !sun.never;
+
+    let goldenHour = null;
+    if (hasSunriseAndSunset) {
+        // A sun that never climbs past the golden hour elevation makes the whole day golden
+        const morningEnd = golden.never ? sun.set : golden.rise;
+        const eveningStart = golden.never ? sun.rise : golden.set;
+        goldenHour = {
+            morning: { from: julianToDate(sun.rise), to: julianToDate(morningEnd) },
+            evening: { from: julianToDate(eveningStart), to: julianToDate(sun.set) },
+        };
+    }
+
+    return {
+        sunrise: hasSunriseAndSunset ? julianToDate(sun.rise) : null,
+        solarNoon: julianToDate(day.transit),
+        sunset: hasSunriseAndSunset ? julianToDate(sun.set) : null,
+        goldenHour,
+        daylightHours: roundHours(daylightHours),
+        nightHours: roundHours(24 - daylightHours),
+    };
+}
+
+export function isExterior(scene) {
+    return EXTERIOR_TYPES.includes(scene.location_type);
+}
+
+// EXT DAY and EXT NIGHT hours in a day's scenes
+export function exteriorHours(dayScenes) {
+    const hours = { day: 0, night: 0 };
+    dayScenes.forEach(scene => {
+        if (!isExterior(scene)) return;
+        if (scene.time_of_day === "DAY") hours.day += scene.estimatedTime;
+        if (scene.time_of_day === "NIGHT") hours.night += scene.estimatedTime;
+    });
+    return hours;
+}
+
+// null when there are no daylight settings. dayToDate turns shooting days into dates (see calendar.js),
+// days without a date have no daylight window and no cap. knownLocations adds coordinates given elsewhere
+// (the travel settings), the daylight settings' own locations win
+export function createDaylight(settings, dayToDate, knownLocations = {}) {
+    if (settings === null || settings === undefined) return null;
+    if (typeof settings !== "object" || Array.isArray(settings)) {
+        throw new Error("daylight must be an object with a timeZone and coordinates");
+    }
+
+    const { locations = {}, latitude = null, longitude = null, ...rest } = settings;
+    const options = { ...DEFAULT_DAYLIGHT_SETTINGS, ...rest };
+
+    for (const key of Object.keys(rest)) {
+        if (!Object.hasOwn(DEFAULT_DAYLIGHT_SETTINGS, key)) throw new Error(`Unknown daylight setting "${key}"`);
+    }
+    try {
+        new Intl.DateTimeFormat("en-GB", { timeZone: options.timeZone });
+    } catch {
+        throw new Error(`daylight: "${options.timeZone}" is not a time zone`);
+    }
+    if (typeof options.goldenHourElevation !== "number" || Math.abs(options.goldenHourElevation) > 30) {
+        throw new Error("daylight: goldenHourElevation must be a number of degrees between -30 and 30");
+    }
+
+    const checkPoint = (name, lat, lng) => {
+        if (typeof lat !== "number" || typeof lng !== "number" || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            throw new Error(`daylight: ${name} needs numeric latitude (-90 to 90) and longitude (-180 to 180)`);
+        }
+        return { lat, lng };
+    };
+
+    const base = latitude === null && longitude === null ? null : checkPoint("the base", latitude, longitude);
+    const coordinates = new Map();
+    for (const [name, point] of [...Object.entries(knownLocations || {}), ...Object.entries(locations)]) {
+        coordinates.set(normalizeName(name), checkPoint(name, point?.lat, point?.lng));
+    }
+    if (!base && coordinates.size === 0) {
+        throw new Error("daylight needs a latitude and longitude or locations with coordinates");
+    }
+
+    const formatTime = new Intl.DateTimeFormat("en-GB", { timeZone: options.timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+    const time = date => (date ? formatTime.format(date) : null);
+
+    const cache = new Map();
+
+    // Where a day is shot for the sun: the first of its scenes at a location with coordinates, the base otherwise
+    function placeOf(dayScenes) {
+        const scene = dayScenes.find(s => coordinates.has(normalizeName(s.location_name)));
+        if (scene) return { location: scene.location_name, ...coordinates.get(normalizeName(scene.location_name)) };
+        return base ? { location: null, ...base } : null;
+    }
+
+    // The daylight window of a shooting day, null when the day has no date or no coordinates
+    function windowFor(day, dayScenes) {
+        const date = dayToDate ? dayToDate(day) : null;
+        const place = placeOf(dayScenes);
+        if (!date || !place) return null;
+
+        const key = `${date}|${place.lat}|${place.lng}`;
+        if (!cache.has(key)) {
+            const sun = sunTimes(date, place.lat, place.lng, options.goldenHourElevation);
+            cache.set(key, {
+                date,
+                location: place.location,
+                latitude: place.lat,
+                longitude: place.lng,
+                timeZone: options.timeZone,
+                sunrise: time(sun.sunrise),
+                sunset: time(sun.sunset),
+                goldenHour: sun.goldenHour && {
+                    morning: { from: time(sun.goldenHour.morning.from), to: time(sun.goldenHour.morning.to) },
+                    evening: { from: time(sun.goldenHour.evening.from), to: time(sun.goldenHour.evening.to) },
+                },
+                daylightHours: sun.daylightHours,
+                nightHours: sun.nightHours,
+            });
+        }
+        return { ...cache.get(key), location: place.location };
+    }
+
+    // Why a day's exterior scenes don't fit its daylight or darkness, empty if they do
+    function breaches(day, dayScenes) {
+        const window = windowFor(day, dayScenes);
+        if (!window) return [];
+
+        const hours = exteriorHours(dayScenes);
+        const reasons = [];
+        if (hours.day > window.daylightHours) {
+            reasons.push(`${hours.day} hours of EXT DAY scenes, only ${window.daylightHours} hours of daylight on ${window.date}`);
+        }
+        if (hours.night > window.nightHours) {
+            reasons.push(`${hours.night} hours of EXT NIGHT scenes, only ${window.nightHours} hours of darkness on ${window.date}`);
+        }
+        return reasons;
+    }
+
+    return {
+        settings: { ...settings },
+        windowFor,
+        breaches,
+        canAdd: (day, dayScenes, scene) => !isExterior(scene) || breaches(day, [...dayScenes, scene]).length === 0,
+    };
+}
+
+// Adds each day's daylight window and its exterior hours to a { day, scenes, totalTime } schedule, as is
+// without daylight settings
+export function addDaylight(schedule, daylight) {
+    if (!daylight) return schedule;
+
+    return schedule.map(day => {
+        const window = daylight.windowFor(day.day, day.scenes);
+        if (!window) return { ...day, daylight: null };
+
+        const hours = exteriorHours(day.scenes);
+        return { ...day, daylight: { ...window, extDayHours: hours.day, extNightHours: hours.night } };
+    });
+}
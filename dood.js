@@ -0,0 +1,73 @@
+import { assignCastNumbers, castKey } from './castList.js';
+
+// Day Out of Days for cast
+// SW  start work       - first day a character works
+// W   work
+// H   hold             - a day between their first and last work day they aren't shooting
+// WF  work finish      - last day they work
+// SWF start-work-finish - they only work a single day
+export function buildDayOutOfDays(schedule) {
+    const castList = assignCastNumbers(schedule.flatMap(day => day.scenes));
+
+    const days = schedule.map(day => ({ day: day.day, date: day.date || null }));
+
+    const rows = castList.map(member => {
+        const worked = schedule.map(day =>
+            day.scenes.some(scene => (scene.characters || []).some(character => castKey(character) === castKey(member.name)))
+        );
+        const start = worked.indexOf(true);
+        const finish = worked.lastIndexOf(true);
+
+        const codes = worked.map((isWorking, i) => {
+            if (i < start || i > finish) return "";
+            if (!isWorking) return "H";
+            if (start === finish) return "SWF";
+            if (i === start) return "SW";
+            if (i === finish) return "WF";
+            return "W";
+        });
+
+        const workDays = worked.filter(Boolean).length;
+        const holdDays = codes.filter(code => code === "H").length;
+
+        return {
+            castId: member.castId,
+            name: member.name,
+            codes,
+            startDay: schedule[start].day,
+            finishDay: schedule[finish].day,
+            workDays,
+            holdDays,
+            totalDays: workDays + holdDays
+        };
+    });
+
+    return { days, rows };
+}
+
+function csvValue(value) {
+    const text = String(value ?? "");
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function dayOutOfDaysToCSV(dood) {
+    const header = [
+        "Cast ID",
+        "Character",
+        ...dood.days.map(d => d.date ? `Day ${d.day} (${d.date})` : `Day ${d.day}`),
+        "Work",
+        "Hold",
+        "Total"
+    ];
+
+    const lines = [header, ...dood.rows.map(row => [
+        row.castId,
+        row.name,
+        ...row.codes,
+        row.workDays,
+        row.holdDays,
+        row.totalDays
+    ])];
+
+    return lines.map(line => line.map(csvValue).join(",")).join("\n") + "\n";
+}
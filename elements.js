@@ -0,0 +1,166 @@
+import { isISODate } from "./calendar.js";
+
+// Vehicles, stunts, sfx, vfx and extras from the breakdown, and the days they are booked for
+// An element is booked from the first day a scene needs it to the last, it stays on hire on the days in between.
+// The expensive ones are listed by department (names matched case-insensitively), given as JSON:
+// {
+//   "vehicles": {
+//     "Jeep Wrangler": { "weight": 3, "from": "2026-11-03", "to": "2026-11-13" },  // on hire in this window only
+//     "*": { "weight": 1 }                                                        // every other vehicle
+//   },
+//   "stunts": { "*": {} }
+// }
+// weight (1 by default) is how much a day of it costs next to the others. The cost model charges every booked day
+// of a listed element (see costModel.js) so the annealer pulls its scenes onto contiguous days, the window is a
+// hard constraint the scheduler keeps to. Dates need the shooting calendar (see calendar.js)
+
+export const ELEMENT_DEPARTMENTS = ["vehicles", "stunts", "sfx", "vfx", "extras"];
+
+const ANY_ITEM = "*";
+
+function normalizeName(name) {
+    return String(name ?? "").trim().toUpperCase();
+}
+
+// Every item a department books over a list of days (arrays of scenes), with the indexes of the days that need
+// it, first seen first. Departments are the element lists of a scene, "cast" for its characters and
+// "locations" for its location
+export function bookedDays(days, department) {
+    const itemsOf = scene => {
+        if (department === "cast") return scene.characters || [];
+        if (department === "locations") return scene.location_name ? [scene.location_name] : [];
+        return scene[department] || [];
+    };
+
+    const bookings = new Map();
+    days.forEach((dayScenes, i) => {
+        dayScenes.forEach(scene => {
+            itemsOf(scene).forEach(item => {
+                const key = normalizeName(item);
+                if (!key) return;
+                const booking = bookings.get(key) || { name: item, days: [] };
+                if (booking.days[booking.days.length - 1] !== i) booking.days.push(i);
+                bookings.set(key, booking);
+            });
+        });
+    });
+    return [...bookings.values()];
+}
+
+// null when no elements are listed. dayToDate (calendar.js) turns shooting days into dates for the windows
+export function createElementRentals(settings, dayToDate = null) {
+    if (settings === null || settings === undefined) return null;
+    if (typeof settings !== "object" || Array.isArray(settings)) {
+        throw new Error("elements must be an object of department to the elements worth keeping together");
+    }
+
+    // `${department}|${normalised name}` to { name, weight, from, to }
+    const listed = new Map();
+    for (const [department, items] of Object.entries(settings)) {
+        if (!ELEMENT_DEPARTMENTS.includes(department)) {
+            throw new Error(`elements: unknown department "${department}". Available: ${ELEMENT_DEPARTMENTS.join(", ")}`);
+        }
+        if (typeof items !== "object" || items === null || Array.isArray(items)) {
+            throw new Error(`elements: ${department} must be an object of element name to settings`);
+        }
+
+        for (const [name, entry] of Object.entries(items)) {
+            const { weight = 1, from = null, to = null, ...unknown } = entry || {};
+            if (Object.keys(unknown).length > 0) throw new Error(`elements: unknown setting "${Object.keys(unknown)[0]}" for ${name}`);
+            if (typeof weight !== "number" || !(weight > 0)) throw new Error(`elements: ${name} needs a weight above 0`);
+            if ((from !== null && !isISODate(from)) || (to !== null && !isISODate(to)) || (from && to && from > to)) {
+                throw new Error(`elements: ${name} needs YYYY-MM-DD "from" and "to" with from <= to`);
+            }
+            if ((from || to) && !dayToDate) throw new Error("startDate is required when elements have dates");
+
+            listed.set(`${department}|${name === ANY_ITEM ? ANY_ITEM : normalizeName(name)}`, { name, weight, from, to });
+        }
+    }
+
+    const find = (department, item) => listed.get(`${department}|${normalizeName(item)}`) ?? listed.get(`${department}|${ANY_ITEM}`) ?? null;
+    const dateOf = day => (dayToDate ? dayToDate(day) : null);
+
+    const windowText = ({ from, to }) => (from && to ? `${from} to ${to}` : from ? `from ${from}` : `until ${to}`);
+
+    // Elements of a scene that aren't on hire on the day, with why
+    function unavailableElements(scene, day) {
+        const date = dateOf(day);
+        if (!date) return [];
+
+        return ELEMENT_DEPARTMENTS.flatMap(department => (scene[department] || [])
+            .map(item => ({ department, item, entry: find(department, item) }))
+            .filter(({ entry }) => entry && ((entry.from && date < entry.from) || (entry.to && date > entry.to)))
+            .map(({ department, item, entry }) => ({
+                department,
+                item,
+                reason: `${item} (${department}) is only available ${windowText(entry)}, not on ${date}`,
+            })));
+    }
+
+    return {
+        settings: { ...settings },
+        find,
+        unavailableElements,
+        canAdd: (day, scene) => unavailableElements(scene, day).length === 0,
+
+        // Reasons a scene can never be placed on this day or any later one, empty if it still might be
+        availabilityEnded(scene, day) {
+            const date = dateOf(day);
+            if (!date) return [];
+
+            return ELEMENT_DEPARTMENTS.flatMap(department => (scene[department] || [])
+                .filter(item => find(department, item)?.to && find(department, item).to < date)
+                .map(item => `${item}'s availability ended on ${find(department, item).to}`));
+        },
+
+        // The listed elements booked over a list of days (arrays of scenes), with the first and last day index
+        // they're on hire and their weight
+        rentals(days) {
+            return ELEMENT_DEPARTMENTS.flatMap(department => bookedDays(days, department)
+                .map(({ name, days: needed }) => ({ department, item: name, entry: find(department, name), needed }))
+                .filter(({ entry }) => entry)
+                .map(({ department, item, entry, needed }) => ({
+                    department,
+                    item,
+                    weight: entry.weight,
+                    first: needed[0],
+                    last: needed[needed.length - 1],
+                    needed,
+                })));
+        },
+    };
+}
+
+// Every element of a { day, scenes, date? } schedule with the days it's needed and the days it's booked for,
+// the listed ones (elements from createElementRentals) first
+export function elementReport(schedule, elements = null) {
+    const days = schedule.map(day => day.scenes);
+
+    const report = ELEMENT_DEPARTMENTS.flatMap(department => bookedDays(days, department).map(({ name, days: needed }) => {
+        const entry = elements ? elements.find(department, name) : null;
+        const first = schedule[needed[0]];
+        const last = schedule[needed[needed.length - 1]];
+        const rentalDays = needed[needed.length - 1] - needed[0] + 1;
+
+        return {
+            department,
+            item: name,
+            listed: Boolean(entry),
+            weight: entry?.weight ?? null,
+            window: entry && (entry.from || entry.to) ? { from: entry.from, to: entry.to } : null,
+            scenes: schedule.flatMap(day => day.scenes
+                .filter(scene => (scene[department] || []).some(item => normalizeName(item) === normalizeName(name)))
+                .map(scene => scene.scene_number)),
+            neededDays: needed.map(i => schedule[i].day),
+            bookedFrom: { day: first.day, date: first.date ?? null },
+            bookedTo: { day: last.day, date: last.date ?? null },
+            rentalDays,
+            idleDays: rentalDays - needed.length,
+            outsideWindow: entry && (entry.from || entry.to)
+                ? needed.map(i => schedule[i]).filter(day => day.date && ((entry.from && day.date < entry.from) || (entry.to && day.date > entry.to))).map(day => day.day)
+                : [],
+        };
+    }));
+
+    return report.sort((a, b) => Number(b.listed) - Number(a.listed) || b.rentalDays - a.rentalDays);
+}
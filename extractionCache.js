@@ -0,0 +1,59 @@
+import fs from "fs";
+import path from "path";
+import { createHash } from "node:crypto";
+import { fileURLToPath } from "url";
+
+// Disk cache for chunk extraction results
+// Keyed on a hash of the chunk PDF bytes, the prompt, the provider and the model, so a re-upload (or a revision
+// where only some pages changed) only sends the chunks that actually differ. One JSON file per chunk result in
+// EXTRACTION_CACHE_DIR, .extraction-cache next to the server by default
+
+const CACHE_DIR = process.env.EXTRACTION_CACHE_DIR
+    || path.join(path.dirname(fileURLToPath(import.meta.url)), ".extraction-cache");
+
+export function extractionCacheKey({ pdfBuffer, prompt, provider, model }) {
+    const hash = createHash("sha256");
+    for (const part of [pdfBuffer, prompt, provider, model]) {
+        hash.update(part);
+        hash.update("\0");
+    }
+    return hash.digest("hex");
+}
+
+function cachePath(key) {
+    return path.join(CACHE_DIR, `${key}.json`);
+}
+
+// null on a miss - an unreadable entry counts as a miss and gets overwritten
+export function readCachedExtraction(key) {
+    try {
+        return JSON.parse(fs.readFileSync(cachePath(key), "utf8"));
+    } catch {
+        return null;
+    }
+}
+
+export function writeCachedExtraction(key, result) {
+    try {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+        fs.writeFileSync(cachePath(key), JSON.stringify(result));
+    } catch (err) {
+        // Not worth failing an extraction over
+        console.log("Could not write the extraction cache:", err.message);
+    }
+}
+
+export function extractionCacheStats() {
+    if (!fs.existsSync(CACHE_DIR)) return { entries: 0, bytes: 0 };
+
+    const files = fs.readdirSync(CACHE_DIR).filter(file => file.endsWith(".json"));
+    const bytes = files.reduce((total, file) => total + fs.statSync(path.join(CACHE_DIR, file)).size, 0);
+    return { entries: files.length, bytes };
+}
+
+// Removes every cached result, returns how many there were
+export function purgeExtractionCache() {
+    const { entries } = extractionCacheStats();
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+    return entries;
+}
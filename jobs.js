@@ -0,0 +1,124 @@
+import { EventEmitter } from "node:events";
+import { randomUUID } from "node:crypto";
+
+// Background jobs for the slow routes (extraction, scheduling)
+// A job runs in the same process and keeps a log of progress events, so a client can poll its status
+// or follow along over SSE, and can be cancelled - cancelling aborts the signal handed to the job
+
+// Finished jobs are dropped after this long
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+
+export class JobCancelledError extends Error {
+    constructor() {
+        super("Job was cancelled");
+        this.name = "JobCancelledError";
+    }
+}
+
+// run(job) does the work and resolves to the job result, it gets
+//   job.progress(stage, details)   adds a progress event, e.g. progress("extracting", { chunk: 3, totalChunks: 7 })
+//   job.signal                     aborted when the job is cancelled
+//   job.throwIfCancelled()         for the checkpoints between steps
+export function startJob(kind, run) {
+    const controller = new AbortController();
+    const job = {
+        id: randomUUID(),
+        kind,
+        status: "running",
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        events: [],
+        result: null,
+        error: null,
+        emitter: new EventEmitter(),
+        controller,
+        signal: controller.signal,
+    };
+
+    job.progress = (stage, details = {}) => addEvent(job, { type: "progress", stage, ...details });
+    job.throwIfCancelled = () => {
+        if (job.signal.aborted) throw new JobCancelledError();
+    };
+
+    jobs.set(job.id, job);
+    addEvent(job, { type: "status", status: "running" });
+
+    // Started on the next tick so the caller can hand back the job id first
+    setImmediate(async () => {
+        try {
+            const result = await run(job);
+            job.throwIfCancelled();
+            job.result = result;
+            finishJob(job, "done");
+        } catch (err) {
+            if (job.signal.aborted) {
+                finishJob(job, "cancelled");
+            } else {
+                console.error(`Job ${job.id} failed:`, err);
+                job.error = err.message;
+                finishJob(job, "failed");
+            }
+        }
+    });
+
+    return job;
+}
+
+export function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+// Returns false when the job is already finished
+export function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job || job.status !== "running") return false;
+
+    job.controller.abort();
+    finishJob(job, "cancelled");
+    return true;
+}
+
+// Listens to the events of a job, the ones already logged are replayed first
+// Returns a function that stops listening
+export function subscribeToJob(job, listener) {
+    job.events.forEach(listener);
+    if (job.status !== "running") return () => {};
+
+    job.emitter.on("event", listener);
+    return () => job.emitter.off("event", listener);
+}
+
+// What the status route sends back - the result only once the job is done
+export function jobSummary(job) {
+    const lastProgress = [...job.events].reverse().find(event => event.type === "progress") || null;
+
+    return {
+        jobId: job.id,
+        kind: job.kind,
+        status: job.status,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        progress: lastProgress,
+        error: job.error,
+        result: job.status === "done" ? job.result : undefined,
+    };
+}
+
+function addEvent(job, event) {
+    const logged = { ...event, at: new Date().toISOString() };
+    job.events.push(logged);
+    job.emitter.emit("event", logged);
+}
+
+function finishJob(job, status) {
+    if (job.finishedAt) return;
+
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    addEvent(job, { type: "status", status, error: job.error || undefined });
+    job.emitter.removeAllListeners();
+
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
@@ -0,0 +1,213 @@
+import { addDays, weekdayOf } from "./calendar.js";
+
+// Labour rules for cast working hours
+// Rule sets are assigned per character. A character's day runs from the start of their first scene to the end of
+// their last (in shooting order, company moves included), plus the breaks and tutoring the rules call for:
+//   maxHoursPerDay     on set, shooting + breaks + tutoring
+//   maxHoursPerWeek    on set across a calendar week (Monday to Sunday with a shooting calendar, days 1-7,
+//                      8-14... without one)
+//   breakEveryHours    a rest or meal break of breakMinutes is due after every this many hours of work
+//   tutorHoursPerDay   schooling that has to fit into the day, a tutor has to be booked for it
+// Given as JSON:
+// {
+//   "cast": { "Raisha": "minor", "Haikal": "sag", "Joe": { "profile": "sag", "maxHoursPerDay": 10 } },
+//   "profiles": { "stunt": { "maxHoursPerDay": 10, "breakEveryHours": 4, "breakMinutes": 30 } }
+// }
+// The scheduler keeps a scene off a day that would break a rule, the cost model counts a breach as a hard constraint
+
+export const LABOUR_PROFILES = {
+    // Minors - short days with schooling and regular rests
+    minor: {
+        maxHoursPerDay: 9,
+        maxHoursPerWeek: 40,
+        breakEveryHours: 3,
+        breakMinutes: 15,
+        tutorHoursPerDay: 3,
+    },
+    // Union performers, SAG style - meal break every six hours
+    sag: {
+        maxHoursPerDay: 12,
+        maxHoursPerWeek: 60,
+        breakEveryHours: 6,
+        breakMinutes: 30,
+        tutorHoursPerDay: 0,
+    },
+};
+
+// Rules left out of a custom profile don't apply
+const NO_RULES = {
+    maxHoursPerDay: null,
+    maxHoursPerWeek: null,
+    breakEveryHours: null,
+    breakMinutes: 0,
+    tutorHoursPerDay: 0,
+};
+
+function normalizeName(name) {
+    return String(name).trim().toUpperCase();
+}
+
+function roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+}
+
+function checkRules(rules, label) {
+    for (const [key, value] of Object.entries(rules)) {
+        if (!Object.hasOwn(NO_RULES, key)) throw new Error(`labour: unknown rule "${key}" in ${label}`);
+        if (value !== null && (typeof value !== "number" || value < 0)) {
+            throw new Error(`labour: ${key} in ${label} must be a number from 0 or null`);
+        }
+    }
+    if (rules.breakEveryHours === 0) throw new Error(`labour: breakEveryHours in ${label} must be more than 0`);
+    return rules;
+}
+
+// null when there are no labour settings. dayToDate (calendar.js) puts days into calendar weeks,
+// travel (travel.js) adds company moves to a character's day
+export function createLabourRules(settings, { dayToDate = null, travel = null } = {}) {
+    if (settings === null || settings === undefined) return null;
+    if (typeof settings !== "object" || Array.isArray(settings)) {
+        throw new Error("labour must be an object with the cast's rule profiles");
+    }
+
+    const { cast = {}, profiles = {}, ...unknown } = settings;
+    if (Object.keys(unknown).length > 0) throw new Error(`Unknown labour setting "${Object.keys(unknown)[0]}"`);
+
+    const allProfiles = { ...LABOUR_PROFILES };
+    for (const [name, rules] of Object.entries(profiles)) {
+        allProfiles[name] = { ...NO_RULES, ...checkRules({ ...rules }, `profile ${name}`) };
+    }
+
+    // Character (normalised) to { name, profile, rules }
+    const castRules = new Map();
+    for (const [name, entry] of Object.entries(cast)) {
+        const { profile, ...overrides } = typeof entry === "string" ? { profile: entry } : (entry || {});
+        if (!Object.hasOwn(allProfiles, profile)) {
+            throw new Error(`labour: ${name} has unknown profile "${profile}". Available: ${Object.keys(allProfiles).join(", ")}`);
+        }
+        castRules.set(normalizeName(name), { name, profile, rules: { ...allProfiles[profile], ...checkRules(overrides, name) } });
+    }
+
+    function weekOf(day) {
+        const date = dayToDate ? dayToDate(day) : null;
+        if (!date) return `days ${Math.floor((day - 1) / 7) * 7 + 1}-${Math.floor((day - 1) / 7) * 7 + 7}`;
+
+        const sinceMonday = (["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"].indexOf(weekdayOf(date)));
+        return `week of ${addDays(date, -sinceMonday)}`;
+    }
+
+    // Hours on set for every ruled character in a day's scenes, in shooting order
+    function castDay(dayScenes) {
+        const times = new Map();
+        let clock = 0;
+        dayScenes.forEach((scene, i) => {
+            const previous = dayScenes[i - 1];
+            if (travel && previous && normalizeName(previous.location_name) !== normalizeName(scene.location_name)) {
+                clock += travel.moveTime(previous.location_name, scene.location_name).hours;
+            }
+            const start = clock;
+            clock += scene.estimatedTime;
+
+            (scene.characters || []).forEach(character => {
+                const key = normalizeName(character);
+                if (!castRules.has(key)) return;
+                const entry = times.get(key) || { start, end: clock, shootingHours: 0, scenes: [] };
+                entry.end = clock;
+                entry.shootingHours += scene.estimatedTime;
+                entry.scenes.push(scene.scene_number);
+                times.set(key, entry);
+            });
+        });
+
+        return [...times.entries()].map(([key, { start, end, shootingHours, scenes }]) => {
+            const { name, profile, rules } = castRules.get(key);
+            const workHours = end - start;
+            const breaks = rules.breakEveryHours ? Math.floor(workHours / rules.breakEveryHours) : 0;
+            const breakHours = breaks * rules.breakMinutes / 60;
+            const tutorHours = rules.tutorHoursPerDay || 0;
+
+            return {
+                name,
+                profile,
+                rules,
+                scenes,
+                shootingHours: roundHours(shootingHours),
+                workHours: roundHours(workHours),
+                breaks,
+                breakHours: roundHours(breakHours),
+                tutorHours,
+                onSetHours: roundHours(workHours + breakHours + tutorHours),
+            };
+        });
+    }
+
+    // Compliance for every day, days being arrays of scenes in shooting order (days[i] is day i + 1)
+    // Each day lists its ruled cast with their hours, what has to be booked for them and any breaches
+    function reportDays(days) {
+        const weekHours = new Map(); // `${week}|${character}` to on set hours so far
+
+        return days.map((dayScenes, i) => {
+            const day = i + 1;
+            const week = weekOf(day);
+            const breaches = [];
+            const requirements = [];
+
+            const cast = castDay(dayScenes).map(({ rules, ...member }) => {
+                const key = `${week}|${normalizeName(member.name)}`;
+                const weekTotal = roundHours((weekHours.get(key) || 0) + member.onSetHours);
+                weekHours.set(key, weekTotal);
+
+                if (rules.maxHoursPerDay !== null && member.onSetHours > rules.maxHoursPerDay) {
+                    breaches.push({
+                        character: member.name,
+                        rule: "maxHoursPerDay",
+                        message: `${member.name} (${member.profile}) is on set ${member.onSetHours} hours - ${member.workHours} working, ${member.breakHours} breaks, ${member.tutorHours} tutoring - limit is ${rules.maxHoursPerDay}`,
+                    });
+                }
+                if (rules.maxHoursPerWeek !== null && weekTotal > rules.maxHoursPerWeek) {
+                    breaches.push({
+                        character: member.name,
+                        rule: "maxHoursPerWeek",
+                        message: `${member.name} (${member.profile}) reaches ${weekTotal} hours in the ${week}, limit is ${rules.maxHoursPerWeek}`,
+                    });
+                }
+                if (member.tutorHours > 0) {
+                    requirements.push({ character: member.name, type: "tutor", hours: member.tutorHours });
+                }
+                if (member.breaks > 0) {
+                    requirements.push({ character: member.name, type: "break", count: member.breaks, minutes: rules.breakMinutes });
+                }
+
+                return { ...member, weekHours: weekTotal };
+            });
+
+            return { day, week, cast, requirements, breaches };
+        });
+    }
+
+    return {
+        settings: { ...settings },
+        reportDays,
+        // Whether the scene can join the day without a new breach, days before it as arrays of scenes and ordered
+        // putting the day in shooting order
+        canAdd(previousDays, dayScenes, scene, ordered = scenes => scenes) {
+            if (!(scene.characters || []).some(character => castRules.has(normalizeName(character)))) return true;
+
+            const breaches = day => reportDays([...previousDays, day])[previousDays.length].breaches.length;
+            return breaches(ordered([...dayScenes, scene])) <= breaches(ordered([...dayScenes]));
+        },
+        // Why the scene breaks its cast's rules even on a day of its own, so no day will ever take it.
+        // Empty if it fits
+        sceneBreaches(scene) {
+            return reportDays([[scene]])[0].breaches.map(breach => `Scene ${scene.scene_number} on its own: ${breach.message}`);
+        },
+    };
+}
+
+// Adds each day's labour compliance to a { day, scenes, totalTime } schedule, as is without labour rules
+export function addLabourReport(schedule, labour) {
+    if (!labour) return schedule;
+
+    const reports = labour.reportDays(schedule.map(day => day.scenes));
+    return schedule.map((day, i) => ({ ...day, labour: reports[i] }));
+}
@@ -0,0 +1,156 @@
+import Anthropic from "@anthropic-ai/sdk";
+import OpenAI from "openai";
+import { extractPdfText } from "./localParser.js";
+
+// LLM providers for scene extraction
+// Every provider takes the same PDF chunk and prompt and hands back the raw text reply, so the prompt
+// and the JSON parsing in extractData() are shared and breakdowns from different models stay comparable.
+// pdfBuffer can be left out for text only follow ups like JSON repairs, signal aborts the request (cancelled jobs)
+//
+// Chosen per request (provider, model, maxTokens) or from env:
+//   LLM_PROVIDER                 anthropic | openai | openai-compatible (default anthropic)
+//   LLM_MODEL                    model of the LLM_PROVIDER, other providers use their own default
+//   LLM_MAX_TOKENS
+//   OPENAI_COMPATIBLE_BASE_URL   e.g. http://localhost:11434/v1 for Ollama
+//   OPENAI_COMPATIBLE_API_KEY    if the local endpoint wants one
+//   LLM_RESPONSE_LOG             file every raw extraction reply is appended to, off when not set
+
+const DEFAULT_MAX_TOKENS = 12000;
+
+let anthropicClient;
+let openaiClient;
+let compatibleClient;
+
+const PROVIDERS = {
+  anthropic: {
+    defaultModel: "claude-sonnet-4-6",
+
+    // Claude API accepts PDFs as base64 directly — no file upload step needed
+    async complete({ pdfBuffer, prompt, model, maxTokens, signal }) {
+      anthropicClient = anthropicClient || new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+
+      const response = await anthropicClient.messages.create({
+        model,
+        max_tokens: maxTokens,
+        messages: [
+          {
+            role: "user",
+            content: [
+              ...(pdfBuffer ? [{
+                type: "document",
+                source: {
+                  type: "base64",
+                  media_type: "application/pdf",
+                  data: pdfBuffer.toString("base64"),
+                },
+              }] : []),
+              {
+                type: "text",
+                text: prompt,
+              },
+            ],
+          },
+        ],
+      }, { signal });
+
+      // Claude returns content as an array of blocks; extract the text block
+      return response.content?.find((block) => block.type === "text")?.text;
+    },
+  },
+
+  openai: {
+    defaultModel: "gpt-4o",
+
+    // OpenAI takes the PDF as a file part of the message
+    async complete({ pdfBuffer, prompt, model, maxTokens, signal }) {
+      openaiClient = openaiClient || new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+      const response = await openaiClient.chat.completions.create({
+        model,
+        max_completion_tokens: maxTokens,
+        messages: [
+          {
+            role: "user",
+            content: [
+              ...(pdfBuffer ? [{
+                type: "file",
+                file: {
+                  filename: "script_chunk.pdf",
+                  file_data: `data:application/pdf;base64,${pdfBuffer.toString("base64")}`,
+                },
+              }] : []),
+              {
+                type: "text",
+                text: prompt,
+              },
+            ],
+          },
+        ],
+      }, { signal });
+
+      return response.choices[0]?.message?.content;
+    },
+  },
+
+  // Local servers (Ollama, LM Studio, vLLM...) mostly can't read PDFs, so they get the page text instead
+  "openai-compatible": {
+    defaultModel: null,
+
+    async complete({ pdfBuffer, prompt, model, maxTokens, signal }) {
+      compatibleClient = compatibleClient || new OpenAI({
+        baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL,
+        apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || "not-needed",
+      });
+
+      const scriptText = pdfBuffer ? await extractPdfText(pdfBuffer) : null;
+
+      const response = await compatibleClient.chat.completions.create({
+        model,
+        max_tokens: maxTokens,
+        messages: [
+          {
+            role: "user",
+            content: scriptText ? `SCREENPLAY:\n${scriptText}\n\n${prompt}` : prompt,
+          },
+        ],
+      }, { signal });
+
+      return response.choices[0]?.message?.content;
+    },
+  },
+};
+
+// Resolves provider, model and max_tokens from the request options with env as fallback
+// Throws on anything unusable so bad settings are caught before any chunk is sent
+export function getLLMProvider({ provider, model, maxTokens } = {}) {
+  const defaultProvider = process.env.LLM_PROVIDER || "anthropic";
+  const name = provider || defaultProvider;
+  if (!Object.hasOwn(PROVIDERS, name)) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+
+  const implementation = PROVIDERS[name];
+
+  // LLM_MODEL names a model of LLM_PROVIDER, it means nothing to the others
+  const envModel = name === defaultProvider ? process.env.LLM_MODEL : undefined;
+  const resolvedModel = model || envModel || implementation.defaultModel;
+  if (!resolvedModel) {
+    throw new Error(`A model is required for the ${name} provider (model, or LLM_MODEL with LLM_PROVIDER=${name})`);
+  }
+  if (name === "openai-compatible" && !process.env.OPENAI_COMPATIBLE_BASE_URL) {
+    throw new Error("OPENAI_COMPATIBLE_BASE_URL must be set to use the openai-compatible provider");
+  }
+
+  const resolvedMaxTokens = Number(maxTokens || process.env.LLM_MAX_TOKENS || DEFAULT_MAX_TOKENS);
+  if (!Number.isInteger(resolvedMaxTokens) || resolvedMaxTokens <= 0) {
+    throw new Error("maxTokens must be a positive whole number");
+  }
+
+  return {
+    name,
+    model: resolvedModel,
+    maxTokens: resolvedMaxTokens,
+    complete: ({ pdfBuffer = null, prompt, signal }) =>
+      implementation.complete({ pdfBuffer, prompt, model: resolvedModel, maxTokens: resolvedMaxTokens, signal }),
+  };
+}
@@ -0,0 +1,242 @@
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
+import { TIMES_OF_DAY } from "./sceneSchema.js";
+import { compareSceneNumbers } from "./sceneMerge.js";
+
+// Deterministic scene extraction straight from the PDF text - no LLM involved
+// Scenes are split on sluglines, speaking characters come from ALL CAPS dialogue cues and page length
+// from how much of each page the scene takes up. Returns scenes in the same shape as extractData()
+
+const LOCATION_TYPES = [
+    ["INT./EXT.", "INT/EXT"], ["INT/EXT.", "INT/EXT"], ["INT/EXT", "INT/EXT"],
+    ["EXT./INT.", "INT/EXT"], ["EXT/INT.", "INT/EXT"], ["EXT/INT", "INT/EXT"],
+    ["I/E.", "I/E"], ["I/E", "I/E"],
+    ["INT.", "INT"], ["EXT.", "EXT"]
+];
+
+const TRANSITIONS = /^(FADE IN|FADE OUT|FADE TO|CUT TO|SMASH CUT|MATCH CUT|DISSOLVE TO|JUMP CUT|CONTINUED|THE END|INTERCUT|BACK TO)/;
+const SCENE_NUMBER = /^\d+[A-Z]{0,2}$/;
+
+// A, B ... Z, AA, AB ... ZZ for scenes printed without a number
+const LETTERS = [..."ABCDEFGHIJKLMNOPQRSTUVWXYZ"];
+const FALLBACK_SUFFIXES = [...LETTERS, ...LETTERS.flatMap(first => LETTERS.map(second => first + second))];
+
+// Screenplay timing rule used by the prompt: 2 hours a page, never less than half an hour
+const HOURS_PER_PAGE = 2;
+
+// Rebuild text lines from pdfjs items by grouping on their baseline, top of the page first
+async function getPageLines(pdf) {
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const content = await page.getTextContent();
+
+        const rows = new Map();
+        for (const item of content.items) {
+            if (!item.str || !item.str.trim()) continue;
+            const y = Math.round(item.transform[5]);
+            if (!rows.has(y)) rows.set(y, []);
+            rows.get(y).push(item);
+        }
+
+        const lines = [...rows.entries()]
+            .sort((a, b) => b[0] - a[0])
+            .map(([y, items]) => ({
+                page: pageNumber,
+                y,
+                text: items
+                    .sort((a, b) => a.transform[4] - b.transform[4])
+                    .map(item => item.str)
+                    .join(" ")
+                    .replace(/\s+/g, " ")
+                    .trim()
+            }));
+
+        pages.push(lines);
+    }
+
+    return pages;
+}
+
+// Pull location type, names, time of day and scene number out of a slugline, null if it isn't one
+// Handles "12 INT. HOUSE - KITCHEN - NIGHT 12" as well as the "NIGHT. INT. RUMAH BESAR. DINING HALL 10" style
+export function parseSlugline(line) {
+    let tokens = line.trim().split(/\s+/);
+    let sceneNumber = null;
+
+    if (tokens.length > 1 && SCENE_NUMBER.test(tokens[0])) {
+        sceneNumber = tokens.shift();
+    }
+    if (tokens.length > 1 && SCENE_NUMBER.test(tokens[tokens.length - 1])) {
+        sceneNumber = sceneNumber || tokens[tokens.length - 1];
+        tokens.pop();
+    }
+
+    // Time of day may come before the location type
+    let leadingTime = null;
+    const firstWord = tokens[0]?.replace(/[.\-–—,]+$/, "").toUpperCase();
+    if (tokens.length > 1 && TIMES_OF_DAY[firstWord]) {
+        leadingTime = TIMES_OF_DAY[firstWord];
+        tokens.shift();
+    }
+
+    const typeToken = tokens[0]?.toUpperCase();
+    const locationType = LOCATION_TYPES.find(([prefix]) => typeToken === prefix);
+    if (!locationType || tokens.length < 2) return null;
+
+    const rest = tokens.slice(1).join(" ");
+    if (rest !== rest.toUpperCase()) return null; // sluglines are in caps, action lines that start with "Int." aren't
+
+    const parts = rest.split(/\s+[-–—]+\s+|\.\s+|\s*\/\/\s*/).map(p => p.replace(/[.\s]+$/, "").trim()).filter(Boolean);
+
+    let timeOfDay = leadingTime;
+    const lastPart = parts[parts.length - 1]?.toUpperCase();
+    if (parts.length > 1 && TIMES_OF_DAY[lastPart]) {
+        timeOfDay = timeOfDay || TIMES_OF_DAY[lastPart];
+        parts.pop();
+    }
+
+    return {
+        scene_number: sceneNumber,
+        scene_heading: line.trim(),
+        location_type: locationType[1],
+        location_name: parts[0] || "",
+        sub_location_name: parts.slice(1).join(". "),
+        time_of_day: timeOfDay || "UNKNOWN"
+    };
+}
+
+// A dialogue cue: short, ALL CAPS, not a transition, followed by the line that is spoken
+function getCharacterCue(line, nextLine) {
+    const name = line
+        .replace(/\((V\.O\.|O\.S\.|O\.C\.|CONT'D|CONT’D|CONT|OS|VO)\)/gi, "")
+        .replace(/\^/g, "")
+        .trim();
+
+    if (!name || name !== name.toUpperCase() || !/[A-Z]/.test(name)) return null;
+    if (name.length > 30 || name.split(" ").length > 4) return null;
+    if (TRANSITIONS.test(name) || /[:!?]$/.test(name) || /^\d/.test(name)) return null;
+    if (!nextLine || parseSlugline(nextLine.text)) return null;
+
+    return name
+        .toLowerCase()
+        .replace(/(^|[\s-])\S/g, letter => letter.toUpperCase());
+}
+
+// Fraction of a page a scene's lines cover on each page, measured against the tallest text block in the
+// script so a short last page doesn't count as a full one
+function estimatePages(sceneLines, pageExtents) {
+    const fullPageHeight = Math.max(...pageExtents.map(({ top, bottom, lineHeight }) => top - bottom + lineHeight));
+
+    const byPage = new Map();
+    for (const line of sceneLines) {
+        if (!byPage.has(line.page)) byPage.set(line.page, []);
+        byPage.get(line.page).push(line.y);
+    }
+
+    let pages = 0;
+    for (const [page, ys] of byPage) {
+        const { lineHeight } = pageExtents[page - 1];
+        pages += (Math.max(...ys) - Math.min(...ys) + lineHeight) / fullPageHeight;
+    }
+
+    // Round to eighths of a page, the smallest unit scripts are timed in
+    return Math.max(1, Math.round(pages * 8)) / 8;
+}
+
+function getPageExtents(pages) {
+    return pages.map(lines => {
+        if (lines.length === 0) return { top: 0, bottom: 0, lineHeight: 12 };
+        const ys = lines.map(line => line.y);
+        const gaps = ys.slice(1).map((y, i) => ys[i] - y).filter(gap => gap > 0);
+        return {
+            top: Math.max(...ys),
+            bottom: Math.min(...ys),
+            lineHeight: gaps.length ? Math.min(...gaps) : 12
+        };
+    });
+}
+
+function buildScene(slug, sceneLines, pageExtents, sceneNumber) {
+    const body = sceneLines.slice(1);
+
+    const characters = [];
+    body.forEach((line, i) => {
+        const cue = getCharacterCue(line.text, body[i + 1]);
+        if (cue && !characters.includes(cue)) characters.push(cue);
+    });
+
+    // First action line as a plain summary - no interpretation
+    const actionLine = body.find(line => line.text !== line.text.toUpperCase());
+    const summary = actionLine ? actionLine.text.split(/(?<=[.!?])\s/)[0].slice(0, 200) : "";
+
+    const pageEstimate = estimatePages(sceneLines, pageExtents);
+
+    return {
+        scene_number: /^\d+$/.test(String(sceneNumber)) ? Number(sceneNumber) : sceneNumber,
+        scene_heading: slug.scene_heading,
+        location_type: slug.location_type,
+        location_name: slug.location_name,
+        sub_location_name: slug.sub_location_name,
+        time_of_day: slug.time_of_day,
+        characters,
+        props: [],
+        wardrobe: [],
+        set_dressing: [],
+        vehicles: [],
+        vfx: [],
+        sfx: [],
+        stunts: [],
+        extras: [],
+        lines_count: body.length,
+        page_estimate: pageEstimate,
+        scene_summary: summary,
+        estimatedTime: Math.max(0.5, Math.ceil(pageEstimate * HOURS_PER_PAGE * 2) / 2)
+    };
+}
+
+export async function parseScriptLocally(buffer) {
+    const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(buffer) }).promise;
+    const pages = await getPageLines(pdf);
+    const pageExtents = getPageExtents(pages);
+
+    const found = [];
+    for (const line of pages.flat()) {
+        const slug = parseSlugline(line.text);
+        if (slug) {
+            found.push({ slug, lines: [line] });
+        } else if (found.length > 0) {
+            found[found.length - 1].lines.push(line); // anything before the first slugline is the title page
+        }
+    }
+
+    const printed = new Set(found.map(({ slug }) => slug.scene_number?.toUpperCase()).filter(Boolean));
+    let previous = null;
+    return found.map(({ slug, lines }, i) => {
+        previous = slug.scene_number ?? fallbackSceneNumber(previous, i, printed);
+        return buildScene(slug, lines, pageExtents, previous);
+    });
+}
+
+// A number for a slugline printed without one that keeps its place in script order and is never one of the
+// printed numbers (sceneMerge would take the two for the same scene): the scene before's number with the next
+// free letter, 12 -> 12A -> 12B. Scripts with no numbers at all are numbered 1, 2, 3...
+function fallbackSceneNumber(previous, index, printed) {
+    if (printed.size === 0) return String(index + 1);
+
+    const after = previous ?? "0";
+    const base = String(after).match(/^\d+/)[0];
+    return FALLBACK_SUFFIXES
+        .map(suffix => base + suffix)
+        .find(candidate => !printed.has(candidate) && compareSceneNumbers(candidate, after) > 0);
+}
+
+// Plain text of the script, page by page, for models that can't read the PDF itself
+export async function extractPdfText(buffer) {
+    const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(buffer) }).promise;
+    const pages = await getPageLines(pdf);
+
+    return pages
+        .map((lines, i) => `--- Page ${i + 1} ---\n` + lines.map(line => line.text).join("\n"))
+        .join("\n\n");
+}
@@ -0,0 +1,131 @@
+// Scene locks and hand moves
+// A lock pins a scene to a shooting day, optionally to a position in that day (1 = first shot of the day).
+// The schedulers place locked scenes first and only optimise the rest, the cost model treats a broken
+// lock as a hard constraint and reports what every lock costs (see costModel.js)
+
+function sceneKey(sceneNumber) {
+    return String(sceneNumber).trim().toUpperCase();
+}
+
+export function isSameScene(scene, sceneNumber) {
+    return sceneKey(scene.scene_number) === sceneKey(sceneNumber);
+}
+
+// Checks a list of { scene_number, day, position } and returns it cleaned up, throws on anything unusable
+export function normalizeLocks(locks = []) {
+    if (!Array.isArray(locks)) throw new Error("locks must be a list of { scene_number, day, position }");
+
+    const seen = new Set();
+    return locks.map(lock => {
+        const { scene_number, day, position = null } = lock || {};
+        if (scene_number === undefined || scene_number === null || String(scene_number).trim() === "") {
+            throw new Error("Every lock needs a scene_number");
+        }
+        if (!Number.isInteger(Number(day)) || Number(day) < 1) {
+            throw new Error(`Scene ${scene_number}: lock day must be a shooting day number from 1`);
+        }
+        if (position !== null && (!Number.isInteger(Number(position)) || Number(position) < 1)) {
+            throw new Error(`Scene ${scene_number}: lock position must be a whole number from 1`);
+        }
+        if (seen.has(sceneKey(scene_number))) throw new Error(`Scene ${scene_number} is locked twice`);
+        seen.add(sceneKey(scene_number));
+
+        return { scene_number, day: Number(day), position: position === null ? null : Number(position) };
+    });
+}
+
+export function findLock(locks, scene) {
+    return locks.find(lock => isSameScene(scene, lock.scene_number)) || null;
+}
+
+// Puts the scenes locked to a position back at that position, the rest keep their order around them
+export function applyLockedPositions(dayScenes, locks) {
+    const positioned = dayScenes
+        .map(scene => ({ scene, lock: findLock(locks, scene) }))
+        .filter(({ lock }) => lock && lock.position !== null)
+        .sort((a, b) => a.lock.position - b.lock.position);
+    if (positioned.length === 0) return dayScenes;
+
+    const ordered = dayScenes.filter(scene => !positioned.some(entry => entry.scene === scene));
+    positioned.forEach(({ scene, lock }) => {
+        ordered.splice(Math.min(lock.position - 1, ordered.length), 0, scene);
+    });
+
+    dayScenes.splice(0, dayScenes.length, ...ordered);
+    return dayScenes;
+}
+
+// Moves scenes by hand: [{ scene_number, toDay, position }] onto a copy of a { day, scenes, totalTime } schedule
+// A move past the last day adds days (empty ones in between stay as idle days)
+// Returns the new schedule and the moves that were made, throws if a scene isn't in the schedule
+export function applyManualMoves(schedule, moves) {
+    if (!Array.isArray(moves) || moves.length === 0) throw new Error("moves must be a list of { scene_number, toDay, position }");
+
+    const days = schedule.map(day => ({ ...day, scenes: [...day.scenes] }));
+    const applied = [];
+
+    for (const move of moves) {
+        const { scene_number, toDay, position = null } = move || {};
+        if (!Number.isInteger(Number(toDay)) || Number(toDay) < 1) {
+            throw new Error(`Scene ${scene_number}: toDay must be a shooting day number from 1`);
+        }
+        if (position !== null && (!Number.isInteger(Number(position)) || Number(position) < 1)) {
+            throw new Error(`Scene ${scene_number}: position must be a whole number from 1`);
+        }
+
+        const fromDay = days.find(day => day.scenes.some(scene => isSameScene(scene, scene_number)));
+        if (!fromDay) throw new Error(`Scene ${scene_number} is not in the schedule`);
+
+        const scene = fromDay.scenes.find(s => isSameScene(s, scene_number));
+        fromDay.scenes = fromDay.scenes.filter(s => s !== scene);
+
+        while (days.length < Number(toDay)) {
+            days.push({ day: days.length + 1, scenes: [] });
+        }
+        const target = days.find(day => day.day === Number(toDay));
+        const index = position === null ? target.scenes.length : Math.min(Number(position) - 1, target.scenes.length);
+        target.scenes.splice(index, 0, scene);
+
+        applied.push({ scene_number: scene.scene_number, fromDay: fromDay.day, toDay: target.day, position: index + 1 });
+    }
+
+    return {
+        schedule: days.map(day => ({ ...day, totalTime: day.scenes.reduce((total, scene) => total + scene.estimatedTime, 0) })),
+        moves: applied,
+    };
+}
+
+// Rebuilds a schedule from the day lists of a stripboard: [[scene_number, ...], ...] in shooting order, one list
+// per day. Every scene of the schedule has to be on exactly one day. Throws otherwise
+export function arrangeSchedule(schedule, dayLists) {
+    if (!Array.isArray(dayLists) || !dayLists.every(Array.isArray)) {
+        throw new Error("days must be a list of days, each a list of scene numbers");
+    }
+
+    const scenes = schedule.flatMap(day => day.scenes);
+    const placed = new Set();
+
+    const days = dayLists.map((sceneNumbers, i) => {
+        const dayScenes = sceneNumbers.map(sceneNumber => {
+            const scene = scenes.find(s => isSameScene(s, sceneNumber));
+            if (!scene) throw new Error(`Scene ${sceneNumber} is not in the schedule`);
+            if (placed.has(scene)) throw new Error(`Scene ${sceneNumber} is on more than one day`);
+            placed.add(scene);
+            return scene;
+        });
+
+        return {
+            ...(schedule[i] || {}),
+            day: i + 1,
+            scenes: dayScenes,
+            totalTime: dayScenes.reduce((total, scene) => total + scene.estimatedTime, 0),
+        };
+    });
+
+    const missing = scenes.filter(scene => !placed.has(scene));
+    if (missing.length > 0) {
+        throw new Error(`Scenes missing from the board: ${missing.map(scene => scene.scene_number).join(", ")}`);
+    }
+
+    return days;
+}
@@ -0,0 +1,196 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID, createHash } from "node:crypto";
+import { fileURLToPath } from "url";
+
+// File backed project store
+// A project holds the script uploads, every breakdown extracted from them and every schedule built from a
+// breakdown, each as its own numbered version. Lives in PROJECTS_DIR, .projects next to the server by default:
+//
+//   <projectId>/project.json              name, dates and an index of everything below
+//   <projectId>/scripts/<id>.pdf
+//   <projectId>/breakdowns/<id>.json      { scenes, validation, merge, ... }
+//   <projectId>/schedules/<id>.json       { schedule, conflicts, costBreakdown, ... }
+
+const PROJECTS_DIR = process.env.PROJECTS_DIR
+    || path.join(path.dirname(fileURLToPath(import.meta.url)), ".projects");
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Ids end up in file paths, anything that isn't one of ours is treated as not found
+function isId(id) {
+    return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+function projectDir(projectId) {
+    return path.join(PROJECTS_DIR, projectId);
+}
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+        return null;
+    }
+}
+
+// Written to a temp file first so a crash never leaves half a project.json behind
+function writeJSON(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+function readProject(projectId) {
+    if (!isId(projectId)) return null;
+    return readJSON(path.join(projectDir(projectId), "project.json"));
+}
+
+function writeProject(project) {
+    project.updatedAt = new Date().toISOString();
+    writeJSON(path.join(projectDir(project.id), "project.json"), project);
+}
+
+export function createProject({ name } = {}) {
+    if (typeof name !== "string" || !name.trim()) {
+        throw new Error("A project needs a name");
+    }
+
+    const now = new Date().toISOString();
+    const project = { id: randomUUID(), name: name.trim(), createdAt: now, updatedAt: now, scripts: [], breakdowns: [], schedules: [] };
+    writeProject(project);
+    return project;
+}
+
+// Project summaries, most recently changed first
+export function listProjects() {
+    if (!fs.existsSync(PROJECTS_DIR)) return [];
+
+    return fs.readdirSync(PROJECTS_DIR)
+        .map(readProject)
+        .filter(Boolean)
+        .map(project => ({
+            id: project.id,
+            name: project.name,
+            createdAt: project.createdAt,
+            updatedAt: project.updatedAt,
+            scripts: project.scripts.length,
+            breakdowns: project.breakdowns.length,
+            schedules: project.schedules.length,
+        }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// The project with the index of its scripts, breakdowns and schedules, null if there is no such project
+export function getProject(projectId) {
+    return readProject(projectId);
+}
+
+export function deleteProject(projectId) {
+    if (!readProject(projectId)) return false;
+    fs.rmSync(projectDir(projectId), { recursive: true, force: true });
+    return true;
+}
+
+// Scripts are stored as uploaded. Returns the index entry, null if there is no such project
+export function addScript(projectId, { filename, buffer }) {
+    const project = readProject(projectId);
+    if (!project) return null;
+
+    const script = {
+        id: randomUUID(),
+        version: nextVersion(project.scripts),
+        filename,
+        size: buffer.length,
+        sha256: createHash("sha256").update(buffer).digest("hex"),
+        uploadedAt: new Date().toISOString(),
+    };
+
+    fs.mkdirSync(path.join(projectDir(projectId), "scripts"), { recursive: true });
+    fs.writeFileSync(path.join(projectDir(projectId), "scripts", `${script.id}.pdf`), buffer);
+
+    project.scripts.push(script);
+    writeProject(project);
+    return script;
+}
+
+// { ...index entry, buffer } or null
+export function getScript(projectId, scriptId) {
+    const project = readProject(projectId);
+    const script = project?.scripts.find(entry => entry.id === scriptId);
+    if (!script) return null;
+
+    return { ...script, buffer: fs.readFileSync(path.join(projectDir(projectId), "scripts", `${script.id}.pdf`)) };
+}
+
+// breakdown is { scriptId, scenes, ... } - whatever else comes with it (validation, merge, llm) is kept
+export function addBreakdown(projectId, breakdown) {
+    return addVersion(projectId, "breakdowns", breakdown, {
+        scriptId: breakdown.scriptId ?? null,
+        scenes: breakdown.scenes.length,
+    });
+}
+
+export function getBreakdown(projectId, breakdownId) {
+    return getVersion(projectId, "breakdowns", breakdownId);
+}
+
+// schedule is { breakdownId, title, schedule, ... } as returned by the scheduling routes
+export function addSchedule(projectId, schedule) {
+    return addVersion(projectId, "schedules", schedule, {
+        breakdownId: schedule.breakdownId ?? null,
+        title: schedule.title ?? null,
+        days: schedule.schedule.length,
+    });
+}
+
+export function getSchedule(projectId, scheduleId) {
+    return getVersion(projectId, "schedules", scheduleId);
+}
+
+// Schedule ids are unique across projects, so the export routes can find one without the project id
+export function findSchedule(scheduleId) {
+    if (!isId(scheduleId) || !fs.existsSync(PROJECTS_DIR)) return null;
+
+    for (const projectId of fs.readdirSync(PROJECTS_DIR)) {
+        const schedule = getSchedule(projectId, scheduleId);
+        if (schedule) return schedule;
+    }
+    return null;
+}
+
+// kind is "scripts", "breakdowns" or "schedules". Returns false if there was nothing to delete
+export function deleteEntry(projectId, kind, entryId) {
+    const project = readProject(projectId);
+    const entry = project?.[kind]?.find(item => item.id === entryId);
+    if (!entry) return false;
+
+    const extension = kind === "scripts" ? "pdf" : "json";
+    fs.rmSync(path.join(projectDir(projectId), kind, `${entry.id}.${extension}`), { force: true });
+
+    project[kind] = project[kind].filter(item => item.id !== entryId);
+    writeProject(project);
+    return true;
+}
+
+function nextVersion(entries) {
+    return entries.reduce((highest, entry) => Math.max(highest, entry.version), 0) + 1;
+}
+
+// Stores the full record in its own file and a short entry in the project index
+function addVersion(projectId, kind, data, indexFields) {
+    const project = readProject(projectId);
+    if (!project) return null;
+
+    const entry = { id: randomUUID(), version: nextVersion(project[kind]), createdAt: new Date().toISOString(), ...indexFields };
+    writeJSON(path.join(projectDir(projectId), kind, `${entry.id}.json`), { ...data, id: entry.id, projectId, version: entry.version, createdAt: entry.createdAt });
+
+    project[kind].push(entry);
+    writeProject(project);
+    return entry;
+}
+
+function getVersion(projectId, kind, entryId) {
+    if (!isId(projectId) || !isId(entryId)) return null;
+    return readJSON(path.join(projectDir(projectId), kind, `${entryId}.json`));
+}
@@ -0,0 +1,267 @@
+import { compareSceneNumbers } from "./sceneMerge.js";
+import { createCostModel, costOfDay, costModelForDay } from "./costModel.js";
+import { findLock, applyLockedPositions } from "./locks.js";
+
+// Script revisions against a breakdown that is already scheduled
+// diffBreakdowns() says what changed scene by scene, rescheduleRevision() fits the new draft into the existing
+// shooting days while moving as few strips as it can - already published days should stay recognisable
+
+// Days past the end of the schedule tried for a strip whose cast is unavailable before it's given up on
+const MAX_EXTRA_DAYS = 30;
+
+// Fields compared between drafts, characters are compared separately as sets
+const COMPARED_FIELDS = ["scene_heading", "location_type", "location_name", "sub_location_name", "time_of_day", "estimatedTime", "page_estimate"];
+
+function sceneKey(scene) {
+    return String(scene.scene_number).trim().toUpperCase();
+}
+
+function sceneSummary(scene) {
+    return { scene_number: scene.scene_number, scene_heading: scene.scene_heading };
+}
+
+function dayLength(day, maxDayTimeHours, costModel) {
+    return costModel.dayHours?.[day] ?? maxDayTimeHours;
+}
+
+function dayTime(scenes) {
+    return scenes.reduce((total, scene) => total + scene.estimatedTime, 0);
+}
+
+// Scene time plus company moves between them when the cost model knows travel times (see travel.js)
+function hoursUsed(scenes, costModel) {
+    return dayTime(scenes) + (costModel.travel ? costModel.travel.moveHours(scenes) : 0);
+}
+
+// Added, omitted and changed scenes between two breakdowns, matched on scene number
+// aScenes are the added scenes numbered in between existing ones (12A, 12B...)
+export function diffBreakdowns(previousScenes, revisedScenes) {
+    const previous = new Map(previousScenes.map(scene => [sceneKey(scene), scene]));
+    const revised = new Map(revisedScenes.map(scene => [sceneKey(scene), scene]));
+    const byNumber = (a, b) => compareSceneNumbers(a.scene_number, b.scene_number);
+
+    const added = revisedScenes.filter(scene => !previous.has(sceneKey(scene))).sort(byNumber);
+    const omitted = previousScenes.filter(scene => !revised.has(sceneKey(scene))).sort(byNumber);
+
+    const changed = [];
+    let unchanged = 0;
+    for (const scene of [...revisedScenes].sort(byNumber)) {
+        const before = previous.get(sceneKey(scene));
+        if (!before) continue;
+
+        const changes = {};
+        for (const field of COMPARED_FIELDS) {
+            if (String(before[field] ?? "") !== String(scene[field] ?? "")) {
+                changes[field] = { from: before[field] ?? null, to: scene[field] ?? null };
+            }
+        }
+
+        const charactersBefore = new Set((before.characters || []).map(name => name.toUpperCase()));
+        const charactersAfter = new Set((scene.characters || []).map(name => name.toUpperCase()));
+        const addedCharacters = [...charactersAfter].filter(name => !charactersBefore.has(name));
+        const removedCharacters = [...charactersBefore].filter(name => !charactersAfter.has(name));
+        if (addedCharacters.length > 0 || removedCharacters.length > 0) {
+            changes.characters = { added: addedCharacters, removed: removedCharacters };
+        }
+
+        if (Object.keys(changes).length > 0) {
+            changed.push({ ...sceneSummary(scene), changes });
+        } else {
+            unchanged++;
+        }
+    }
+
+    return {
+        added: added.map(sceneSummary),
+        omitted: omitted.map(sceneSummary),
+        changed,
+        aScenes: added.map(scene => scene.scene_number).filter(number => /^\d+[A-Z]+$/.test(String(number).trim().toUpperCase())),
+        unchanged,
+    };
+}
+
+// Fits a revised breakdown into an existing schedule instead of rebuilding it:
+//   - every strip stays on its day with the revised scene record swapped in, omitted scenes are taken out
+//   - days that now run over maxDayTimeHours (or their own length in costModel.dayHours) give up the strips
+//     that grew the most
+//   - new scenes (and the ones that had to move) go to the existing day where they add the least cost,
+//     next to a strip at the same location, or onto new days at the end when nothing has room
+//   - locked strips (costModel.locks, see locks.js) are never pulled, they go to their locked day and position
+// options.costModel prices the placements (see costModel.js), its availability keeps strips off days their
+// cast can't work. options.previousScenes is the old breakdown, so scenes it had but never got a day aren't
+// reported as added. Returns the new schedule, every strip whose day changed, and the strips that couldn't be placed
+export function rescheduleRevision(schedule, revisedScenes, maxDayTimeHours, options = {}) {
+    const { costModel = createCostModel({ maxDayTimeHours }), previousScenes = [] } = options;
+    const availability = costModel.availability && !costModel.availability.isEmpty ? costModel.availability : null;
+    const locks = costModel.locks || [];
+
+    const revised = new Map(revisedScenes.map(scene => [sceneKey(scene), scene]));
+    const previousDay = new Map();
+    const previousScene = new Map();
+    const moves = [];
+
+    const days = schedule.map(day => {
+        const scenes = [];
+        for (const scene of day.scenes) {
+            previousDay.set(sceneKey(scene), day.day);
+            previousScene.set(sceneKey(scene), scene);
+
+            if (revised.has(sceneKey(scene))) {
+                scenes.push(revised.get(sceneKey(scene)));
+            } else {
+                moves.push({ ...sceneSummary(scene), fromDay: day.day, toDay: null, reason: "omitted" });
+            }
+        }
+        return { day: day.day, scenes };
+    });
+
+    // Scenes that aren't on any day yet - new ones, and ones the old schedule couldn't place
+    const previouslyKnown = new Set(previousScenes.map(sceneKey));
+    const toPlace = revisedScenes
+        .filter(scene => !previousDay.has(sceneKey(scene)))
+        .sort((a, b) => compareSceneNumbers(a.scene_number, b.scene_number))
+        .map(scene => ({ scene, reason: previouslyKnown.has(sceneKey(scene)) ? "unscheduled" : "added" }));
+
+    // Locked strips that aren't on their locked day yet are moved there
+    for (const day of days) {
+        const misplaced = day.scenes.filter(scene => findLock(locks, scene) && findLock(locks, scene).day !== day.day);
+        day.scenes = day.scenes.filter(scene => !misplaced.includes(scene));
+        toPlace.push(...misplaced.map(scene => ({ scene, reason: "locked" })));
+    }
+
+    // Days pushed over the limit by longer scenes hand back the strips that grew the most, then the last strip.
+    // Locked strips stay, even if that leaves the day over
+    for (const day of days) {
+        let unlocked;
+        while (day.scenes.length > 1 && hoursUsed(day.scenes, costModel) > dayLength(day.day, maxDayTimeHours, costModel)
+            && (unlocked = day.scenes.filter(scene => !findLock(locks, scene))).length > 0) {
+            const growth = scene => scene.estimatedTime - (previousScene.get(sceneKey(scene))?.estimatedTime ?? 0);
+            const pulled = unlocked.reduce((most, scene) => (growth(scene) > growth(most) ? scene : most), unlocked[unlocked.length - 1]);
+
+            day.scenes = day.scenes.filter(scene => scene !== pulled);
+            toPlace.push({ scene: pulled, reason: "overtime" });
+        }
+    }
+
+    // Locked strips first, so the others are placed around them
+    const conflicts = [];
+    const lockedFirst = [...toPlace.filter(({ scene }) => findLock(locks, scene)), ...toPlace.filter(({ scene }) => !findLock(locks, scene))];
+    for (const { scene, reason } of lockedFirst) {
+        const lock = findLock(locks, scene);
+        const overHours = !lock && costModel.labour ? costModel.labour.sceneBreaches(scene) : [];
+        if (overHours.length > 0) {
+            conflicts.push({ ...sceneSummary(scene), reasons: overHours });
+            continue;
+        }
+
+        const day = lock ? lockedDay(days, lock.day) : findDayFor(scene, days, maxDayTimeHours, costModel, availability);
+        if (!day) {
+            conflicts.push({ ...sceneSummary(scene), reasons: ["No day within reach has room, the cast and elements available, the daylight it needs, the turnaround and the cast's hours"] });
+            continue;
+        }
+
+        day.scenes = withScene(day.scenes, scene);
+
+        const fromDay = previousDay.get(sceneKey(scene)) ?? null;
+        if (fromDay !== day.day) {
+            moves.push({ ...sceneSummary(scene), fromDay, toDay: day.day, reason });
+        }
+    }
+
+    // Days emptied by omissions keep their place so the days after them keep their numbers and dates,
+    // only the ones left at the end are dropped
+    days.sort((a, b) => a.day - b.day);
+    days.forEach(day => applyLockedPositions(day.scenes, locks));
+    while (days.length > 0 && days[days.length - 1].scenes.length === 0) {
+        days.pop();
+    }
+
+    return {
+        schedule: days.map(day => ({ day: day.day, scenes: day.scenes, totalTime: dayTime(day.scenes) })),
+        moves: moves.sort((a, b) => compareSceneNumbers(a.scene_number, b.scene_number)),
+        conflicts,
+    };
+}
+
+// The existing day where the scene adds the least cost, or a new day after the last one
+function findDayFor(scene, days, maxDayTimeHours, costModel, availability) {
+    const castCanWork = day => !availability || availability.unavailableCharacters(scene, day).length === 0;
+    const hasDaylight = (day, dayScenes) => !costModel.daylight || costModel.daylight.canAdd(day, dayScenes, scene);
+    const elementsAvailable = day => !costModel.elements || costModel.elements.canAdd(day, scene);
+
+    // The whole shoot as arrays of scenes, with the day's scenes replaced by placed
+    const shootWith = (dayNumber, placed) => {
+        const byDay = Array.from({ length: Math.max(dayNumber, ...days.map(day => day.day)) }, () => []);
+        days.forEach(day => { byDay[day.day - 1] = day.scenes; });
+        byDay[dayNumber - 1] = placed;
+        return byDay;
+    };
+
+    // Call times and weekly hours run on from one day to the next, so the whole shoot is checked with and
+    // without the scene
+    const chainedBreaches = (dayNumber, placed) => {
+        const byDay = shootWith(dayNumber, placed);
+        const turnaround = costModel.turnaround ? costModel.turnaround.planDays(byDay).flatMap(plan => plan.violations) : [];
+        const labour = costModel.labour ? costModel.labour.reportDays(byDay).flatMap(report => report.breaches) : [];
+        return turnaround.length + labour.length;
+    };
+    const keepsRestAndHours = (dayNumber, dayScenes, placed) =>
+        (!costModel.turnaround && !costModel.labour) || chainedBreaches(dayNumber, placed) <= chainedBreaches(dayNumber, dayScenes);
+
+    // Element hire runs from the first day an element is needed to the last, so it's priced over the whole shoot
+    const rentalCost = (dayNumber, placed) => (costModel.elements
+        ? costModel.elements.rentals(shootWith(dayNumber, placed)).reduce((total, rental) => total + rental.weight * (rental.last - rental.first + 1), 0) * costModel.weights.rentalDay
+        : 0);
+
+    let best = null;
+    for (const day of days) {
+        const placed = withScene(day.scenes, scene);
+        if (hoursUsed(placed, costModel) > dayLength(day.day, maxDayTimeHours, costModel)) continue;
+        if (!castCanWork(day.day) || !hasDaylight(day.day, day.scenes) || !elementsAvailable(day.day)) continue;
+        if (!keepsRestAndHours(day.day, day.scenes, placed)) continue;
+
+        const dayModel = costModelForDay(costModel, day.day);
+        const addedCost = costOfDay(placed, dayModel).total - costOfDay(day.scenes, dayModel).total
+            + rentalCost(day.day, placed) - rentalCost(day.day, day.scenes);
+        if (!best || addedCost < best.addedCost) best = { day, addedCost };
+    }
+    if (best) return best.day;
+
+    const lastDay = days.reduce((last, day) => Math.max(last, day.day), 0);
+    for (let dayNumber = lastDay + 1; dayNumber <= lastDay + MAX_EXTRA_DAYS; dayNumber++) {
+        if (!castCanWork(dayNumber) || !hasDaylight(dayNumber, []) || !elementsAvailable(dayNumber)) continue;
+        if (!keepsRestAndHours(dayNumber, [], [scene])) continue;
+
+        // Days skipped for availability, daylight, turnaround, labour rules or element windows stay in the schedule
+        // as idle days
+        for (let idle = lastDay + 1; idle < dayNumber; idle++) {
+            days.push({ day: idle, scenes: [] });
+        }
+        const day = { day: dayNumber, scenes: [] };
+        days.push(day);
+        return day;
+    }
+    return null;
+}
+
+// The day a locked strip goes to, added with idle days before it when the schedule isn't that long yet
+function lockedDay(days, dayNumber) {
+    const lastDay = days.reduce((last, day) => Math.max(last, day.day), 0);
+    for (let idle = lastDay + 1; idle <= dayNumber; idle++) {
+        days.push({ day: idle, scenes: [] });
+    }
+    return days.find(day => day.day === dayNumber);
+}
+
+// A copy of the day with the scene after the last strip at the same location (sub-location first),
+// at the end of the day otherwise
+function withScene(dayScenes, scene) {
+    const sameSet = dayScenes.map(other => other.location_name === scene.location_name && other.sub_location_name === scene.sub_location_name);
+    const sameLocation = dayScenes.map(other => other.location_name === scene.location_name);
+
+    let index = sameSet.lastIndexOf(true);
+    if (index === -1) index = sameLocation.lastIndexOf(true);
+    if (index === -1) index = dayScenes.length - 1;
+
+    return [...dayScenes.slice(0, index + 1), scene, ...dayScenes.slice(index + 1)];
+}
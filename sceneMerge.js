@@ -0,0 +1,112 @@
+// Merging scenes from overlapping PDF chunks
+// Neighbouring chunks share their boundary page, so a scene can come back from both - usually cut short in
+// one of them. Duplicates are collapsed to the most complete record and scenes are put in script order
+
+const SCENE_NUMBER_PARTS = /^(\d+)([A-Z]*)$/;
+
+function splitSceneNumber(sceneNumber) {
+    const match = String(sceneNumber).trim().toUpperCase().match(SCENE_NUMBER_PARTS);
+    return match ? { base: Number(match[1]), suffix: match[2] } : null;
+}
+
+// Natural scene number order: 1, 1A, 2, 12, 12A, 12B, 12AA - anything unrecognised goes last
+export function compareSceneNumbers(a, b) {
+    const partsA = splitSceneNumber(a);
+    const partsB = splitSceneNumber(b);
+
+    if (!partsA || !partsB) {
+        if (partsA) return -1;
+        if (partsB) return 1;
+        return String(a).localeCompare(String(b));
+    }
+
+    return partsA.base - partsB.base
+        || partsA.suffix.length - partsB.suffix.length
+        || partsA.suffix.localeCompare(partsB.suffix);
+}
+
+// Headings compared without punctuation, spacing or the scene numbers printed around them
+function normalizeHeading(heading) {
+    return String(heading || "")
+        .toUpperCase()
+        .replace(/^\s*\d+[A-Z]*\s+|\s+\d+[A-Z]*\s*$/g, "")
+        .replace(/[^A-Z0-9]/g, "");
+}
+
+function isSameHeading(a, b) {
+    const headingA = normalizeHeading(a);
+    const headingB = normalizeHeading(b);
+    if (!headingA || !headingB) return true;
+    return headingA === headingB || headingA.includes(headingB) || headingB.includes(headingA);
+}
+
+// How much a record has in it - a scene cut off at a chunk boundary has fewer lines, cast and elements
+function completeness(scene) {
+    let score = 0;
+    for (const value of Object.values(scene)) {
+        if (Array.isArray(value)) score += value.length;
+        else if (typeof value === "string" && value.trim()) score += 1;
+    }
+    return score + (Number(scene.lines_count) || 0) / 10 + (Number(scene.page_estimate) || 0);
+}
+
+// chunkScenes is an array of scene arrays, one per chunk in script order
+// Returns the merged scenes plus what was collapsed, scene numbers used twice for different scenes,
+// and the gaps in the numbering
+export function mergeChunkScenes(chunkScenes) {
+    const merged = [];
+    const duplicates = [];
+    const numberConflicts = [];
+
+    chunkScenes.forEach((scenes, chunkIndex) => {
+        for (const scene of scenes) {
+            const number = String(scene.scene_number).trim().toUpperCase();
+            const existing = merged.find(entry =>
+                entry.number === number && isSameHeading(entry.scene.scene_heading, scene.scene_heading)
+            );
+
+            if (!existing) {
+                if (merged.some(entry => entry.number === number)) {
+                    numberConflicts.push({ scene_number: scene.scene_number, scene_heading: scene.scene_heading, chunk: chunkIndex + 1 });
+                }
+                merged.push({ number, scene, chunk: chunkIndex + 1 });
+                continue;
+            }
+
+            // Keep the more complete record, the earlier chunk wins a tie
+            const keepNew = completeness(scene) > completeness(existing.scene);
+            duplicates.push({
+                scene_number: scene.scene_number,
+                keptChunk: keepNew ? chunkIndex + 1 : existing.chunk,
+                droppedChunk: keepNew ? existing.chunk : chunkIndex + 1
+            });
+            if (keepNew) {
+                existing.scene = scene;
+                existing.chunk = chunkIndex + 1;
+            }
+        }
+    });
+
+    const scenes = merged
+        .map(entry => entry.scene)
+        .sort((a, b) => compareSceneNumbers(a.scene_number, b.scene_number));
+
+    return { scenes, duplicates, numberConflicts, gaps: findSceneNumberGaps(scenes) };
+}
+
+// Whole scene numbers missing between the first and last scene - A-scenes never count as gaps
+// A run of missing numbers longer than the script has scenes is a misread scene number rather than lost scenes,
+// so it isn't listed (and a stray 9999 can't make this count to 9999)
+export function findSceneNumberGaps(scenes) {
+    const bases = [...new Set(scenes.map(scene => splitSceneNumber(scene.scene_number)?.base).filter(base => base !== undefined))]
+        .sort((a, b) => a - b);
+
+    const gaps = [];
+    for (let i = 1; i < bases.length; i++) {
+        if (bases[i] - bases[i - 1] - 1 > bases.length) continue;
+        for (let number = bases[i - 1] + 1; number < bases[i]; number++) {
+            gaps.push(number);
+        }
+    }
+    return gaps;
+}
@@ -0,0 +1,171 @@
+// Scene schema - every extracted scene is checked and normalized against this before it reaches the
+// scheduler, whichever provider (or the local parser) produced it
+
+// Canonical enum values, matching what the extraction prompt asks for
+export const LOCATION_TYPES = ["INT", "EXT", "INT/EXT", "I/E", "UNKNOWN"];
+export const TIMES_OF_DAY_VALUES = ["DAY", "NIGHT", "UNKNOWN"];
+
+// English and Malay times of day, folded to DAY / NIGHT
+export const TIMES_OF_DAY = {
+    DAY: "DAY", MORNING: "DAY", AFTERNOON: "DAY", EVENING: "DAY", DAWN: "DAY", SUNRISE: "DAY",
+    PAGI: "DAY", SIANG: "DAY", PETANG: "DAY", SUBUH: "DAY", TENGAHARI: "DAY",
+    NIGHT: "NIGHT", DUSK: "NIGHT", SUNSET: "NIGHT", MIDNIGHT: "NIGHT",
+    MALAM: "NIGHT", SENJA: "NIGHT", MAGHRIB: "NIGHT"
+};
+
+const LOCATION_TYPE_ALIASES = {
+    "INT": "INT", "INTERIOR": "INT", "DALAM": "INT",
+    "EXT": "EXT", "EXTERIOR": "EXT", "LUAR": "EXT",
+    "INT/EXT": "INT/EXT", "EXT/INT": "INT/EXT", "INT./EXT": "INT/EXT", "EXT./INT": "INT/EXT",
+    "I/E": "I/E", "E/I": "I/E",
+    "UNKNOWN": "UNKNOWN"
+};
+
+const STRING_FIELDS = ["scene_heading", "location_name", "sub_location_name", "scene_summary"];
+const LIST_FIELDS = ["characters", "props", "wardrobe", "set_dressing", "vehicles", "vfx", "sfx", "stunts", "extras"];
+
+// Same rule the prompt gives the model: 2 hours a page
+const HOURS_PER_PAGE = 2;
+
+// "2", "2 hours", "1.5h" -> number, anything else -> null
+function toNumber(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    if (typeof value !== "string") return null;
+
+    const match = value.replace(",", ".").match(/-?\d+(\.\d+)?/);
+    return match ? Number(match[0]) : null;
+}
+
+function toList(value) {
+    if (value === undefined || value === null || value === "") return [];
+    const items = Array.isArray(value) ? value : String(value).split(",");
+    return [...new Set(items.filter(item => typeof item === "string" || typeof item === "number").map(item => String(item).trim()).filter(Boolean))];
+}
+
+export function normalizeTimeOfDay(value) {
+    const key = String(value ?? "").trim().toUpperCase().replace(/[^A-Z]/g, "");
+    return TIMES_OF_DAY[key] || "UNKNOWN";
+}
+
+export function normalizeLocationType(value) {
+    const key = String(value ?? "").trim().toUpperCase().replace(/\s+/g, "").replace(/\.$/, "");
+    return LOCATION_TYPE_ALIASES[key] || LOCATION_TYPE_ALIASES[key.replace(/\./g, "")] || "UNKNOWN";
+}
+
+// Returns { scene, errors }. scene is null when the record can't be used at all
+export function normalizeScene(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        return { scene: null, errors: ["Scene is not an object"] };
+    }
+
+    // Scene numbers stay as they are printed: 12 stays a number, 12A a string
+    let sceneNumber = raw.scene_number;
+    if (typeof sceneNumber === "string") sceneNumber = sceneNumber.trim().toUpperCase();
+    if (typeof sceneNumber === "string" && /^\d+$/.test(sceneNumber)) sceneNumber = Number(sceneNumber);
+    if (!(typeof sceneNumber === "number" && Number.isFinite(sceneNumber)) && !(typeof sceneNumber === "string" && /^[0-9]+[A-Z]{0,3}$|^[A-Z]{1,3}[0-9]+$/.test(sceneNumber))) {
+        errors.push(`scene_number "${raw.scene_number}" is missing or not a scene number`);
+    }
+
+    const scene = { scene_number: sceneNumber };
+
+    for (const field of STRING_FIELDS) {
+        const value = raw[field];
+        scene[field] = value === undefined || value === null ? "" : String(value).trim();
+    }
+    if (!scene.scene_heading && !scene.location_name) {
+        errors.push("scene_heading and location_name are both empty");
+    }
+
+    scene.location_type = normalizeLocationType(raw.location_type);
+    scene.time_of_day = normalizeTimeOfDay(raw.time_of_day);
+
+    for (const field of LIST_FIELDS) {
+        scene[field] = toList(raw[field]);
+    }
+
+    scene.lines_count = Math.max(0, Math.round(toNumber(raw.lines_count) ?? 0));
+
+    const pageEstimate = toNumber(raw.page_estimate);
+    scene.page_estimate = pageEstimate !== null && pageEstimate >= 0 ? pageEstimate : null;
+
+    // Missing shooting time falls back on the page count, without either the scene can't be scheduled
+    let estimatedTime = toNumber(raw.estimatedTime);
+    if ((estimatedTime === null || estimatedTime <= 0) && scene.page_estimate) {
+        estimatedTime = scene.page_estimate * HOURS_PER_PAGE;
+    }
+    if (estimatedTime === null || estimatedTime <= 0) {
+        errors.push(`estimatedTime "${raw.estimatedTime}" is not a positive number of hours and there is no page_estimate to derive it from`);
+    }
+    scene.estimatedTime = estimatedTime;
+    if (scene.page_estimate === null) scene.page_estimate = estimatedTime > 0 ? estimatedTime / HOURS_PER_PAGE : 0;
+
+    return { scene: errors.length ? null : scene, errors };
+}
+
+// Splits raw model output into valid normalized scenes and the ones that failed, with reasons
+export function validateScenes(rawScenes) {
+    const scenes = [];
+    const invalid = [];
+
+    if (!Array.isArray(rawScenes)) {
+        return { scenes, invalid: [{ index: null, raw: rawScenes, errors: ['"scenes" is not an array'] }] };
+    }
+
+    rawScenes.forEach((raw, index) => {
+        const { scene, errors } = normalizeScene(raw);
+        if (scene) scenes.push(scene);
+        else invalid.push({ index, raw, errors });
+    });
+
+    return { scenes, invalid };
+}
+
+// Pull the JSON object out of a model reply, null if there isn't a parsable one
+export function parseModelJSON(text) {
+    if (typeof text !== "string") return null;
+
+    // Strip markdown fences
+    const stripped = text.replace(/```json|```/g, "").trim();
+
+    const jsonMatch = stripped.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
+
+    try {
+        return JSON.parse(jsonMatch[0]);
+    } catch {
+        return null;
+    }
+}
+
+// Ask the model to turn its own broken output into valid JSON - no script needed
+export function buildJSONRepairPrompt(brokenOutput) {
+    return `The following text was supposed to be a single JSON object of the form { "scenes": [ ... ] } but it is
+not valid JSON. Fix the syntax only (quotes, commas, brackets, truncation) without changing, adding or removing
+any scene data. If the text is cut off, drop the incomplete last scene.
+
+Return ONLY the raw JSON object. No explanation, no markdown, no backticks.
+
+TEXT:
+${brokenOutput}`;
+}
+
+// Ask the model to redo only the scenes that failed validation, telling it exactly what was wrong
+export function buildSceneRepairPrompt(invalidScenes) {
+    const problems = invalidScenes
+        .map(({ raw, errors }) => `${JSON.stringify(raw)}\n  Problems: ${errors.join("; ")}`)
+        .join("\n\n");
+
+    return `You previously extracted these scenes from the attached screenplay, but they failed validation:
+
+${problems}
+
+Re-read those scenes in the screenplay and return corrected versions of ONLY these scenes.
+- "scene_number" is the number printed on the slugline (Example: 1, 1A, 12A).
+- "location_type" is one of INT | EXT | INT/EXT | I/E | UNKNOWN.
+- "time_of_day" is one of DAY | NIGHT | UNKNOWN.
+- "estimatedTime" and "page_estimate" are plain numbers (a 1 page scene takes 2 hours).
+Do NOT add, invent, or hallucinate ANY information.
+
+Return ONLY a raw JSON object of the form { "scenes": [ ... ] }. No explanation, no markdown, no backticks.`;
+}
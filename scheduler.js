@@ -0,0 +1,348 @@
+import { TIMES_OF_DAY_VALUES } from "./sceneSchema.js";
+import { findLock, applyLockedPositions } from "./locks.js";
+
+// Days in a row with nothing shootable before the remaining scenes are given up on as conflicts
+const MAX_IDLE_DAYS = 30;
+
+// Schedule Scenes
+// options.availability (see availability.js) keeps scenes off days their cast can't work. Scenes that
+// can never be placed come back in conflicts instead of being forced into a day
+// options.locks (see locks.js) pins scenes to a day and position - they go in first, whatever the day length
+// or availability says, and the rest of the day is filled around them
+// options.dayHours gives single days their own length instead of maxDayTimeHours, e.g. { 5: 10 }
+// options.travel (see travel.js) takes travel and pack-up time for every company move out of the day, and the
+// next location of a day is the closest one instead of the one with the most scenes
+// Days come back with totalTime in scene hours, moveHours on top of it
+// options.daylight (see daylight.js) keeps EXT DAY and EXT NIGHT scenes within the daylight and darkness of
+// each shooting date, scenes that don't fit wait for a later day
+// options.turnaround (see turnaround.js) keeps scenes off a day when the crew or their cast wouldn't get their
+// turnaround since the last wrap
+// options.labour (see labourRules.js) keeps scenes off a day that would put their cast over their hours, scenes
+// that do so on a day of their own are conflicts
+// options.elements (see elements.js) keeps scenes off days their vehicles, stunts or effects aren't available
+export function scheduleScenes(scenes, maxDayTimeHours, options = {}) {
+    const { availability = null, locks = [], dayHours = {}, travel = null, daylight = null, turnaround = null, labour = null, elements = null } = options;
+
+    // Locked scenes by day, the others are scheduled as usual
+    let lockedScenes = {};
+    scenes.forEach(scene => {
+        const lock = findLock(locks, scene);
+        if (lock) (lockedScenes[lock.day] = lockedScenes[lock.day] || []).push(scene);
+    });
+
+    // Get locations sorted by most scenes first
+    let locationSceneMap = getLocationsSortedBySceneCount(scenes.filter(scene => !findLock(locks, scene)));
+    let shootingDays = [];
+    let conflicts = [];
+    let currentDayNumber = 1;
+    let idleDays = 0;
+    let characterDays = {}; // shooting days each character already works
+    let plans = []; // call and wrap times of the days so far, with turnaround
+    const shootingOrder = dayScenes => applyLockedPositions(sortScenesByTimeOfDay(dayScenes), locks);
+
+    // Scenes too long for their cast's hours on any day are conflicts straight away, not after the idle days
+    if (labour) conflicts.push(...takeRemainingScenes(locationSceneMap, scene => labour.sceneBreaches(scene)));
+
+    // Continue scheduling until all scenes are assigned
+    while (Object.keys(locationSceneMap).length > 0 || Object.keys(lockedScenes).length > 0) {
+        const dayLength = dayHours[currentDayNumber] ?? maxDayTimeHours;
+        let dayScenes = lockedScenes[currentDayNumber] || [];
+        let totalDayTimeUsed = dayScenes.reduce((total, scene) => total + scene.estimatedTime, 0);
+        let moveTimeUsed = travel ? travel.moveHours(dayScenes) : 0;
+        delete lockedScenes[currentDayNumber];
+        dayScenes.forEach(scene => trackCharacterDays(characterDays, scene, currentDayNumber));
+
+        const triedLocations = new Set();
+        let locationName;
+        while ((locationName = nextLocation(locationSceneMap, triedLocations, dayScenes, travel)) !== null) {
+            triedLocations.add(locationName);
+
+            // If remaining day time is 4 hours or less, don't change location (avoid pack-up)
+            // An empty day always gets its first location, or short days would never start
+            if (totalDayTimeUsed > 0 && dayLength - totalDayTimeUsed - moveTimeUsed <= 4) {
+                continue;
+            }
+
+            // Getting here from the last strip of the day, paid when the first scene goes in
+            const lastScene = dayScenes[dayScenes.length - 1];
+            let moveTime = travel && lastScene && lastScene.location_name !== locationName
+                ? travel.moveTime(lastScene.location_name, locationName).hours
+                : 0;
+
+            // Sort sub-locations with most scenes first - The EXTD, INTD, INTN, EXTN Sort function is inside this function
+            locationSceneMap[locationName] = sortSubLocationsBySceneCount(locationSceneMap[locationName]);
+            let locationScenes = locationSceneMap[locationName];
+
+            let sceneIndex = 0;
+            while (sceneIndex < locationScenes.length) {
+                let scene = locationScenes[sceneIndex];
+
+                // Leave the scene for a later day if its cast can't work today
+                if (availability && !canCastWork(scene, currentDayNumber, availability, characterDays)) {
+                    sceneIndex++;
+                    continue;
+                }
+                // Or if the date doesn't have the daylight (or darkness) left for it
+                if (daylight && !daylight.canAdd(currentDayNumber, dayScenes, scene)) {
+                    sceneIndex++;
+                    continue;
+                }
+                // Or if the crew or its cast wouldn't have had their rest since the last wrap
+                if (turnaround && !turnaround.canAdd(plans, currentDayNumber, dayScenes, scene, shootingOrder)) {
+                    sceneIndex++;
+                    continue;
+                }
+                // Or if its cast would go over the hours their labour rules allow
+                if (labour && !labour.canAdd(shootingDays.map(day => day.scenes), dayScenes, scene, shootingOrder)) {
+                    sceneIndex++;
+                    continue;
+                }
+                // Or if a vehicle, stunt or effect it needs isn't on hire that day
+                if (elements && !elements.canAdd(currentDayNumber, scene)) {
+                    sceneIndex++;
+                    continue;
+                }
+
+                // Schedule scene if it fits in the day, or if it's the last scene at this location
+                // With locks the location runs are broken up around the locked days, so the last scene only goes
+                // over a day that has nothing else in it yet (a scene longer than the day)
+                const willSceneFit = totalDayTimeUsed + moveTimeUsed + moveTime + scene.estimatedTime <= dayLength;
+                const isLastSceneAtLocation = locationScenes.length === 1 && (locks.length === 0 || dayScenes.length === 0);
+                
+                if (willSceneFit || isLastSceneAtLocation) {
+                    dayScenes.push(scene);
+                    totalDayTimeUsed += scene.estimatedTime;
+                    moveTimeUsed += moveTime;
+                    moveTime = 0;
+                    locationScenes.splice(sceneIndex, 1); // Remove scheduled scene
+                    trackCharacterDays(characterDays, scene, currentDayNumber);
+                } else {
+                    sceneIndex++;
+                }
+            }
+
+            // Remove location if all scenes have been scheduled
+            if (locationScenes.length === 0) {
+                delete locationSceneMap[locationName];
+            }
+        }
+
+        // Nothing could be shot today - give up on scenes whose cast will never be free again. Without
+        // availability or daylight (or after too many idle days) nothing will change, so whatever is left is a
+        // conflict. Days waiting on a locked day later in the shoot are just idle
+        if (dayScenes.length === 0 && Object.keys(locationSceneMap).length > 0) {
+            idleDays++;
+            if ((!availability && !daylight && !turnaround && !labour && !elements) || idleDays > MAX_IDLE_DAYS) {
+                const waitingFor = [
+                    availability && !availability.isEmpty ? "the whole cast is available" : null,
+                    daylight ? "there is enough daylight or darkness" : null,
+                    turnaround ? "the crew and cast have had their turnaround" : null,
+                    labour ? "the cast are within their labour rules" : null,
+                    elements ? "the elements they need are available" : null
+                ].filter(Boolean).join(" and ");
+                conflicts.push(...takeRemainingScenes(locationSceneMap, () => [
+                    waitingFor
+                        ? `No shooting day within ${MAX_IDLE_DAYS} days where ${waitingFor}`
+                        : `Does not fit in a ${maxDayTimeHours} hour day`
+                ]));
+            } else if (availability || elements) {
+                conflicts.push(...takeRemainingScenes(locationSceneMap, scene => [
+                    ...(availability ? castAvailabilityEnded(scene, currentDayNumber, availability) : []),
+                    ...(elements ? elements.availabilityEnded(scene, currentDayNumber) : [])
+                ]));
+            }
+        } else {
+            idleDays = 0;
+        }
+
+        shootingOrder(dayScenes);
+        if (turnaround) plans.push(turnaround.planDay(plans, currentDayNumber, dayScenes));
+
+        shootingDays.push({
+            day: currentDayNumber,
+            scenes: dayScenes,
+            totalTime: totalDayTimeUsed,
+            ...(travel ? { moveHours: travel.moveHours(dayScenes) } : {})
+        });
+        
+        currentDayNumber++;
+    }
+
+    // Idle days at the end of the shoot only existed while waiting on scenes that became conflicts
+    while (shootingDays.length > 0 && shootingDays[shootingDays.length - 1].scenes.length === 0) {
+        shootingDays.pop();
+    }
+
+    return { schedule: shootingDays, conflicts };
+}
+
+// The next location to try filling the day with: in order of scene count, or with travel the closest one to
+// where the day is now. null once every location has been tried
+function nextLocation(locationSceneMap, triedLocations, dayScenes, travel) {
+    const candidates = Object.keys(locationSceneMap).filter(name => !triedLocations.has(name));
+    if (candidates.length === 0) return null;
+
+    const lastScene = dayScenes[dayScenes.length - 1];
+    if (!travel || !lastScene) return candidates[0];
+
+    const hoursFromHere = name => (name === lastScene.location_name ? 0 : travel.moveTime(lastScene.location_name, name).hours);
+    return candidates.reduce((closest, name) => (hoursFromHere(name) < hoursFromHere(closest) ? name : closest));
+}
+
+function trackCharacterDays(characterDays, scene, day) {
+    (scene.characters || []).forEach(character => {
+        characterDays[character] = characterDays[character] || [];
+        if (!characterDays[character].includes(day)) characterDays[character].push(day);
+    });
+}
+
+// Every character in the scene is available on the day and stays within their consecutive day limit
+function canCastWork(scene, day, availability, characterDays) {
+    if (availability.unavailableCharacters(scene, day).length > 0) return false;
+
+    return (scene.characters || []).every(character => {
+        const maxConsecutiveDays = availability.maxConsecutiveDays(character);
+        if (maxConsecutiveDays === null) return true;
+        return availability.consecutiveRun(characterDays[character] || [], day) <= maxConsecutiveDays;
+    });
+}
+
+// Reasons a scene can never be placed on this day or any later one, empty if it still might be
+function castAvailabilityEnded(scene, day, availability) {
+    const date = availability.dayToDate(day);
+    return (scene.characters || [])
+        .filter(character => {
+            const lastDate = availability.lastAvailableDate(character);
+            return date && lastDate && lastDate < date;
+        })
+        .map(character => `${character}'s availability ended on ${availability.lastAvailableDate(character)}`);
+}
+
+// Pull scenes out of the location map as conflicts when getReasons returns any reasons for them
+function takeRemainingScenes(locationSceneMap, getReasons) {
+    const conflicts = [];
+
+    for (let locationName in locationSceneMap) {
+        const locationScenes = locationSceneMap[locationName];
+
+        for (let i = locationScenes.length - 1; i >= 0; i--) {
+            const reasons = getReasons(locationScenes[i]);
+            if (reasons.length > 0) {
+                const [scene] = locationScenes.splice(i, 1);
+                conflicts.push({ scene_number: scene.scene_number, scene_heading: scene.scene_heading, reasons });
+            }
+        }
+
+        if (locationScenes.length === 0) {
+            delete locationSceneMap[locationName];
+        }
+    }
+
+    return conflicts;
+}
+
+// Sort scenes within the day from DAY to NIGHT (time_of_day is normalized by sceneSchema.js)
+export function sortScenesByTimeOfDay(dayScenes) {
+    const timeOfDayOrder = TIMES_OF_DAY_VALUES;
+    return dayScenes.sort((sceneA, sceneB) => {
+        return timeOfDayOrder.indexOf(sceneA.time_of_day) - timeOfDayOrder.indexOf(sceneB.time_of_day);
+    });
+}
+
+// Group scenes by location and sort locations by scene count
+export function getLocationsSortedBySceneCount(scenes) {
+    // Group scenes by location
+    let locationMap = {};
+    
+    for (let scene of scenes) {
+        const locationName = scene.location_name;
+        
+        if (!locationMap[locationName]) {
+            locationMap[locationName] = [];
+        }
+        
+        locationMap[locationName].push(scene);
+
+        // Track scene count per location
+        if (locationMap[locationName].sceneCount) {
+            locationMap[locationName].sceneCount += 1;
+        } else {
+            locationMap[locationName].sceneCount = 1;
+        }
+    }
+
+    // Sort locations by scene count (most scenes first)
+    locationMap = Object.fromEntries(
+        Object.entries(locationMap)
+            .sort((locationA, locationB) => locationB[1].sceneCount - locationA[1].sceneCount)
+    );
+
+    return locationMap;
+}
+
+// Sort scenes within a location by sub-location (most scenes first)
+export function sortSubLocationsBySceneCount(locationScenes) {
+    let subLocationSceneCount = {};
+    let sortedScenes = [];
+
+    // Count scenes per sub-location
+    locationScenes.forEach(scene => {
+        const subLocationName = scene.sub_location_name;
+        subLocationSceneCount[subLocationName] = (subLocationSceneCount[subLocationName] || 0) + 1;
+    });
+
+    // Sort sub-locations by scene count (most scenes first)
+    subLocationSceneCount = Object.fromEntries(
+        Object.entries(subLocationSceneCount).sort((a, b) => b[1] - a[1])
+    );
+
+    // Process each sub-location in order
+    for (let subLocationName in subLocationSceneCount) {
+        let subLocationScenes = locationScenes.filter(scene => 
+            scene.sub_location_name === subLocationName
+        );
+        
+        let sortedSubLocationScenes = sortScenesByLocationType(subLocationScenes);
+        sortedScenes.push(...sortedSubLocationScenes);
+    }
+
+    return sortedScenes;
+}
+
+// Sort scenes by location type and time of day
+export function sortScenesByLocationType(scenes) {
+    const sortedScenes = [];
+
+    // Order of preference for scheduling:
+    // 1. EXT + DAY (EVENING is normalized to DAY by sceneSchema.js)
+    sortedScenes.push(...scenes.filter(scene => 
+        scene.location_type === "EXT" && 
+        scene.time_of_day === "DAY"
+    ));
+    
+    // 2. INT + DAY
+    sortedScenes.push(...scenes.filter(scene => 
+        scene.location_type === "INT" && 
+        scene.time_of_day === "DAY"
+    ));
+    
+    // 3. INT + NIGHT
+    sortedScenes.push(...scenes.filter(scene => 
+        scene.location_type === "INT" && 
+        scene.time_of_day === "NIGHT"
+    ));
+    
+    // 4. EXT + NIGHT
+    sortedScenes.push(...scenes.filter(scene => 
+        scene.location_type === "EXT" && 
+        scene.time_of_day === "NIGHT"
+    ));
+
+    // 5. All other scenes
+    const knownSceneIds = new Set(sortedScenes.map(scene => scene.scene_number));
+    const otherScenes = scenes.filter(scene => !knownSceneIds.has(scene.scene_number));
+    
+    sortedScenes.push(...otherScenes);
+    
+    return sortedScenes;
+}
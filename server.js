@@ -8,10 +8,34 @@ import path from 'path';
 import { PDFDocument } from 'pdf-lib';
 import OpenAI from 'openai';
 import { File } from 'node:buffer';
+import { randomUUID } from 'node:crypto';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
-import Anthropic from "@anthropic-ai/sdk";
+import { scheduleScenes } from "./scheduler.js";
+import { simulatedAnnealing, checkAnnealingOptions } from "./simulated_annealing.js";
+import { createCostModel, scheduleCostBreakdown } from "./costModel.js";
+import { createAvailability } from "./availability.js";
+import { createShootingCalendar, applyCalendar } from "./calendar.js";
+import { renderStripboard } from "./stripboard.js";
+import { buildCallSheet, renderCallSheet } from "./callSheet.js";
+import { buildDayOutOfDays, dayOutOfDaysToCSV } from "./dood.js";
+import { parseScriptLocally } from "./localParser.js";
+import { getLLMProvider } from "./llmProviders.js";
+import { validateScenes, parseModelJSON, buildJSONRepairPrompt, buildSceneRepairPrompt } from "./sceneSchema.js";
+import { mergeChunkScenes } from "./sceneMerge.js";
+import { extractionCacheKey, readCachedExtraction, writeCachedExtraction, extractionCacheStats, purgeExtractionCache } from "./extractionCache.js";
+import { diffBreakdowns, rescheduleRevision } from "./revisions.js";
+import { createProject, listProjects, getProject, deleteProject, addScript, getScript, addBreakdown, getBreakdown, addSchedule, getSchedule, findSchedule, deleteEntry } from "./projectStore.js";
+import { applyManualMoves, arrangeSchedule, isSameScene } from "./locks.js";
+import { parseTranscript, applyCommands } from "./voiceCommands.js";
+import { createTravel, addCompanyMoves } from "./travel.js";
+import { createDaylight, addDaylight } from "./daylight.js";
+import { createTurnaround, addCallTimes } from "./turnaround.js";
+import { createLabourRules, addLabourReport } from "./labourRules.js";
+import { createBudget, compareBudgets } from "./budget.js";
+import { createElementRentals, elementReport } from "./elements.js";
+import { startJob, getJob, cancelJob, subscribeToJob, jobSummary, JobCancelledError } from "./jobs.js";
 
 dotenv.config();
 
@@ -23,6 +47,7 @@ const upload = multer({ storage: multer.memoryStorage() }); // keeps file in mem
 
 // Allow ALL origins
 app.use(cors());
+app.use(express.json({ limit: "20mb" })); // breakdowns and project settings sent as JSON
 
 // Getting the api key from the env file
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
@@ -30,8 +55,6 @@ const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
 });
 
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-
 // Essential Functions:
 
 // Wants to Chunk Pdf
@@ -123,7 +146,8 @@ async function chunkPDF(buffer) {
   for (let i = 0; i < chunkPartitions.length; i++) {
     const [start, end] = chunkPartitions[i];
 
-    const chunk = await PDFDocument.create();
+    // No fresh creation dates, so the same pages give the same bytes and hit the extraction cache
+    const chunk = await PDFDocument.create({ updateMetadata: false });
 
     const pageIndexes = Array.from(
       { length: end - start + 1 },
@@ -141,25 +165,24 @@ async function chunkPDF(buffer) {
 }
 
 
-async function extractData(pdfStream) {
+// llm is a provider from getLLMProvider() - every provider gets the same prompt and goes through the same parsing
+// signal comes from a cancelled job, an aborted call is thrown instead of being reported as a failed chunk
+// Results are cached on disk (see extractionCache.js) unless useCache is false, cache hits come back with cached: true
+async function extractData(pdfStream, llm, signal, useCache = true) {
   try {
     console.log(`Reading PDF from ...`);
 
-    // === READ PDF INTO BASE64 ===
-    // Claude API accepts PDFs as base64 directly — no file upload step needed
-    console.log("Converting PDF to base64 for Claude...");
-
+    // === READ PDF ===
     const chunks = [];
     for await (const chunk of pdfStream) {
       chunks.push(chunk);
     }
     const pdfBuffer = Buffer.concat(chunks);
-    const base64Pdf = pdfBuffer.toString("base64");
 
-    console.log("PDF converted successfully.");
+    console.log("PDF read successfully.");
 
     // === GENERATE SUMMARY ===
-    console.log("Requesting summary from Claude...");
+    console.log(`Requesting summary from ${llm.name} (${llm.model})...`);
 
     const prompt = `You are a professional Script Breakdown Specialist and Assistant Director.
 
@@ -168,10 +191,9 @@ async function extractData(pdfStream) {
       the sublocation name and the time of day for example DAY/NIGHT or others. Strictly make sure not to miss any scenes.
 
       Very Important Rule:
-      On the first page of the document, If the first page of the document contains two scene sluglines, always ignore the
-      first scene entirely and begin constructing the breakdown from the second slugline. However, if the first page contains
-      only one scene slugline, ignore any content before it and begin the breakdown from that slugline. Additionally, if a 
-      slugline appears at the very end of the last page ignore and do not include that scene to the breakdown.
+      The document may be one part of a longer script. Ignore any content before the first slugline, it belongs to a scene
+      from the previous part. Include every scene whose slugline appears in the document, even if the scene is cut off at
+      the end of the last page - overlapping scenes are merged after extraction.
 
       You MUST follow these rules strictly as well:
         1. Do NOT add, invent, or hallucinate ANY information.
@@ -216,231 +238,523 @@ async function extractData(pdfStream) {
         Return ONLY the raw JSON object. No explanation, no markdown, no backticks.
     `;
 
-    const response = await anthropic.messages.create({
-      model: "claude-sonnet-4-6",
-      max_tokens: 12000,
-      messages: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "document",
-              source: {
-                type: "base64",
-                media_type: "application/pdf",
-                data: base64Pdf,
-              },
-            },
-            {
-              type: "text",
-              text: prompt,
-            },
-          ],
-        },
-      ],
-    });
+    // Same chunk, prompt and model as an earlier upload - no need to pay for it again
+    const cacheKey = useCache ? extractionCacheKey({ pdfBuffer, prompt, provider: llm.name, model: llm.model }) : null;
+    const cachedResult = cacheKey && readCachedExtraction(cacheKey);
+    // Only chunks where every scene validated are served from the cache
+    if (cachedResult && (cachedResult.errors || []).length === 0) {
+      return { ...cachedResult, cached: true };
+    }
 
     // === PARSE RESPONSE ===
-    // Claude returns content as an array of blocks; extract the text block
-    let summary =
-      response.content?.find((block) => block.type === "text")?.text ||
-      "No information generated.";
+    let summary = (await llm.complete({ pdfBuffer, prompt, signal })) || "No information generated.";
 
     console.log("Summary generated successfully!");
-    fs.appendFileSync("claude_response.txt", summary); // Log raw response for debugging
+    // Raw replies from any provider go to the file LLM_RESPONSE_LOG names, for debugging
+    if (process.env.LLM_RESPONSE_LOG) fs.appendFileSync(process.env.LLM_RESPONSE_LOG, summary);
     
-    // Strip markdown fences
-    summary = summary.replace(/```json|```/g, "").trim();
-
-    const jsonMatch = summary.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      summary = jsonMatch[0];
-    } else {
+    // Not valid JSON - ask the model to repair its own output before giving up on the chunk
+    let parsed = parseModelJSON(summary);
+    if (!parsed) {
+      console.log("Something was wrong with json parsing, requesting a repair");
+      parsed = parseModelJSON(await llm.complete({ prompt: buildJSONRepairPrompt(summary), signal }));
+    }
+    if (!parsed) {
       console.log("No JSON object found in response");
-      return { scenes: [] };
+      return { scenes: [], errors: [{ scene_number: null, errors: ["Model output was not valid JSON, even after a repair attempt"] }] };
     }
 
-    try {
-      summary = JSON.parse(summary);
-    } catch {
-      console.log("Something was wrong with json parsing");
-      summary = { scenes: [] }; // safe fallback
+    // Check every scene against the schema, and give the model one targeted retry on the ones that fail
+    let { scenes, invalid } = validateScenes(parsed.scenes);
+    let repaired = 0;
+    if (invalid.length > 0 && Array.isArray(parsed.scenes)) {
+      const repairedOutput = parseModelJSON(await llm.complete({ pdfBuffer, prompt: buildSceneRepairPrompt(invalid), signal }));
+      const retry = validateScenes(repairedOutput?.scenes || []);
+
+      scenes.push(...retry.scenes);
+      repaired = retry.scenes.length;
+
+      // Whatever still isn't valid is dropped and reported. Repairs are matched back on scene number,
+      // repaired scenes with a number nobody had count against the ones that were missing a number
+      const sceneNumberOf = (raw) => String(raw?.scene_number ?? "").trim().toUpperCase();
+      const invalidNumbers = new Set(invalid.map(({ raw }) => sceneNumberOf(raw)));
+      const repairedNumbers = new Set(retry.scenes.map(scene => String(scene.scene_number)));
+      let unmatchedRepairs = retry.scenes.filter(scene => !invalidNumbers.has(String(scene.scene_number))).length;
+
+      invalid = invalid.filter(({ raw }) => {
+        if (repairedNumbers.has(sceneNumberOf(raw))) return false;
+        if (!sceneNumberOf(raw) && unmatchedRepairs > 0) {
+          unmatchedRepairs--;
+          return false;
+        }
+        return true;
+      });
     }
 
-    return summary;
+    const result = {
+      scenes,
+      repaired,
+      errors: invalid.map(({ raw, errors }) => ({ scene_number: raw?.scene_number ?? null, errors })),
+    };
+
+    // Only chunks where every scene validated (repairs included) are cached, one that dropped scenes gets another
+    // go next time
+    if (cacheKey && result.errors.length === 0) writeCachedExtraction(cacheKey, result);
+
+    return { ...result, cached: false };
 
   } catch (err) {
+    if (signal?.aborted) throw err;
     console.log("Error in the API call:", err.message);
     if (err.status) {
-      console.error("Anthropic API status:", err.status);
+      console.error(`${llm.name} API status:`, err.status);
     }
     if (err.error) {
-      console.error("Anthropic API error details:", err.error);
+      console.error(`${llm.name} API error details:`, err.error);
     }
+    return { scenes: [], errors: [{ scene_number: null, errors: [`API call failed: ${err.message}`] }] };
   }
 }
 
 
+// Splits the script into chunks and sends every chunk to the LLM
+// onProgress hears about every chunk that comes back, signal cancels the calls still running
+// useCache: false sends every chunk to the LLM even when an earlier result is cached
+async function extractScenesWithLLM(buffer, llm, { onProgress = () => {}, signal, useCache = true } = {}) {
+    // Convert buffer to stream if needed
+    const folderName = `temp_${Date.now()}`
+    fs.mkdirSync(folderName)
 
-// Schedule Scenes
-function scheduleScenes(scenes, maxDayTimeHours) {
-    // Get locations sorted by most scenes first
-    let locationSceneMap = getLocationsSortedBySceneCount(scenes);
-    let shootingDays = [];
-    let currentDayNumber = 1;
-
-    // Continue scheduling until all scenes are assigned
-    while (Object.keys(locationSceneMap).length > 0) {
-        let dayScenes = [];
-        let totalDayTimeUsed = 0;
-
-        for (let locationName in locationSceneMap) {
-            // If remaining day time is 4 hours or less, don't change location (avoid pack-up)
-            if (maxDayTimeHours - totalDayTimeUsed <= 4) {
-                continue;
-            }
-
-            // Sort sub-locations with most scenes first - The EXTD, INTD, INTN, EXTN Sort function is inside this function
-            locationSceneMap[locationName] = sortSubLocationsBySceneCount(locationSceneMap[locationName]);
-            let locationScenes = locationSceneMap[locationName];
-
-            let sceneIndex = 0;
-            while (sceneIndex < locationScenes.length) {
-                let scene = locationScenes[sceneIndex];
-
-                // Schedule scene if it fits in the day, or if it's the last scene at this location
-                const willSceneFit = totalDayTimeUsed + scene.estimatedTime <= maxDayTimeHours;
-                const isLastSceneAtLocation = locationScenes.length === 1;
-                
-                if (willSceneFit || isLastSceneAtLocation) {
-                    dayScenes.push(scene);
-                    totalDayTimeUsed += scene.estimatedTime;
-                    locationScenes.splice(sceneIndex, 1); // Remove scheduled scene
-                } else {
-                    sceneIndex++;
-                }
-            }
-
-            // Remove location if all scenes have been scheduled
-            if (locationScenes.length === 0) {
-                delete locationSceneMap[locationName];
-            }
+    try {
+        onProgress("chunking");
+        const pdfChunks = await chunkPDF(buffer)
+        let i = 1
+        for (const chunk of pdfChunks){
+            fs.writeFileSync(`${folderName}/chunk_${i}.pdf`, chunk);
+            i = i+1;
+        }
+        onProgress("extracting", { chunk: 0, totalChunks: pdfChunks.length });
+
+        // Chunk files in chunk order, readdirSync would put chunk_10 before chunk_2
+        const files = pdfChunks.map((_, index) => `chunk_${index + 1}.pdf`);
+        const CHUNKS_API_CALLS = [];
+        let chunksDone = 0;
+        for (const fileName of files){
+            console.log("Now Processing File: " + fileName);
+            const pdfStream = fs.createReadStream(`${folderName}/${fileName}`);
+            CHUNKS_API_CALLS.push(extractData(pdfStream, llm, signal, useCache).then(data => {
+                chunksDone++;
+                onProgress("extracting", { chunk: chunksDone, totalChunks: files.length, file: fileName, scenes: data.scenes.length, cached: data.cached });
+                return data;
+            }));
         }
 
-        // Sort scenes within the day from MORNING to EVENING
-        const timeOfDayOrder = ["MORNING", "EVENING", "NIGHT", "UNKNOWN"];
-        dayScenes.sort((sceneA, sceneB) => {
-            return timeOfDayOrder.indexOf(sceneA.time_of_day) - timeOfDayOrder.indexOf(sceneB.time_of_day);
-        });
+        // All API calls made parallelly at once and will get results when all complete
+        // extractedData is an array with every index containing the results from the respective call.
+        const extractedData = await Promise.all(CHUNKS_API_CALLS);
+        const validation = [];
+        extractedData.forEach((data, i) => {
+            validation.push({ chunk: files[i], scenes: data.scenes.length, repaired: data.repaired || 0, errors: data.errors, cached: Boolean(data.cached) });
+        })
+
+        // Chunks share their boundary pages, collapse the scenes extracted twice and put everything in script order
+        const { scenes, duplicates, numberConflicts, gaps } = mergeChunkScenes(extractedData.map(data => data.scenes));
+
+        const cacheHits = validation.filter(chunk => chunk.cached).map(chunk => chunk.chunk);
+
+        return {
+            scenes,
+            validation,
+            merge: { duplicates, numberConflicts, gaps },
+            cache: { enabled: useCache, hits: cacheHits.length, misses: files.length - cacheHits.length, hitChunks: cacheHits },
+        };
+    } finally {
+        fs.rmSync(folderName, { recursive: true, force: true });
+    }
+}
 
-        shootingDays.push({
-            day: currentDayNumber,
-            scenes: dayScenes,
-            totalTime: totalDayTimeUsed
-        });
-        
-        currentDayNumber++;
+// mode=local splits the script on sluglines without calling the LLM (see localParser.js)
+// Returns the validated scenes in script order, a per chunk report of what was repaired or dropped
+// and a merge report of duplicate scenes and gaps in the numbering
+async function extractScenes(buffer, mode, llm, options = {}) {
+    if (mode === "local") {
+        const { scenes: validScenes, invalid } = validateScenes(await parseScriptLocally(buffer));
+        const { scenes, duplicates, numberConflicts, gaps } = mergeChunkScenes([validScenes]);
+        return {
+            scenes,
+            validation: [{ chunk: "local", scenes: scenes.length, repaired: 0, errors: invalid.map(({ raw, errors }) => ({ scene_number: raw.scene_number, errors })) }],
+            merge: { duplicates, numberConflicts, gaps },
+        };
     }
+    return extractScenesWithLLM(buffer, llm, options);
+}
 
-    return shootingDays;
+// provider, model and maxTokens from the form fields or query string, env and defaults otherwise
+function getRequestLLM(req) {
+  const params = getRequestParams(req);
+  return getLLMProvider({ provider: params.provider, model: params.model, maxTokens: params.maxTokens });
 }
 
-// Group scenes by location and sort locations by scene count
-function getLocationsSortedBySceneCount(scenes) {
-    // Group scenes by location
-    let locationMap = {};
-    
-    for (let scene of scenes) {
-        const locationName = scene.location_name;
-        
-        if (!locationMap[locationName]) {
-            locationMap[locationName] = [];
-        }
-        
-        locationMap[locationName].push(scene);
-
-        // Track scene count per location
-        if (locationMap[locationName].sceneCount) {
-            locationMap[locationName].sceneCount += 1;
-        } else {
-            locationMap[locationName].sceneCount = 1;
-        }
+
+// Read the cooling schedule and seed for the annealer from the query string, throws on values it would never
+// finish with
+function getAnnealingOptions(query) {
+  const options = {};
+  const numericOptions = ["seed", "initialTemperature", "minTemperature", "coolingRate", "coolingStep", "iterationsPerTemperature"];
+
+  for (const key of numericOptions) {
+    if (query[key] !== undefined && !Number.isNaN(Number(query[key]))) {
+      options[key] = Number(query[key]);
     }
+  }
+  if (query.cooling === "geometric" || query.cooling === "linear") {
+    options.cooling = query.cooling;
+  }
+  // A coolingRate of 1 or a coolingStep of 0 would never finish and block the server
+  checkAnnealingOptions(options);
+
+  return options;
+}
 
-    // Sort locations by scene count (most scenes first)
-    locationMap = Object.fromEntries(
-        Object.entries(locationMap)
-            .sort((locationA, locationB) => locationB[1].sceneCount - locationA[1].sceneCount)
-    );
 
-    return locationMap;
+// Options arrive as multipart form fields or in the query string, JSON valued ones as strings
+function getRequestParams(req) {
+  return { ...req.query, ...req.body };
 }
 
-// Sort scenes within a location by sub-location (most scenes first)
-function sortSubLocationsBySceneCount(locationScenes) {
-    let subLocationSceneCount = {};
-    let sortedScenes = [];
+function parseJSONParam(params, name, fallback = {}) {
+  if (params[name] === undefined || params[name] === "") return fallback;
+  if (typeof params[name] === "object") return params[name];
+  try {
+    return JSON.parse(params[name]);
+  } catch {
+    throw new Error(`${name} must be valid JSON`);
+  }
+}
 
-    // Count scenes per sub-location
-    locationScenes.forEach(scene => {
-        const subLocationName = scene.sub_location_name;
-        subLocationSceneCount[subLocationName] = (subLocationSceneCount[subLocationName] || 0) + 1;
-    });
+// startDate (YYYY-MM-DD), weeklyPattern (5, 6, 7 or JSON list of weekdays), holidays and darkDays (JSON lists of dates)
+// Without a startDate the schedule stays in plain day numbers
+function getShootingCalendar(req) {
+  const params = getRequestParams(req);
+  if (!params.startDate) return null;
+
+  const weeklyPattern = String(params.weeklyPattern ?? "7").trim().startsWith("[")
+    ? parseJSONParam(params, "weeklyPattern")
+    : Number(params.weeklyPattern ?? 7);
+
+  return createShootingCalendar({
+    startDate: params.startDate,
+    weeklyPattern,
+    holidays: parseJSONParam(params, "holidays", []),
+    darkDays: parseJSONParam(params, "darkDays", []),
+  });
+}
 
-    // Sort sub-locations by scene count (most scenes first)
-    subLocationSceneCount = Object.fromEntries(
-        Object.entries(subLocationSceneCount).sort((a, b) => b[1] - a[1])
-    );
+const DEFAULT_MAX_DAY_TIME_HOURS = 12;
+
+// Schedules produced by /schedule, kept in memory so exports can find them by id
+// The breakdown they were built from is kept too, revisions are compared against it
+// With a projectId they go to the project store instead (see projectStore.js) and survive a restart
+const savedSchedules = new Map();
+
+function saveSchedule(title, result, scenes, { projectId = null, breakdownId = null } = {}) {
+  if (projectId) {
+    return storedIn(projectId, addSchedule(projectId, { title, breakdownId, ...result })).id;
+  }
+
+  const id = randomUUID();
+  savedSchedules.set(id, { id, title, createdAt: new Date().toISOString(), ...result, scenes });
+  return id;
+}
+
+// The project store returns null when the project is gone - deleted while a job was running - and what the job
+// made has nowhere to go
+function storedIn(projectId, entry) {
+  if (!entry) throw new Error(`Project ${projectId} was deleted, the results could not be stored in it`);
+  return entry;
+}
+
+// A schedule by id from memory or from any project, with the breakdown it was built from as scenes
+function getSavedSchedule(id) {
+  if (savedSchedules.has(id)) return savedSchedules.get(id);
+
+  const stored = findSchedule(id);
+  if (!stored) return null;
+  return { ...stored, scenes: getBreakdown(stored.projectId, stored.breakdownId)?.scenes || [] };
+}
+
+// Cost profile, weight overrides and hard constraints come from the form fields or the query string
+// weights and hardConstraints are JSON, e.g. weights={"overtime":80}&hardConstraints={"maxOvertimeHours":2}
+// availability is JSON keyed by character (see availability.js), its dates need the shooting calendar
+// locks is a JSON list of { scene_number, day, position } (see locks.js), unless the caller already has them
+// dayHours is JSON of day number to hours for days with their own length, e.g. {"5":10}
+// travel is JSON with location coordinates or a travel time matrix for company moves (see travel.js)
+// daylight is JSON with a time zone and coordinates (see daylight.js), its dates need the shooting calendar.
+// turnaround is JSON with call times and turnaround hours for the crew and cast (see turnaround.js)
+// labour is JSON assigning labour rule profiles to characters, e.g. {"cast":{"Raisha":"minor"}} (see labourRules.js)
+// elements is JSON listing the vehicles, stunts and effects worth keeping on contiguous days (see elements.js)
+// saved has the settings of SAVED_SETTINGS the request doesn't give (a saved schedule's own, see savedScheduleSettings)
+// A saved schedule's daylight, turnaround, labour weeks and element windows use the dates already on its days
+// (dayToDate) when there is no calendar
+function getCostModel(req, maxDayTimeHours, calendar = null, { locks = null, dayHours = {}, dayToDate = null, ...saved } = {}) {
+  const params = getRequestParams(req);
+  if (params.daylight && !calendar) {
+    throw new Error("startDate is required for daylight");
+  }
+
+  const setting = name => parseJSONParam(params, name, null) ?? saved[name] ?? null;
+  const dates = calendar?.dayToDate ?? dayToDate;
+  const travelModel = createTravel(setting("travel"));
+  const daylightModel = createDaylight(setting("daylight"), dates, travelModel?.settings.locations);
+  return createCostModel({
+    profile: params.costProfile || "default",
+    weights: parseJSONParam(params, "weights"),
+    hardConstraints: parseJSONParam(params, "hardConstraints"),
+    maxDayTimeHours,
+    availability: createAvailability(parseJSONParam(params, "availability"), calendar?.dayToDate),
+    locks: locks ?? parseJSONParam(params, "locks", []),
+    dayHours: parseJSONParam(params, "dayHours", null) ?? dayHours,
+    travel: travelModel,
+    daylight: daylightModel,
+    turnaround: createTurnaround(setting("turnaround"), { dayToDate: dates, daylight: daylightModel, travel: travelModel }),
+    labour: createLabourRules(setting("labour"), { dayToDate: dates, travel: travelModel }),
+    elements: createElementRentals(setting("elements"), dates),
+  });
+}
+
+
+// mode=local or the LLM settings, checked before any work starts
+// cache=false skips the extraction cache for this upload
+// projectId keeps the script, the breakdown and any schedule made from it in that project
+function getExtractionSettings(req) {
+  const params = getRequestParams(req);
+  if (params.projectId && !getProject(params.projectId)) {
+    throw new Error(`No project with id ${params.projectId}`);
+  }
+
+  return {
+    mode: req.query.mode,
+    llm: req.query.mode !== "local" ? getRequestLLM(req) : null,
+    useCache: String(params.cache) !== "false",
+    projectId: params.projectId || null,
+  };
+}
+
+// Calendar, cost model, optimizer and shooting day length (maxDayTimeHours, 12 by default) for scheduling a breakdown
+// rates is JSON with the rate cards the schedule is budgeted with (see budget.js), it doesn't change the schedule
+// locks overrides the locks from the request, for routes that work them out themselves.
+// defaultMaxDayTimeHours, rates and the cost model's dayHours and SAVED_SETTINGS are used when the request doesn't
+// give them (a saved schedule's own)
+function getScheduleOptions(req, { rates = null, defaultMaxDayTimeHours = DEFAULT_MAX_DAY_TIME_HOURS, ...costModelDefaults } = {}) {
+  const params = getRequestParams(req);
+  const maxDayTimeHours = Number(params.maxDayTimeHours ?? defaultMaxDayTimeHours);
+  if (!(maxDayTimeHours > 0 && maxDayTimeHours <= 24)) {
+    throw new Error("maxDayTimeHours must be a number of hours between 0 and 24");
+  }
+
+  const calendar = getShootingCalendar(req);
+  return {
+    maxDayTimeHours,
+    calendar,
+    costModel: getCostModel(req, maxDayTimeHours, calendar, costModelDefaults),
+    budget: createBudget(parseJSONParam(params, "rates", null) ?? rates),
+    optimizer: params.optimizer,
+    annealingOptions: getAnnealingOptions(params),
+  };
+}
+
+// Cost model settings a result keeps (as given, JSON) so a saved schedule is scored and edited with them again,
+// each one comes back from its module's .settings (travel.js, daylight.js, turnaround.js, labourRules.js, elements.js)
+const SAVED_SETTINGS = ["travel", "daylight", "turnaround", "labour", "elements"];
+
+// What a result keeps of its cost model, savedScheduleSettings() turns it back into settings
+function scheduleSettings(costModel) {
+  return {
+    locks: costModel.locks,
+    dayHours: costModel.dayHours,
+    ...Object.fromEntries(SAVED_SETTINGS.map(name => [name, costModel[name]?.settings ?? null])),
+  };
+}
+
+// A saved schedule's own locks, day lengths, SAVED_SETTINGS and rate cards, for the routes that edit or score it
+// again
+function savedScheduleSettings(saved) {
+  return {
+    locks: saved.locks ?? [],
+    dayHours: saved.dayHours ?? {},
+    ...Object.fromEntries(SAVED_SETTINGS.map(name => [name, saved[name] ?? null])),
+    rates: saved.rates ?? null,
+    dayToDate: day => saved.schedule.find(d => d.day === day)?.date ?? null,
+    defaultMaxDayTimeHours: saved.maxDayTimeHours ?? DEFAULT_MAX_DAY_TIME_HOURS,
+  };
+}
+
+// Everything /schedule needs besides the script - throws on bad settings so nothing is paid for
+// scheduleDefaults are the settings the request's own go on top of (see getScheduleOptions)
+function getSchedulingSettings(req, scheduleDefaults = {}) {
+  return {
+    ...getExtractionSettings(req),
+    ...getScheduleOptions(req, scheduleDefaults),
+  };
+}
+
+// A revision keeps the saved schedule's locks, day lengths and the rest, unless the request sends its own
+function getRevisionSettings(req, saved) {
+  const locks = parseJSONParam(getRequestParams(req), "locks", null) ?? saved.locks ?? [];
+  return getSchedulingSettings(req, { ...savedScheduleSettings(saved), locks });
+}
+
+// What /extract sends back. onProgress and signal come from a job (see jobs.js)
+// With a projectId the upload and the breakdown are stored, file.scriptId marks a script that already is
+async function runExtraction(file, { mode, llm, useCache, projectId }, { onProgress = () => {}, signal } = {}) {
+    console.log("Original file name:", file.originalname);
+    console.log("File size (bytes):", file.size);
+
+    const { scenes, validation, merge, cache } = await extractScenes(file.buffer, mode, llm, { onProgress, signal, useCache });
+    onProgress("extracted", { scenes: scenes.length });
+
+    const extraction = {
+    scenesData: scenes,
+    validation,
+    merge,
+    cache,
+    mode: llm ? "llm" : "local",
+    llm: llm ? { provider: llm.name, model: llm.model, maxTokens: llm.maxTokens } : undefined,
+    };
+    if (!projectId || signal?.aborted) return extraction;
+
+    const scriptId = file.scriptId || storedIn(projectId, addScript(projectId, { filename: file.originalname, buffer: file.buffer })).id;
+    const breakdown = storedIn(projectId, addBreakdown(projectId, {
+        scriptId,
+        scenes,
+        validation,
+        merge,
+        mode: extraction.mode,
+        llm: extraction.llm,
+    }));
+
+    return { projectId, scriptId, breakdownId: breakdown.id, ...extraction };
+}
+
+// What /schedule sends back - extraction, then the greedy scheduler or ?optimizer=anneal, saved for the exports
+async function runScheduling(file, settings, { onProgress = () => {}, signal } = {}) {
+    const { scenesData: masterData, validation, merge, cache, ...stored } = await runExtraction(file, settings, { onProgress, signal });
+    if (signal?.aborted) throw new JobCancelledError();
+
+    onProgress("scheduling", { optimizer: settings.optimizer === "anneal" ? "anneal" : "greedy", scenes: masterData.length });
+
+    const result = scheduleBreakdown(masterData, settings);
+    if (signal?.aborted) throw new JobCancelledError();
+
+    const scheduleId = saveSchedule(file.originalname, result, masterData, { projectId: stored.projectId, breakdownId: stored.breakdownId });
+
+    return {
+    scheduleId,
+    projectId: stored.projectId,
+    scriptId: stored.scriptId,
+    breakdownId: stored.breakdownId,
+    ...result,
+    validation,
+    merge,
+    cache,
+    };
+}
+
+// Company moves, the daylight window, call times and labour compliance on every day, for the cost models that
+// know about them
+function describeDays(schedule, costModel) {
+  const withMoves = addCompanyMoves(schedule, costModel.travel);
+  const withDaylight = addDaylight(withMoves, costModel.daylight);
+  return addLabourReport(addCallTimes(withDaylight, costModel.turnaround), costModel.labour);
+}
+
+// The rate cards and the budget of a result's schedule, nothing without rate cards
+function withBudget(result, budget) {
+  if (!budget) return result;
+  return { ...result, rates: budget.settings, budget: budget.estimate(result.schedule) };
+}
 
-    // Process each sub-location in order
-    for (let subLocationName in subLocationSceneCount) {
-        let subLocationScenes = locationScenes.filter(scene => 
-            scene.sub_location_name === subLocationName
-        );
-        
-        let sortedSubLocationScenes = sortScenesByLocationType(subLocationScenes);
-        sortedScenes.push(...sortedSubLocationScenes);
+// The greedy scheduler or ?optimizer=anneal on a breakdown, dated when there is a shooting calendar
+// With rate cards the annealed schedule's budget is compared with the greedy one it started from
+function scheduleBreakdown(masterData, { maxDayTimeHours, calendar, costModel, budget, optimizer, annealingOptions }) {
+    // ?optimizer=anneal improves the greedy schedule with simulated annealing
+    let result;
+    if (optimizer === "anneal") {
+        const annealed = simulatedAnnealing(masterData, maxDayTimeHours, { ...annealingOptions, costModel });
+
+        result = {
+        schedule: describeDays(calendar ? applyCalendar(annealed.schedule, calendar) : annealed.schedule, costModel),
+        calendar: calendar ? calendar.summarize(annealed.schedule.length) : undefined,
+        optimizer: "anneal",
+        maxDayTimeHours,
+        initialCost: annealed.initialCost,
+        finalCost: annealed.finalCost,
+        seed: annealed.seed,
+        conflicts: annealed.conflicts,
+        ...scheduleSettings(costModel),
+        costBreakdown: annealed.costBreakdown,
+        };
+        if (budget) {
+            const greedy = calendar ? applyCalendar(annealed.initialSchedule, calendar) : annealed.initialSchedule;
+            result.budgetComparison = compareBudgets(budget.estimate(greedy), budget.estimate(result.schedule));
+        }
+    } else {
+        const { schedule: scheduledData, conflicts } = scheduleScenes(masterData, maxDayTimeHours, { availability: costModel.availability, locks: costModel.locks, dayHours: costModel.dayHours, travel: costModel.travel, daylight: costModel.daylight, turnaround: costModel.turnaround, labour: costModel.labour, elements: costModel.elements });
+
+        result = {
+        schedule: describeDays(calendar ? applyCalendar(scheduledData, calendar) : scheduledData, costModel),
+        calendar: calendar ? calendar.summarize(scheduledData.length) : undefined,
+        maxDayTimeHours,
+        conflicts,
+        ...scheduleSettings(costModel),
+        costBreakdown: scheduleCostBreakdown(scheduledData, costModel),
+        };
     }
 
-    return sortedScenes;
+    return withBudget(result, budget);
 }
 
-// Sort scenes by location type and time of day
-function sortScenesByLocationType(scenes) {
-    const sortedScenes = [];
 
-    // Order of preference for scheduling:
-    // 1. EXT + DAY/EVENING
-    sortedScenes.push(...scenes.filter(scene => 
-        scene.location_type === "EXT" && 
-        (scene.time_of_day === "DAY" || scene.time_of_day === "EVENING")
-    ));
-    
-    // 2. INT + DAY/EVENING
-    sortedScenes.push(...scenes.filter(scene => 
-        scene.location_type === "INT" && 
-        (scene.time_of_day === "DAY" || scene.time_of_day === "EVENING")
-    ));
-    
-    // 3. INT + NIGHT
-    sortedScenes.push(...scenes.filter(scene => 
-        scene.location_type === "INT" && 
-        scene.time_of_day === "NIGHT"
-    ));
-    
-    // 4. EXT + NIGHT
-    sortedScenes.push(...scenes.filter(scene => 
-        scene.location_type === "EXT" && 
-        scene.time_of_day === "NIGHT"
-    ));
-
-    // 5. All other scenes
-    const knownSceneIds = new Set(sortedScenes.map(scene => scene.scene_number));
-    const otherScenes = scenes.filter(scene => !knownSceneIds.has(scene.scene_number));
-    
-    sortedScenes.push(...otherScenes);
-    
-    return sortedScenes;
+// What /schedule/:id/revise sends back - the new draft compared with the saved breakdown, then fitted into the
+// saved schedule moving as few strips as possible (see revisions.js). Saved as a new schedule, the old one stays
+// A schedule from a project keeps its revisions in the same project
+async function runRevision(file, saved, settings, { onProgress = () => {}, signal } = {}) {
+    const { maxDayTimeHours, calendar, costModel, budget } = settings;
+    const projectId = settings.projectId || saved.projectId || null;
+    const { scenesData: revisedScenes, validation, merge, cache, ...stored } = await runExtraction(file, { ...settings, projectId }, { onProgress, signal });
+    if (signal?.aborted) throw new JobCancelledError();
+
+    onProgress("rescheduling", { scenes: revisedScenes.length });
+
+    const diff = diffBreakdowns(saved.scenes, revisedScenes);
+    const { schedule, moves, conflicts } = rescheduleRevision(saved.schedule, revisedScenes, maxDayTimeHours, { costModel, previousScenes: saved.scenes });
+
+    const result = withBudget({
+    revisionOf: saved.id,
+    schedule: describeDays(calendar ? applyCalendar(schedule, calendar) : schedule, costModel),
+    calendar: calendar ? calendar.summarize(schedule.length) : undefined,
+    maxDayTimeHours,
+    ...scheduleSettings(costModel),
+    // Locks on scenes the new draft omits go with them
+    locks: costModel.locks.filter(lock => revisedScenes.some(scene => isSameScene(scene, lock.scene_number))),
+    diff,
+    moves,
+    conflicts,
+    costBreakdown: scheduleCostBreakdown(schedule, costModel),
+    }, budget);
+
+    const scheduleId = saveSchedule(file.originalname, result, revisedScenes, { projectId, breakdownId: stored.breakdownId });
+
+    return {
+    scheduleId,
+    projectId: stored.projectId,
+    scriptId: stored.scriptId,
+    breakdownId: stored.breakdownId,
+    ...result,
+    validation,
+    merge,
+    cache,
+    };
 }
 
 
@@ -455,97 +769,677 @@ app.get("/", (req, res) => {
 app.post("/extract", upload.single("script"), async (req, res) => {
     if (!req.file) return res.status(400).send("No file uploaded");
 
-    console.log("Original file name:", req.file.originalname);
-    console.log("File size (bytes):", req.file.size);
+    let settings;
+    try {
+        settings = getExtractionSettings(req);
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
 
-    // Convert buffer to stream if needed
-    const folderName = `temp_${Date.now()}`
-    fs.mkdirSync(folderName)
+    res.json(await runExtraction(req.file, settings));
+});
+
+// The upload endpoint controls the main logic
+app.post("/schedule", upload.single("script"), async (req, res) => {
+    if (!req.file) return res.status(400).send("No file uploaded");
+
+    // Check the calendar, cost settings, availability and LLM settings before paying for extraction
+    let settings;
+    try {
+        settings = getSchedulingSettings(req);
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+
+    res.json(await runScheduling(req.file, settings));
+});
 
-    let masterData = [];
-    const pdfChunks = await chunkPDF(req.file.buffer)
-    let i = 1
-    for (const chunk of pdfChunks){
-        fs.writeFileSync(`${folderName}/chunk_${i}.pdf`, chunk);
-        i = i+1;
+// Schedules a breakdown sent as JSON - the /extract response, its scenesData or a plain list of scenes,
+// usually after an AD has corrected it. No extraction, so what was sent is exactly what gets scheduled
+// Takes the settings of /schedule as JSON fields (maxDayTimeHours, optimizer, startDate, weights...)
+// With a projectId the edited breakdown is stored as a new version next to the schedule
+app.post("/schedule/breakdown", (req, res) => {
+    const body = req.body || {};
+    const rawScenes = Array.isArray(body) ? body : (body.scenesData ?? body.scenes);
+    if (!Array.isArray(rawScenes) || rawScenes.length === 0) {
+        return res.status(400).send("Send the breakdown as scenesData (or scenes), a list of scenes");
     }
-  
-    // Now used to retrieve files
-    const files = fs.readdirSync(folderName);
-    const CHUNKS_API_CALLS = [];
-    for (const fileName of files){
-        console.log("Now Processing File: " + fileName);
-        const pdfStream = fs.createReadStream(`${folderName}/${fileName}`);
-        CHUNKS_API_CALLS.push(extractData(pdfStream));
+
+    // Hand edits are checked like model output, but nothing is dropped - a bad scene is sent back to be fixed
+    const { scenes, invalid } = validateScenes(rawScenes);
+    if (invalid.length > 0) {
+        return res.status(400).json({
+        error: "Some scenes in the breakdown are not valid",
+        invalid: invalid.map(({ index, raw, errors }) => ({ index, scene_number: raw?.scene_number ?? null, errors })),
+        });
     }
 
-    // All API calls made parallelly at once and will get results when all complete
-    // extractedData is an array with every index containing the results from the respective call.
-    const extractedData = await Promise.all(CHUNKS_API_CALLS);
-    for (let data of extractedData){
-        masterData.push(...data.scenes)
+    let options, projectId = null;
+    try {
+        options = getScheduleOptions(req);
+        projectId = body.projectId || null;
+        if (projectId && !getProject(projectId)) throw new Error(`No project with id ${projectId}`);
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+
+    const breakdownId = projectId
+        ? storedIn(projectId, addBreakdown(projectId, { scriptId: body.scriptId ?? null, scenes, edited: true, basedOn: body.breakdownId ?? null })).id
+        : undefined;
+
+    const result = scheduleBreakdown(scenes, options);
+    const title = body.title || (projectId ? getProject(projectId).name : "Edited breakdown");
+    const scheduleId = saveSchedule(title, result, scenes, { projectId, breakdownId });
+
+    res.json({
+    scheduleId,
+    projectId: projectId || undefined,
+    breakdownId,
+    maxDayTimeHours: options.maxDayTimeHours,
+    ...result,
+    });
+});
+
+
+// Upload a revised draft of the script behind a saved schedule - returns the scene diff, the updated
+// schedule and the strips that moved. Takes the same settings as /schedule, the saved schedule's own (locks, day
+// lengths, travel...) are kept for the ones it leaves out
+app.post("/schedule/:id/revise", upload.single("script"), async (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+    if (!req.file) return res.status(400).send("No file uploaded");
+
+    let settings;
+    try {
+        settings = getRevisionSettings(req, saved);
+    } catch (err) {
+        return res.status(400).send(err.message);
     }
 
-    fs.rmSync(folderName, { recursive: true, force: true });
+    res.json(await runRevision(req.file, saved, settings));
+});
+
+
+// A saved schedule as it was stored, for the stripboard to reload
+app.get("/schedule/:id", (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
 
+    res.json({ scheduleId: saved.id, maxDayTimeHours: DEFAULT_MAX_DAY_TIME_HOURS, ...saved });
+});
+
+// The stripboard in visualize.html sends its days as lists of scene numbers, [[scene_number, ...], ...]
+// Scored with the schedule's own locks and day length unless the request says otherwise
+function getBoardSettings(req, saved) {
+  const params = getRequestParams(req);
+  const schedule = arrangeSchedule(saved.schedule, parseJSONParam(params, "days", null));
+
+  const options = getScheduleOptions(req, {
+    ...savedScheduleSettings(saved),
+    locks: parseJSONParam(params, "locks", null) ?? saved.locks ?? [],
+  });
+  return { schedule, options };
+}
+
+// Scores a stripboard arrangement without saving it - the running cost while strips are dragged around
+app.post("/schedule/:id/cost", (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+
+    let board;
+    try {
+        board = getBoardSettings(req, saved);
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+
+    const { costModel, budget } = board.options;
     res.json({
-    scenesData: masterData,
+    maxDayTimeHours: board.options.maxDayTimeHours,
+    days: describeDays(board.schedule, costModel).map(({ day, date, weekday, totalTime, companyMoves, moveHours, daylight, callTimes, labour }) => ({ day, date, weekday, totalTime, companyMoves, moveHours, daylight, callTimes, labour })),
+    costBreakdown: scheduleCostBreakdown(board.schedule, costModel),
+    budget: budget ? budget.estimate(board.schedule) : undefined,
     });
+});
+
+// Saves a stripboard arrangement as a new schedule, the one it was edited from stays as it was
+app.post("/schedule/:id/board", (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+
+    let board;
+    try {
+        board = getBoardSettings(req, saved);
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
 
+    const { maxDayTimeHours, calendar, costModel, budget } = board.options;
+    const result = withBudget({
+    basedOn: saved.id,
+    schedule: describeDays(calendar ? applyCalendar(board.schedule, calendar) : board.schedule, costModel),
+    calendar: calendar ? calendar.summarize(board.schedule.length) : saved.calendar,
+    maxDayTimeHours,
+    conflicts: saved.conflicts || [],
+    ...scheduleSettings(costModel),
+    costBreakdown: scheduleCostBreakdown(board.schedule, costModel),
+    }, budget);
+    const scheduleId = saveSchedule(saved.title, result, saved.scenes, { projectId: saved.projectId, breakdownId: saved.breakdownId });
+
+    res.json({ scheduleId, ...result });
 });
 
-// The upload endpoint controls the main logic
-app.post("/schedule", upload.single("script"), async (req, res) => {
+
+// Moves strips of a saved schedule by hand: moves is a list of { scene_number, toDay, position, lock }
+// Moved scenes are locked where they were put unless lock is false, next to the locks the schedule already had
+// Saved as a new schedule with its cost breakdown, including what every lock costs
+app.post("/schedule/:id/moves", (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+
+    let moved, options;
+    try {
+        const moves = parseJSONParam(getRequestParams(req), "moves", null);
+        moved = applyManualMoves(saved.schedule, moves);
+
+        const movedScenes = moves.map(move => move.scene_number);
+        const locks = [
+            ...(saved.locks || []).filter(lock => !movedScenes.some(number => String(number).toUpperCase() === String(lock.scene_number).toUpperCase())),
+            ...moves.filter(move => move.lock !== false).map(move => {
+                const applied = moved.moves.find(m => String(m.scene_number).toUpperCase() === String(move.scene_number).toUpperCase());
+                return { scene_number: applied.scene_number, day: applied.toDay, position: move.position ?? null };
+            }),
+        ];
+        options = getScheduleOptions(req, { ...savedScheduleSettings(saved), locks });
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+
+    const { maxDayTimeHours, calendar, costModel, budget } = options;
+    const result = withBudget({
+    basedOn: saved.id,
+    schedule: describeDays(calendar ? applyCalendar(moved.schedule, calendar) : moved.schedule, costModel),
+    calendar: calendar ? calendar.summarize(moved.schedule.length) : undefined,
+    maxDayTimeHours,
+    moves: moved.moves,
+    conflicts: saved.conflicts || [],
+    ...scheduleSettings(costModel),
+    costBreakdown: scheduleCostBreakdown(moved.schedule, costModel),
+    }, budget);
+    const scheduleId = saveSchedule(saved.title, result, saved.scenes, { projectId: saved.projectId, breakdownId: saved.breakdownId });
+
+    res.json({ scheduleId, ...result });
+});
+
+// Schedules the breakdown behind a saved schedule again, keeping its locked scenes where they are and
+// optimizing the rest. Send locks to replace them, optimizer=anneal for the annealer. Saved as a new schedule
+app.post("/schedule/:id/reoptimize", (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+
+    let options;
+    try {
+        const locks = parseJSONParam(getRequestParams(req), "locks", null) ?? saved.locks ?? [];
+        options = getScheduleOptions(req, { ...savedScheduleSettings(saved), locks });
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+
+    const result = { basedOn: saved.id, ...scheduleBreakdown(saved.scenes, options) };
+    const scheduleId = saveSchedule(saved.title, result, saved.scenes, { projectId: saved.projectId, breakdownId: saved.breakdownId });
+
+    res.json({ scheduleId, ...result });
+});
+
+
+// Same as /extract, /schedule and /schedule/:id/revise, but they answer straight away with a job id (202)
+// Poll GET /jobs/:id or follow GET /jobs/:id/events, the result is on GET /jobs/:id once the job is done
+app.post("/jobs/extract", upload.single("script"), (req, res) => {
+    if (!req.file) return res.status(400).send("No file uploaded");
+
+    let settings;
+    try {
+        settings = getExtractionSettings(req);
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+
+    const job = startJob("extract", job => runExtraction(req.file, settings, { onProgress: job.progress, signal: job.signal }));
+    res.status(202).json(jobSummary(job));
+});
+
+app.post("/jobs/schedule", upload.single("script"), (req, res) => {
     if (!req.file) return res.status(400).send("No file uploaded");
 
-    console.log("Original file name:", req.file.originalname);
-    console.log("File size (bytes):", req.file.size);
+    let settings;
+    try {
+        settings = getSchedulingSettings(req);
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
 
-    // Convert buffer to stream if needed
-    const folderName = `temp_${Date.now()}`
-    fs.mkdirSync(folderName)
+    const job = startJob("schedule", job => runScheduling(req.file, settings, { onProgress: job.progress, signal: job.signal }));
+    res.status(202).json(jobSummary(job));
+});
+
+app.post("/jobs/schedule/:id/revise", upload.single("script"), (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+    if (!req.file) return res.status(400).send("No file uploaded");
+
+    let settings;
+    try {
+        settings = getRevisionSettings(req, saved);
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+
+    const job = startJob("revise", job => runRevision(req.file, saved, settings, { onProgress: job.progress, signal: job.signal }));
+    res.status(202).json(jobSummary(job));
+});
+
+app.get("/jobs/:id", (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).send("Job not found");
+
+    res.json(jobSummary(job));
+});
+
+// Server-sent events: every progress event so far, then live ones until the job is done, failed or cancelled
+app.get("/jobs/:id/events", (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).send("Job not found");
+
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.flushHeaders();
+
+    const unsubscribe = subscribeToJob(job, event => {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        if (event.type === "status" && event.status !== "running") res.end();
+    });
+    req.on("close", unsubscribe);
+});
+
+app.delete("/jobs/:id", (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).send("Job not found");
+    if (!cancelJob(job.id)) return res.status(409).send(`Job is already ${job.status}`);
+
+    res.json(jobSummary(job));
+});
+
+// Projects - scripts, breakdown versions and schedule versions that outlive the request (see projectStore.js)
+// /extract, /schedule and the job routes take a projectId to store what they produce in a project
+app.post("/projects", (req, res) => {
+    try {
+        res.status(201).json(createProject({ name: getRequestParams(req).name }));
+    } catch (err) {
+        res.status(400).send(err.message);
+    }
+});
+
+app.get("/projects", (req, res) => {
+    res.json({ projects: listProjects() });
+});
+
+app.get("/projects/:projectId", (req, res) => {
+    const project = getProject(req.params.projectId);
+    if (!project) return res.status(404).send("Project not found");
+
+    res.json(project);
+});
+
+app.delete("/projects/:projectId", (req, res) => {
+    if (!deleteProject(req.params.projectId)) return res.status(404).send("Project not found");
+
+    res.json({ deleted: req.params.projectId });
+});
+
+app.post("/projects/:projectId/scripts", upload.single("script"), (req, res) => {
+    if (!req.file) return res.status(400).send("No file uploaded");
+
+    const script = addScript(req.params.projectId, { filename: req.file.originalname, buffer: req.file.buffer });
+    if (!script) return res.status(404).send("Project not found");
+
+    res.status(201).json(script);
+});
+
+app.get("/projects/:projectId/scripts/:scriptId.pdf", (req, res) => {
+    const script = getScript(req.params.projectId, req.params.scriptId);
+    if (!script) return res.status(404).send("Script not found");
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${script.filename}"`);
+    res.send(script.buffer);
+});
+
+// A new breakdown version from a stored script (scriptId) or a new upload, same extraction settings as /extract
+app.post("/projects/:projectId/breakdowns", upload.single("script"), async (req, res) => {
+    const params = getRequestParams(req);
+    if (!getProject(req.params.projectId)) return res.status(404).send("Project not found");
+
+    let file = req.file;
+    if (!file) {
+        const script = params.scriptId && getScript(req.params.projectId, params.scriptId);
+        if (!script) return res.status(400).send("Upload a script or give the scriptId of a stored one");
+        file = { originalname: script.filename, size: script.size, buffer: script.buffer, scriptId: script.id };
+    }
+
+    let settings;
+    try {
+        settings = { ...getExtractionSettings(req), projectId: req.params.projectId };
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+
+    res.status(201).json(await runExtraction(file, settings));
+});
+
+app.get("/projects/:projectId/breakdowns/:breakdownId", (req, res) => {
+    const breakdown = getBreakdown(req.params.projectId, req.params.breakdownId);
+    if (!breakdown) return res.status(404).send("Breakdown not found");
+
+    res.json(breakdown);
+});
+
+// A new schedule version from a stored breakdown - no extraction, so nothing is paid for
+// Takes the calendar, cost and optimizer settings of /schedule
+app.post("/projects/:projectId/schedules", (req, res) => {
+    const params = getRequestParams(req);
+    const breakdown = getBreakdown(req.params.projectId, params.breakdownId);
+    if (!breakdown) return res.status(404).send("Breakdown not found");
+
+    let options;
+    try {
+        options = getScheduleOptions(req);
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+
+    const result = scheduleBreakdown(breakdown.scenes, options);
+    const title = getProject(req.params.projectId).name;
+    const scheduleId = saveSchedule(title, result, breakdown.scenes, { projectId: req.params.projectId, breakdownId: breakdown.id });
+
+    res.status(201).json({ scheduleId, projectId: req.params.projectId, breakdownId: breakdown.id, ...result });
+});
+
+app.get("/projects/:projectId/schedules/:scheduleId", (req, res) => {
+    const schedule = getSchedule(req.params.projectId, req.params.scheduleId);
+    if (!schedule) return res.status(404).send("Schedule not found");
+
+    res.json(schedule);
+});
+
+// kind is scripts, breakdowns or schedules
+app.delete("/projects/:projectId/:kind/:entryId", (req, res) => {
+    if (!["scripts", "breakdowns", "schedules"].includes(req.params.kind)) return res.status(404).send("Not found");
+    if (!deleteEntry(req.params.projectId, req.params.kind, req.params.entryId)) return res.status(404).send("Not found");
+
+    res.json({ deleted: req.params.entryId });
+});
+
+
+// The chunk extraction cache - how big it is, and a way to empty it
+app.get("/cache/extraction", (req, res) => {
+    res.json(extractionCacheStats());
+});
+
+app.delete("/cache/extraction", (req, res) => {
+    res.json({ removed: purgeExtractionCache() });
+});
+
+
+// Printable stripboard for a schedule produced by /schedule
+app.get("/schedule/:id/stripboard.pdf", async (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
 
-    let masterData = [];
-    const pdfChunks = await chunkPDF(req.file.buffer)
-    let i = 1
-    for (const chunk of pdfChunks){
-        fs.writeFileSync(`${folderName}/chunk_${i}.pdf`, chunk);
-        i = i+1;
+    try {
+        const pdfBytes = await renderStripboard(saved.schedule, { title: `${saved.title} - Stripboard` });
+
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `inline; filename="stripboard_${saved.id}.pdf"`);
+        res.send(Buffer.from(pdfBytes));
+    } catch (err) {
+        console.error(err);
+        res.status(500).send("Could not generate the stripboard");
     }
-  
-    // Now used to retrieve files
-    const files = fs.readdirSync(folderName);
-    const CHUNKS_API_CALLS = [];
-    for (const fileName of files){
-        console.log("Now Processing File: " + fileName);
-        const pdfStream = fs.createReadStream(`${folderName}/${fileName}`);
-        CHUNKS_API_CALLS.push(extractData(pdfStream));
+});
+
+
+// Call sheets - every day as JSON, one day as JSON or as a PDF
+app.get("/schedule/:id/callsheets", (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+
+    res.json({
+    callSheets: saved.schedule.map(day => buildCallSheet(saved.schedule, day.day, { title: saved.title })),
+    });
+});
+
+app.get("/schedule/:id/callsheets/:day.pdf", async (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+
+    const callSheet = buildCallSheet(saved.schedule, Number(req.params.day), { title: saved.title });
+    if (!callSheet) return res.status(404).send("No such shooting day");
+
+    try {
+        const pdfBytes = await renderCallSheet(callSheet);
+
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `inline; filename="callsheet_day_${callSheet.day}.pdf"`);
+        res.send(Buffer.from(pdfBytes));
+    } catch (err) {
+        console.error(err);
+        res.status(500).send("Could not generate the call sheet");
+    }
+});
+
+app.get("/schedule/:id/callsheets/:day", (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+
+    const callSheet = buildCallSheet(saved.schedule, Number(req.params.day), { title: saved.title });
+    if (!callSheet) return res.status(404).send("No such shooting day");
+
+    res.json(callSheet);
+});
+
+
+// Day Out of Days for the cast, as JSON or CSV
+app.get("/schedule/:id/dood.csv", (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename="dood_${saved.id}.csv"`);
+    res.send(dayOutOfDaysToCSV(buildDayOutOfDays(saved.schedule)));
+});
+
+// The budget of a saved schedule by day, department and element, with its own rate cards or rates from the
+// query string
+app.get("/schedule/:id/budget", (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+
+    let budget;
+    try {
+        budget = getScheduleOptions(req, savedScheduleSettings(saved)).budget;
+    } catch (err) {
+        return res.status(400).send(err.message);
     }
+    if (!budget) return res.status(400).send("This schedule has no rate cards, send rates to budget it");
+
+    res.json(budget.estimate(saved.schedule));
+});
 
-    // All API calls made parallelly at once and will get results when all complete
-    // extractedData is an array with every index containing the results from the respective call.
-    const extractedData = await Promise.all(CHUNKS_API_CALLS);
-    for (let data of extractedData){
-        masterData.push(...data.scenes)
+// Every vehicle, stunt, effect and group of extras with the days it's needed and the days it's booked for, the
+// schedule's own listed elements first (or elements from the query string)
+app.get("/schedule/:id/elements", (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+
+    let elements;
+    try {
+        elements = getScheduleOptions(req, savedScheduleSettings(saved)).costModel.elements;
+    } catch (err) {
+        return res.status(400).send(err.message);
     }
 
-    fs.rmSync(folderName, { recursive: true, force: true });
+    const report = elementReport(saved.schedule, elements);
+    res.json({
+    rentalDays: report.filter(element => element.listed).reduce((total, element) => total + element.rentalDays, 0),
+    elements: report,
+    });
+});
+
+// Labour compliance per day: the ruled cast with their hours, the tutors and breaks to book and any breaches
+// Uses the schedule's own labour rules, or labour from the query string to check it against others
+app.get("/schedule/:id/labour", (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
 
-    const scheduledData = await scheduleScenes(masterData,12);
+    let labour;
+    try {
+        labour = getScheduleOptions(req, savedScheduleSettings(saved)).costModel.labour;
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+    if (!labour) return res.status(400).send("This schedule has no labour rules, send labour to check it against some");
 
+    const days = labour.reportDays(saved.schedule.map(day => day.scenes)).map(report => ({
+    ...report,
+    date: saved.schedule[report.day - 1].date,
+    }));
     res.json({
-    schedule: scheduledData,
+    compliant: days.every(day => day.breaches.length === 0),
+    breaches: days.reduce((total, day) => total + day.breaches.length, 0),
+    days,
+    });
+});
+
+app.get("/schedule/:id/dood", (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+
+    res.json(buildDayOutOfDays(saved.schedule));
+});
+
+
+// Schedule edits from spoken (or typed) commands wait here until they are confirmed or expire
+const PENDING_EDIT_TTL_MS = 30 * 60 * 1000;
+const pendingEdits = new Map();
+
+// Parses a transcript into commands (see voiceCommands.js) and applies them to a copy of the saved schedule
+// Returns what was understood and what it would change, with the cost before and after. Edits that change
+// the schedule are kept under a confirmId, POST /voice/:confirmId/confirm saves them as a new schedule
+// llm=false keeps it to the grammar, otherwise pieces the grammar doesn't know go to the request's LLM
+async function previewEdit(req, saved, transcript, llm) {
+  const { commands, unparsed } = await parseTranscript(transcript, llm);
+  const edit = applyCommands(saved, commands);
+
+  const before = getScheduleOptions(req, savedScheduleSettings(saved));
+  const after = getScheduleOptions(req, { ...savedScheduleSettings(saved), locks: edit.locks, dayHours: edit.dayHours });
+  const costBefore = scheduleCostBreakdown(saved.schedule, before.costModel);
+  const costAfter = scheduleCostBreakdown(edit.schedule, after.costModel);
+
+  let confirmId = null;
+  if (edit.changed) {
+    const { maxDayTimeHours, calendar, costModel, budget } = after;
+    confirmId = randomUUID();
+    pendingEdits.set(confirmId, {
+      saved,
+      transcript,
+      result: withBudget({
+        basedOn: saved.id,
+        schedule: describeDays(calendar ? applyCalendar(edit.schedule, calendar) : edit.schedule, costModel),
+        calendar: calendar ? calendar.summarize(edit.schedule.length) : saved.calendar,
+        maxDayTimeHours,
+        commands,
+        conflicts: saved.conflicts || [],
+        ...scheduleSettings(costModel),
+        costBreakdown: costAfter,
+      }, budget),
     });
+    setTimeout(() => pendingEdits.delete(confirmId), PENDING_EDIT_TTL_MS).unref();
+  }
+
+  return {
+    scheduleId: saved.id,
+    transcript,
+    commands,
+    unparsed,
+    answers: edit.answers,
+    errors: edit.errors,
+    changes: edit.changes,
+    cost: { before: costBefore.total, after: costAfter.total, difference: costAfter.total - costBefore.total },
+    violations: costAfter.violations,
+    confirmId,
+    expiresAt: confirmId ? new Date(Date.now() + PENDING_EDIT_TTL_MS).toISOString() : null,
+  };
+}
+
+function getCommandLLM(req) {
+  return String(getRequestParams(req).llm) === "false" ? null : getRequestLLM(req);
+}
+
+// Typed commands for a saved schedule, text is the same kind of sentence /voice would hear
+app.post("/schedule/:id/commands", async (req, res) => {
+    const saved = getSavedSchedule(req.params.id);
+    if (!saved) return res.status(404).send("Schedule not found");
+
+    const { text } = getRequestParams(req);
+    if (typeof text !== "string" || !text.trim()) return res.status(400).send("text is required");
+
+    try {
+        res.json(await previewEdit(req, saved, text, getCommandLLM(req)));
+    } catch (err) {
+        res.status(400).send(err.message);
+    }
+});
+
+// Saves a previewed edit as a new schedule, the one it was made from stays as it was
+app.post("/voice/:confirmId/confirm", (req, res) => {
+    const pending = pendingEdits.get(req.params.confirmId);
+    if (!pending) return res.status(404).send("No edit waiting with that id, it may have expired");
+
+    pendingEdits.delete(req.params.confirmId);
+    const { saved, result } = pending;
+    const scheduleId = saveSchedule(saved.title, result, saved.scenes, { projectId: saved.projectId, breakdownId: saved.breakdownId });
+
+    res.json({ scheduleId, transcript: pending.transcript, ...result });
+});
 
+app.delete("/voice/:confirmId", (req, res) => {
+    if (!pendingEdits.delete(req.params.confirmId)) {
+        return res.status(404).send("No edit waiting with that id, it may have expired");
+    }
+    res.status(204).end();
 });
 
 
 // The endpoint to take in voice commands and convert it to text
+// With a scheduleId the transcript is also read as schedule commands, see previewEdit() for the edit field
 app.post("/voice", upload.single("audio"), async (req, res) => {
   if (!req.file) {
     return res.status(400).send("No file uploaded.");
   }
 
+  const { scheduleId } = getRequestParams(req);
+  const saved = scheduleId ? getSavedSchedule(scheduleId) : null;
+  if (scheduleId && !saved) return res.status(404).send("Schedule not found");
+
+  let llm = null;
+  try {
+    llm = saved ? getCommandLLM(req) : null;
+  } catch (err) {
+    return res.status(400).send(err.message);
+  }
+
+  let transcription;
   try {
     const file = new File(
       [req.file.buffer],
@@ -553,22 +1447,29 @@ app.post("/voice", upload.single("audio"), async (req, res) => {
       { type: req.file.mimetype }
     );
 
-    const transcription = await openai.audio.transcriptions.create({
+    transcription = await openai.audio.transcriptions.create({
       file,
       model: "gpt-4o-mini-transcribe",
     });
-
-    res.json({
-      message: "Audio received",
-      text: transcription.text,
-      filename: req.file.originalname,
-    });
-
   } catch (err) {
     console.error(err);
-    res.status(500).send("Something went wrong");
+    return res.status(500).send("Something went wrong");
+  }
+
+  // An edit that can't be made is the caller's to fix, like on /schedule/:id/commands
+  let edit;
+  try {
+    edit = saved ? await previewEdit(req, saved, transcription.text, llm) : undefined;
+  } catch (err) {
+    return res.status(400).send(err.message);
   }
 
+  res.json({
+    message: "Audio received",
+    text: transcription.text,
+    filename: req.file.originalname,
+    edit,
+  });
 });
 
 
@@ -1,3 +1,8 @@
+import { fileURLToPath } from "url";
+import { scheduleScenes, sortScenesByTimeOfDay } from "./scheduler.js";
+import { findLock, applyLockedPositions } from "./locks.js";
+import { createCostModel, costOfSchedule, stateToDays, scheduleCostBreakdown } from "./costModel.js";
+
 const scenes = [
     {
         "sfx": [],
@@ -337,245 +342,208 @@ const scenes = [
     }
 ]
 
-// Scheduling Scenes
-function scheduleScenes(scenes, maxDayTimeHours) {
-    // Get locations sorted by most scenes first
-    let locationSceneMap = getLocationsSortedBySceneCount(scenes);
-    let shootingDays = [];
-    let currentDayNumber = 1;
-
-    // Continue scheduling until all scenes are assigned
-    while (Object.keys(locationSceneMap).length > 0) {
-        let dayScenes = [];
-        let totalDayTimeUsed = 0;
-
-        for (let locationName in locationSceneMap) {
-            // If remaining day time is 4 hours or less, don't change location (avoid pack-up)
-            if (maxDayTimeHours - totalDayTimeUsed <= 4) {
-                continue;
-            }
+// Scenes are identified by their index in the scenes array, and a state is an array where
+// state[i] is the shooting day scene i is placed on (same shape as the old initState)
+export function scheduleToState(schedule, scenes) {
+    return scenes.map(scene => {
+        const shootingDay = schedule.find(d =>
+            d.scenes.some(s => s === scene || s.scene_number === scene.scene_number)
+        )
+        return shootingDay ? shootingDay.day : 0
+    })
+}
 
-            // Sort sub-locations with most scenes first - The EXTD, INTD, INTN, EXTN Sort function is inside this function
-            locationSceneMap[locationName] = sortSubLocationsBySceneCount(locationSceneMap[locationName]);
-            let locationScenes = locationSceneMap[locationName];
-
-            let sceneIndex = 0;
-            while (sceneIndex < locationScenes.length) {
-                let scene = locationScenes[sceneIndex];
-
-                // Schedule scene if it fits in the day, or if it's the last scene at this location
-                const willSceneFit = totalDayTimeUsed + scene.estimatedTime <= maxDayTimeHours;
-                const isLastSceneAtLocation = locationScenes.length === 1;
-                
-                if (willSceneFit || isLastSceneAtLocation) {
-                    dayScenes.push(scene);
-                    totalDayTimeUsed += scene.estimatedTime;
-                    locationScenes.splice(sceneIndex, 1); // Remove scheduled scene
-                } else {
-                    sceneIndex++;
-                }
-            }
+// Turn a state back into the same { day, scenes, totalTime } shape scheduleScenes() returns
+// Scenes locked to a position in their day (see locks.js) are put back at it
+export function stateToSchedule(state, scenes, locks = []) {
+    return stateToDays(state, scenes).map((dayScenes, i) => ({
+        day: i + 1,
+        scenes: applyLockedPositions(sortScenesByTimeOfDay([...dayScenes]), locks),
+        totalTime: dayScenes.reduce((total, scene) => total + scene.estimatedTime, 0)
+    }))
+}
 
-            // Remove location if all scenes have been scheduled
-            if (locationScenes.length === 0) {
-                delete locationSceneMap[locationName];
-            }
-        }
+// Simulated Annealing
+
+export const DEFAULT_ANNEALING_OPTIONS = {
+    seed: 1,
+    initialTemperature: 100,
+    minTemperature: 0.1,
+    cooling: "geometric",        // "geometric" multiplies by coolingRate, "linear" subtracts coolingStep
+    coolingRate: 0.95,
+    coolingStep: 1,
+    iterationsPerTemperature: 100
+}
 
-        // Sort scenes within the day from MORNING to EVENING
-        const timeOfDayOrder = ["MORNING", "EVENING", "NIGHT", "UNKNOWN"];
-        dayScenes.sort((sceneA, sceneB) => {
-            return timeOfDayOrder.indexOf(sceneA.time_of_day) - timeOfDayOrder.indexOf(sceneB.time_of_day);
-        });
-
-        shootingDays.push({
-            day: currentDayNumber,
-            scenes: dayScenes,
-            totalTime: totalDayTimeUsed
-        });
-        
-        currentDayNumber++;
+// The loop runs synchronously, so whatever the options say it has to end
+export const MAX_ITERATIONS_PER_TEMPERATURE = 10000
+export const MAX_ANNEALING_ITERATIONS = 200000
+
+// Throws on options that would never cool down (or take forever to), defaults filled in for the missing ones
+export function checkAnnealingOptions(options) {
+    const { initialTemperature, minTemperature, cooling, coolingRate, coolingStep, iterationsPerTemperature } = { ...DEFAULT_ANNEALING_OPTIONS, ...options }
+    const isNumber = value => typeof value === "number" && Number.isFinite(value)
+
+    if (!isNumber(minTemperature) || !(minTemperature > 0)) {
+        throw new Error("minTemperature must be a number above 0")
+    }
+    if (!isNumber(initialTemperature) || !(initialTemperature > minTemperature)) {
+        throw new Error("initialTemperature must be a number above minTemperature")
+    }
+    if (cooling === "linear" && (!isNumber(coolingStep) || !(coolingStep > 0))) {
+        throw new Error("coolingStep must be a number above 0")
+    }
+    if (cooling !== "linear" && (!isNumber(coolingRate) || !(coolingRate > 0 && coolingRate < 1))) {
+        throw new Error("coolingRate must be a number between 0 and 1")
+    }
+    if (!Number.isInteger(iterationsPerTemperature) || iterationsPerTemperature < 1 || iterationsPerTemperature > MAX_ITERATIONS_PER_TEMPERATURE) {
+        throw new Error(`iterationsPerTemperature must be a whole number from 1 to ${MAX_ITERATIONS_PER_TEMPERATURE}`)
     }
+}
 
-    return shootingDays;
+// Small seeded PRNG (mulberry32) so the same seed always gives the same schedule
+export function createRandom(seed) {
+    let a = seed >>> 0
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0
+        let t = a
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
 }
 
-// Group scenes by location and sort locations by scene count
-function getLocationsSortedBySceneCount(scenes) {
-    // Group scenes by location
-    let locationMap = {};
-    
-    for (let scene of scenes) {
-        const locationName = scene.location_name;
-        
-        if (!locationMap[locationName]) {
-            locationMap[locationName] = [];
-        }
-        
-        locationMap[locationName].push(scene);
-
-        // Track scene count per location
-        if (locationMap[locationName].sceneCount) {
-            locationMap[locationName].sceneCount += 1;
-        } else {
-            locationMap[locationName].sceneCount = 1;
-        }
+function nextTemperature(temperature, options) {
+    if (options.cooling === "linear") {
+        return temperature - options.coolingStep
     }
+    return temperature * options.coolingRate
+}
 
-    // Sort locations by scene count (most scenes first)
-    locationMap = Object.fromEntries(
-        Object.entries(locationMap)
-            .sort((locationA, locationB) => locationB[1].sceneCount - locationA[1].sceneCount)
-    );
+// Renumber days to 1..n keeping their order, so merges and moves never leave empty days behind
+// With scenes locked to a day the numbers have to stay put, empty days are left to the cost model
+function normalizeState(state, search) {
+    if (search.keepDayNumbers) return state
 
-    return locationMap;
+    const days = [...new Set(state)].sort((a, b) => a - b)
+    const dayNumber = new Map(days.map((day, i) => [day, i + 1]))
+    return state.map(day => dayNumber.get(day))
 }
 
-// Sort scenes within a location by sub-location (most scenes first)
-function sortSubLocationsBySceneCount(locationScenes) {
-    let subLocationSceneCount = {};
-    let sortedScenes = [];
-
-    // Count scenes per sub-location
-    locationScenes.forEach(scene => {
-        const subLocationName = scene.sub_location_name;
-        subLocationSceneCount[subLocationName] = (subLocationSceneCount[subLocationName] || 0) + 1;
-    });
-
-    // Sort sub-locations by scene count (most scenes first)
-    subLocationSceneCount = Object.fromEntries(
-        Object.entries(subLocationSceneCount).sort((a, b) => b[1] - a[1])
-    );
-
-    // Process each sub-location in order
-    for (let subLocationName in subLocationSceneCount) {
-        let subLocationScenes = locationScenes.filter(scene => 
-            scene.sub_location_name === subLocationName
-        );
-        
-        let sortedSubLocationScenes = sortScenesByLocationType(subLocationScenes);
-        sortedScenes.push(...sortedSubLocationScenes);
-    }
+// Neighbour moves - each returns a new state, or null if the move changes nothing
+// Day length is left to the cost model (overtime penalty / maxOvertimeHours hard constraint)
+// search.locked[i] is true for scenes locked to their day, moves never pick those
+
+// Move one scene to another existing day, or onto a new day at the end of the shoot
+function moveScene(state, random, search) {
+    const dayCount = Math.max(...state)
+    const sceneIndex = Math.floor(random() * state.length)
+    const targetDay = 1 + Math.floor(random() * (dayCount + 1))
+    if (targetDay === state[sceneIndex] || search.locked[sceneIndex]) return null
 
-    return sortedScenes;
+    const next = [...state]
+    next[sceneIndex] = targetDay
+    return normalizeState(next, search)
 }
 
-// Sort scenes by location type and time of day
-function sortScenesByLocationType(scenes) {
-    const sortedScenes = [];
-
-    // Order of preference for scheduling:
-    // 1. EXT + DAY/EVENING
-    sortedScenes.push(...scenes.filter(scene => 
-        scene.location_type === "EXT" && 
-        (scene.time_of_day === "DAY" || scene.time_of_day === "EVENING")
-    ));
-    
-    // 2. INT + DAY/EVENING
-    sortedScenes.push(...scenes.filter(scene => 
-        scene.location_type === "INT" && 
-        (scene.time_of_day === "DAY" || scene.time_of_day === "EVENING")
-    ));
-    
-    // 3. INT + NIGHT
-    sortedScenes.push(...scenes.filter(scene => 
-        scene.location_type === "INT" && 
-        scene.time_of_day === "NIGHT"
-    ));
-    
-    // 4. EXT + NIGHT
-    sortedScenes.push(...scenes.filter(scene => 
-        scene.location_type === "EXT" && 
-        scene.time_of_day === "NIGHT"
-    ));
-
-    // 5. All other scenes
-    const knownSceneIds = new Set(sortedScenes.map(scene => scene.scene_number));
-    const otherScenes = scenes.filter(scene => !knownSceneIds.has(scene.scene_number));
-    
-    sortedScenes.push(...otherScenes);
-    
-    return sortedScenes;
+// Swap the days of two scenes
+function swapScenes(state, random, search) {
+    const a = Math.floor(random() * state.length)
+    const b = Math.floor(random() * state.length)
+    if (state[a] === state[b] || search.locked[a] || search.locked[b]) return null
+
+    const next = [...state]
+    next[a] = state[b]
+    next[b] = state[a]
+    return next
 }
 
-// Anoother constraint of day time being exceeded should also be added here
-function costOfSchedule(state){
-    let cost = 0
+// Fold every scene of one day into another day - not a day with locked scenes on it
+function mergeDays(state, random, search) {
+    const dayCount = Math.max(...state)
+    if (dayCount < 2) return null
 
-    const dayMap = {}
-    state.forEach((day, i) => {
-        if(!dayMap[day])
-            dayMap[day] = []
-        dayMap[day].push(scenes[i])
-    })
+    const fromDay = 1 + Math.floor(random() * dayCount)
+    const toDay = 1 + Math.floor(random() * dayCount)
+    if (fromDay === toDay || state.some((day, i) => day === fromDay && search.locked[i])) return null
 
-    console.log(dayMap)
-
-    // Loop through every key in the array find total location changes (Total Locations -1)
-    // find total sub location changes (Sub Location - 1)
-    // find total location type changes (Location Types - 1) 
-    // find character overlap (More Overlap less cost)
-    // OT hours totalDayTime - maxHours (The higher the higher the cost)
-
-    Object.keys(dayMap).forEach(day => {
-        let locations = new Set()
-        let subLocations = new Set()
-        let locationTypes = new Set()
-        let charactersMap = {}
-
-        const loc_weight = 100
-        const subLoc_weight = 10
-        const locType_weight = 20
-        const char_weight = 10
-        const charOverlap_weight = -10 
-
-        dayMap[day].forEach(scene => {
-            locations.add(scene.location_name)
-            subLocations.add(scene.sub_location_name)
-            locationTypes.add(scene.location_type)
-
-            scene.characters.forEach(character =>{
-                if (charactersMap[character]){
-                    charactersMap[character] += 1
-                }else{
-                    charactersMap[character] = 1
-                }
-            })
-        })
-        
-        const totalCharacters = Object.keys(charactersMap).length
+    return normalizeState(state.map(day => day === fromDay ? toDay : day), search)
+}
 
-        let totalCharacterOverlap = 0
-        Object.keys(charactersMap).forEach(char => {
-            totalCharacterOverlap += charactersMap[char] - 1
-        })
+const NEIGHBOUR_MOVES = [moveScene, swapScenes, mergeDays]
 
-        cost += loc_weight * (locations.size - 1) 
-              + subLoc_weight * (subLocations.size - 1) 
-              + locType_weight * (locationTypes.size - 1)
-              + char_weight * totalCharacters 
-              + charOverlap_weight * totalCharacterOverlap
+// Starts from the greedy scheduleScenes() output and anneals the day assignment of every scene
+// Scenes locked in the cost model (costModel.locks, see locks.js) keep their day, only the others move
+export function simulatedAnnealing(scenes, maxDayTimeHours, options = {}) {
+    options = { ...DEFAULT_ANNEALING_OPTIONS, ...options }
+    checkAnnealingOptions(options)
+    const random = createRandom(options.seed)
+    const costModel = options.costModel || createCostModel({ maxDayTimeHours })
+    const locks = costModel.locks || []
 
-        console.log("The total cost till now is: " + cost);
+    // Scenes the greedy pass couldn't place at all stay out of the search and are passed back as conflicts
+    const { schedule: greedySchedule, conflicts } = scheduleScenes(scenes, maxDayTimeHours, { availability: costModel.availability, locks, dayHours: costModel.dayHours, travel: costModel.travel, daylight: costModel.daylight, turnaround: costModel.turnaround, labour: costModel.labour, elements: costModel.elements })
+    scenes = scenes.filter(scene => !conflicts.some(c => c.scene_number === scene.scene_number))
 
-    })
+    const search = {
+        locked: scenes.map(scene => Boolean(findLock(locks, scene))),
+        keepDayNumbers: locks.length > 0
+    }
 
-    return cost
-}
+    let currentState = scheduleToState(greedySchedule, scenes)
+    let currentCost = costOfSchedule(currentState, scenes, costModel)
+
+    const initialCost = currentCost
+    let bestState = currentState
+    let bestCost = currentCost
+    let iterations = 0
+
+    let temperature = options.initialTemperature
+    // MAX_ANNEALING_ITERATIONS stops a slow cooling schedule that the option checks let through
+    while (scenes.length > 1 && temperature > options.minTemperature && iterations < MAX_ANNEALING_ITERATIONS) {
+        for (let i = 0; i < options.iterationsPerTemperature; i++) {
+            iterations++
 
-// Continue and finish with this algo and try some others tom or later
-function simulatedAnnealing(){
+            const move = NEIGHBOUR_MOVES[Math.floor(random() * NEIGHBOUR_MOVES.length)]
+            const candidateState = move(currentState, random, search)
+            if (!candidateState) continue
+
+            const candidateCost = costOfSchedule(candidateState, scenes, costModel)
+            const delta = candidateCost - currentCost
+
+            // Always take improvements, take worse states with probability e^(-delta/T)
+            if (delta <= 0 || random() < Math.exp(-delta / temperature)) {
+                currentState = candidateState
+                currentCost = candidateCost
+
+                if (currentCost < bestCost) {
+                    bestState = currentState
+                    bestCost = currentCost
+                }
+            }
+        }
+
+        temperature = nextTemperature(temperature, options)
+    }
+
+    const schedule = stateToSchedule(bestState, scenes, locks)
+
+    return {
+        schedule,
+        // The greedy schedule it started from, to compare against
+        initialSchedule: greedySchedule,
+        initialCost,
+        finalCost: bestCost,
+        costBreakdown: scheduleCostBreakdown(schedule, costModel),
+        conflicts,
+        iterations,
+        seed: options.seed
+    }
 }
 
-subOptimalSchedule = scheduleScenes(scenes, 12);
-initState = []
-scenes.forEach(scene => {
-    const dayIndex = subOptimalSchedule.findIndex(d =>
-        d.scenes.some(s => s.scene_number === scene.scene_number)
-    )
-    initState.push(dayIndex+1) 
-})
-
-// For testing some random initStates - try with a few more to see how well the cost function works
-initState = [1,1,1,1,1,7,7,7,2,3,6,6,6,7,7,2]
-console.log(costOfSchedule(initState)); // Should give a numeric value based on some cost function
\ No newline at end of file
+// Run directly (node simulated_annealing.js) to try the optimizer on the sample scenes above
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const result = simulatedAnnealing(scenes, 12, { seed: 42 })
+    console.log(result.schedule.map(d => `Day ${d.day} (${d.totalTime}h): ` + d.scenes.map(s => s.scene_number).join(", ")))
+    console.log(`Cost went from ${result.initialCost} to ${result.finalCost} in ${result.iterations} iterations`)
+}
@@ -0,0 +1,155 @@
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { assignCastNumbers, castIdsForScene, formatPages } from './castList.js';
+
+// Landscape letter
+const PAGE_WIDTH = 792;
+const PAGE_HEIGHT = 612;
+const MARGIN = 36;
+const STRIP_HEIGHT = 22;
+const BANNER_HEIGHT = 20;
+const FONT_SIZE = 9;
+
+// Traditional strip colours
+const STRIP_COLOURS = {
+    "EXT DAY": rgb(1, 0.95, 0.55),   // yellow
+    "INT DAY": rgb(1, 1, 1),         // white
+    "INT NIGHT": rgb(0.62, 0.76, 1), // blue
+    "EXT NIGHT": rgb(0.6, 0.88, 0.6) // green
+};
+const OTHER_STRIP_COLOUR = rgb(0.88, 0.88, 0.88);
+
+const COLUMNS = [
+    { title: "SCENE", width: 50 },
+    { title: "I/E D/N", width: 70 },
+    { title: "SET", width: 330 },
+    { title: "CAST", width: 170 },
+    { title: "PAGES", width: 50 },
+    { title: "HOURS", width: 50 }
+];
+
+// "INT DAY", "EXT NIGHT"... - time_of_day is already DAY, NIGHT or UNKNOWN (see sceneSchema.js)
+export function stripCategory(scene) {
+    const locationType = String(scene.location_type || "").toUpperCase();
+    const timeOfDay = String(scene.time_of_day || "").toUpperCase();
+
+    return `${locationType || "UNKNOWN"} ${timeOfDay || "UNKNOWN"}`;
+}
+
+// Standard fonts only carry WinAnsi characters
+export function pdfSafe(text) {
+    return String(text ?? "").replace(/[^\x20-\x7E\xA0-\xFF]/g, "?");
+}
+
+// Cut text down with "..." so it fits in maxWidth
+export function fitText(text, font, size, maxWidth) {
+    let fitted = pdfSafe(text);
+    if (font.widthOfTextAtSize(fitted, size) <= maxWidth) return fitted;
+
+    while (fitted.length > 0 && font.widthOfTextAtSize(fitted + "...", size) > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return fitted + "...";
+}
+
+// Renders a { day, date?, scenes, totalTime } schedule as a stripboard, one strip per scene and a
+// banner at the end of every day. Returns the PDF bytes
+export async function renderStripboard(schedule, { title = "Stripboard" } = {}) {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const boldFont = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+    const castList = assignCastNumbers(schedule.flatMap(day => day.scenes));
+
+    let page;
+    let y;
+
+    const newPage = () => {
+        page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+        y = PAGE_HEIGHT - MARGIN;
+
+        page.drawText(fitText(title, boldFont, 14, PAGE_WIDTH - 2 * MARGIN), { x: MARGIN, y: y - 14, size: 14, font: boldFont });
+        y -= 30;
+
+        let x = MARGIN;
+        for (const column of COLUMNS) {
+            page.drawText(column.title, { x: x + 4, y: y - 12, size: FONT_SIZE, font: boldFont });
+            x += column.width;
+        }
+        y -= 18;
+    };
+
+    // Start a new page when the next row won't fit
+    const ensureSpace = (height) => {
+        if (!page || y - height < MARGIN) newPage();
+    };
+
+    const drawStrip = (scene) => {
+        ensureSpace(STRIP_HEIGHT);
+
+        const category = stripCategory(scene);
+        page.drawRectangle({
+            x: MARGIN,
+            y: y - STRIP_HEIGHT,
+            width: PAGE_WIDTH - 2 * MARGIN,
+            height: STRIP_HEIGHT,
+            color: STRIP_COLOURS[category] || OTHER_STRIP_COLOUR,
+            borderColor: rgb(0.4, 0.4, 0.4),
+            borderWidth: 0.5
+        });
+
+        const set = [scene.location_name, scene.sub_location_name].filter(Boolean).join(" - ");
+        const cells = [
+            String(scene.scene_number),
+            category,
+            set,
+            castIdsForScene(scene, castList).join(", "),
+            formatPages(scene.page_estimate),
+            String(scene.estimatedTime ?? "")
+        ];
+
+        let x = MARGIN;
+        cells.forEach((cell, i) => {
+            const cellFont = i === 0 ? boldFont : font;
+            page.drawText(fitText(cell, cellFont, FONT_SIZE, COLUMNS[i].width - 8), {
+                x: x + 4,
+                y: y - STRIP_HEIGHT + 8,
+                size: FONT_SIZE,
+                font: cellFont
+            });
+            x += COLUMNS[i].width;
+        });
+
+        y -= STRIP_HEIGHT;
+    };
+
+    const drawDayBanner = (day) => {
+        ensureSpace(BANNER_HEIGHT);
+
+        const pages = day.scenes.reduce((total, scene) => total + (Number(scene.page_estimate) || 0), 0);
+        const when = day.date ? ` - ${[day.weekday, day.date].filter(Boolean).join(" ")}` : "";
+        const text = `END OF DAY ${day.day}${when} - ${day.totalTime} hrs - ${formatPages(pages)} pages`;
+
+        page.drawRectangle({ x: MARGIN, y: y - BANNER_HEIGHT, width: PAGE_WIDTH - 2 * MARGIN, height: BANNER_HEIGHT, color: rgb(0.12, 0.12, 0.12) });
+        page.drawText(pdfSafe(text), { x: MARGIN + 4, y: y - BANNER_HEIGHT + 6, size: FONT_SIZE + 1, font: boldFont, color: rgb(1, 1, 1) });
+
+        y -= BANNER_HEIGHT + 4;
+    };
+
+    for (const day of schedule) {
+        day.scenes.forEach(drawStrip);
+        drawDayBanner(day);
+    }
+
+    // Cast list so the ID numbers on the strips can be read
+    ensureSpace(30);
+    y -= 10;
+    page.drawText("CAST", { x: MARGIN, y: y - 12, size: FONT_SIZE + 1, font: boldFont });
+    y -= 18;
+    for (const member of castList) {
+        ensureSpace(14);
+        page.drawText(fitText(`${member.castId}. ${member.name}`, font, FONT_SIZE, PAGE_WIDTH - 2 * MARGIN), { x: MARGIN, y: y - 10, size: FONT_SIZE, font });
+        y -= 14;
+    }
+
+    return pdf.save();
+}
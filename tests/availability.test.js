@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAvailability } from "../availability.js";
+import { consecutiveDayToDate } from "../calendar.js";
+import { createCostModel, costBreakdown } from "../costModel.js";
+import { scheduleScenes } from "../scheduler.js";
+import { scene, sceneNumbers } from "./fixtures.js";
+
+const dayToDate = consecutiveDayToDate("2026-11-02");
+
+test("unavailable dates and windows keep a character off a day, names matched case-insensitively", () => {
+    const availability = createAvailability({
+        "Haikal": { unavailable: ["2026-11-03"] },
+        "RAISHA": { windows: [{ from: "2026-11-02", to: "2026-11-03" }] },
+    }, dayToDate);
+    const both = scene(1, { characters: ["haikal", "Raisha"] });
+
+    assert.deepEqual(availability.unavailableCharacters(both, 1), []);
+    assert.deepEqual(availability.unavailableCharacters(both, 2), [{ character: "haikal", reason: "Haikal is unavailable on 2026-11-03" }]);
+    assert.deepEqual(availability.unavailableCharacters(both, 3), [{ character: "Raisha", reason: "RAISHA is outside their availability windows on 2026-11-04" }]);
+    assert.equal(availability.lastAvailableDate("raisha"), "2026-11-03");
+    assert.equal(availability.lastAvailableDate("Haikal"), null);
+});
+
+test("consecutiveRun counts back to back days on both sides", () => {
+    const availability = createAvailability({ "Haikal": { maxConsecutiveDays: 2 } });
+
+    assert.equal(availability.maxConsecutiveDays("HAIKAL"), 2);
+    assert.equal(availability.maxConsecutiveDays("Sal"), null);
+    assert.equal(availability.consecutiveRun([1, 2, 4, 5], 3), 5);
+    assert.equal(availability.consecutiveRun([1, 5], 3), 1);
+});
+
+test("createAvailability rejects bad calendars", () => {
+    assert.throws(() => createAvailability([]), /keyed by character name/);
+    assert.throws(() => createAvailability({ "Haikal": { unavailable: ["3 Nov"] } }, dayToDate), /must be YYYY-MM-DD/);
+    assert.throws(() => createAvailability({ "Haikal": { windows: [{ from: "2026-11-05", to: "2026-11-01" }] } }, dayToDate), /from <= to/);
+    assert.throws(() => createAvailability({ "Haikal": { maxConsecutiveDays: 0 } }), /positive whole number/);
+    assert.throws(() => createAvailability({ "Haikal": { unavailable: ["2026-11-03"] } }), /startDate is required/);
+});
+
+test("the scheduler keeps scenes off days their cast can't work and the cost model flags them", () => {
+    const availability = createAvailability({ "Haikal": { unavailable: ["2026-11-02"] } }, dayToDate);
+    const scenes = [scene(1, { characters: ["Haikal"], estimatedTime: 6 }), scene(2, { estimatedTime: 6 })];
+    const { schedule } = scheduleScenes(scenes, 6, { availability });
+
+    assert.ok(!sceneNumbers(schedule)[0].includes(1));
+
+    const breakdown = costBreakdown([[scenes[0]], [scenes[1]]], createCostModel({ availability }));
+    assert.deepEqual(breakdown.violations, [{ day: 1, rule: "castAvailability", message: "Scene 1: Haikal is unavailable on 2026-11-02" }]);
+});
+
+test("the cost model flags days past maxConsecutiveDays", () => {
+    const availability = createAvailability({ "Haikal": { maxConsecutiveDays: 2 } });
+    const day = [scene(1, { characters: ["Haikal"] })];
+    const breakdown = costBreakdown([day, day, day], createCostModel({ availability }));
+
+    assert.deepEqual(breakdown.violations, [{ day: 3, rule: "maxConsecutiveDays", message: "Haikal works 3 days in a row, limit is 2" }]);
+});
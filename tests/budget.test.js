@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createBudget, compareBudgets } from "../budget.js";
+import { scene } from "./fixtures.js";
+
+const rates = {
+    currency: "MYR",
+    cast: { "Haikal": { day: 1500, hold: 750 }, "*": 300 },
+    locations: { "RESORT": 2000 },
+    elements: { vehicles: { "Jeep Wrangler": { day: 400, hold: 150 } }, stunts: { "*": 2500 } },
+};
+
+const schedule = [
+    { day: 1, date: "2026-11-02", scenes: [scene(1, { location_name: "RESORT", characters: ["Haikal"], vehicles: ["Jeep Wrangler"] })] },
+    { day: 2, date: "2026-11-03", scenes: [scene(2, { characters: ["Raisha"] })] },
+    { day: 3, date: "2026-11-04", scenes: [scene(3, { location_name: "resort", characters: ["HAIKAL", "Raisha"], vehicles: ["jeep wrangler"], stunts: ["Fall"] })] },
+];
+
+test("estimate pays work days at the day rate and the days in between at the hold rate", () => {
+    const estimate = createBudget(rates).estimate(schedule);
+
+    assert.equal(estimate.currency, "MYR");
+    assert.equal(estimate.total, 11800);
+    assert.deepEqual(estimate.days.map(day => [day.day, day.date, day.total]), [[1, "2026-11-02", 3900], [2, "2026-11-03", 1200], [3, "2026-11-04", 6700]]);
+    assert.deepEqual(estimate.days[1].lines, [
+        { department: "cast", item: "Haikal", kind: "hold", amount: 750 },
+        { department: "cast", item: "Raisha", kind: "work", amount: 300 },
+        { department: "vehicles", item: "Jeep Wrangler", kind: "hold", amount: 150 },
+    ]);
+    assert.deepEqual(estimate.departments, { cast: 4350, locations: 4000, vehicles: 950, stunts: 2500, sfx: 0, vfx: 0, extras: 0 });
+    assert.deepEqual(estimate.elements.map(({ item, workDays, holdDays, total }) => [item, workDays, holdDays, total]), [
+        ["RESORT", 2, 0, 4000],
+        ["Haikal", 2, 1, 3750],
+        ["Fall", 1, 0, 2500],
+        ["Jeep Wrangler", 2, 1, 950],
+        ["Raisha", 2, 0, 600],
+    ]);
+    assert.deepEqual(estimate.unpriced, [{ department: "locations", item: "SET", days: [2] }]);
+});
+
+test("compareBudgets shows what the optimized schedule saves by department", () => {
+    const budget = createBudget(rates);
+    const together = [schedule[0], { ...schedule[2], day: 2 }, { ...schedule[1], day: 3 }];
+    const comparison = compareBudgets(budget.estimate(schedule), budget.estimate(together));
+
+    assert.deepEqual([comparison.greedy, comparison.optimized, comparison.savings], [11800, 10900, 900]);
+    assert.deepEqual(comparison.departments.cast, { greedy: 4350, optimized: 3600, savings: 750 });
+    assert.deepEqual(comparison.departments.vehicles, { greedy: 950, optimized: 800, savings: 150 });
+    assert.deepEqual(comparison.shootingDays, { greedy: 3, optimized: 3 });
+});
+
+test("createBudget rejects bad rate cards", () => {
+    assert.equal(createBudget(null), null);
+    assert.throws(() => createBudget([]), /rates must be an object/);
+    assert.throws(() => createBudget({ crew: {} }), /Unknown rates setting "crew"/);
+    assert.throws(() => createBudget({ currency: 1 }), /currency must be a string/);
+    assert.throws(() => createBudget({ elements: { props: {} } }), /unknown element department "props"/);
+    assert.throws(() => createBudget({ cast: [] }), /cast must be an object of name to rate/);
+    assert.throws(() => createBudget({ cast: { "Haikal": -1 } }), /cast\.Haikal must be a day rate/);
+    assert.throws(() => createBudget({ locations: { "RESORT": { day: 100, hold: "50" } } }), /locations\.RESORT must be a day rate/);
+});
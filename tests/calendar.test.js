@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createShootingCalendar, applyCalendar, addDays, daysBetween, weekdayOf, isISODate } from "../calendar.js";
+
+test("date helpers work in UTC across month ends", () => {
+    assert.equal(addDays("2026-11-30", 1), "2026-12-01");
+    assert.equal(addDays("2026-03-01", -1), "2026-02-28");
+    assert.equal(daysBetween("2026-11-02", "2026-12-02"), 30);
+    assert.equal(weekdayOf("2026-11-02"), "MON");
+    assert.equal(isISODate("2026-11-02"), true);
+    assert.equal(isISODate("2026-13-02"), false);
+    assert.equal(isISODate("2 Nov 2026"), false);
+});
+
+test("a five day week skips weekends", () => {
+    const calendar = createShootingCalendar({ startDate: "2026-11-06", weeklyPattern: 5 });
+
+    assert.deepEqual([1, 2, 3].map(calendar.dayToDate), ["2026-11-06", "2026-11-09", "2026-11-10"]);
+    assert.equal(calendar.dayOffReason("2026-11-07"), "Weekend");
+    assert.equal(calendar.dayOffReason("2026-11-09"), null);
+});
+
+test("a list of weekdays is a weekly pattern", () => {
+    const calendar = createShootingCalendar({ startDate: "2026-11-02", weeklyPattern: ["mon", "Thursday"] });
+
+    assert.deepEqual(calendar.workDays, ["MON", "THU"]);
+    assert.deepEqual([1, 2, 3].map(calendar.dayToDate), ["2026-11-02", "2026-11-05", "2026-11-09"]);
+});
+
+test("holidays and dark days move the dates after them without renumbering days", () => {
+    const calendar = createShootingCalendar({
+        startDate: "2026-12-23",
+        weeklyPattern: 7,
+        holidays: [{ date: "2026-12-25", name: "Christmas" }],
+        darkDays: ["2026-12-26"],
+    });
+
+    assert.deepEqual([1, 2, 3, 4].map(calendar.dayToDate), ["2026-12-23", "2026-12-24", "2026-12-27", "2026-12-28"]);
+    assert.deepEqual(calendar.summarize(4), {
+        startDate: "2026-12-23",
+        firstShootingDate: "2026-12-23",
+        wrapDate: "2026-12-28",
+        shootingDays: 4,
+        calendarDays: 6,
+        daysOff: [
+            { date: "2026-12-25", weekday: "FRI", reason: "Holiday: Christmas" },
+            { date: "2026-12-26", weekday: "SAT", reason: "Dark day" },
+        ],
+    });
+});
+
+test("applyCalendar replaces the dates a schedule already had", () => {
+    const calendar = createShootingCalendar({ startDate: "2026-11-02", weeklyPattern: 5 });
+    const schedule = [{ day: 5, scenes: [], totalTime: 0, date: "2026-01-01", weekday: "THU" }, { day: 6, scenes: [], totalTime: 0 }];
+
+    assert.deepEqual(applyCalendar(schedule, calendar).map(({ date, weekday }) => [date, weekday]), [["2026-11-06", "FRI"], ["2026-11-09", "MON"]]);
+    assert.equal(schedule[0].date, "2026-01-01");
+});
+
+test("createShootingCalendar rejects bad settings", () => {
+    assert.throws(() => createShootingCalendar({ startDate: "02/11/2026" }), /startDate must be YYYY-MM-DD/);
+    assert.throws(() => createShootingCalendar({ startDate: "2026-11-02", weeklyPattern: 4 }), /weeklyPattern/);
+    assert.throws(() => createShootingCalendar({ startDate: "2026-11-02", weeklyPattern: ["MON", "FUNDAY"] }), /weeklyPattern/);
+    assert.throws(() => createShootingCalendar({ startDate: "2026-11-02", holidays: "2026-12-25" }), /holidays must be a list/);
+    assert.throws(() => createShootingCalendar({ startDate: "2026-11-02", darkDays: ["Boxing Day"] }), /darkDays: "Boxing Day"/);
+});
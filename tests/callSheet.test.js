@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCallSheet, renderCallSheet } from "../callSheet.js";
+import { extractPdfText } from "../localParser.js";
+import { scene } from "./fixtures.js";
+
+const schedule = [
+    { day: 1, totalTime: 2, scenes: [scene(4, { characters: ["Sal"] })] },
+    { day: 2, date: "2026-11-03", weekday: "TUE", totalTime: 4, scenes: [
+        scene(2, { location_name: "RUMAH", sub_location_name: "DAPUR", characters: ["Raisha", "Haikal"], props: ["Keris"], page_estimate: 0.5, scene_summary: "Raisha hides the keris." }),
+        scene(1, { location_type: "EXT", time_of_day: "NIGHT", characters: ["Raisha"], props: ["Keris", "Torch"], vehicles: ["Jeep"], page_estimate: 1 }),
+    ] },
+];
+
+test("buildCallSheet lists the day's scenes, cast and elements with schedule-wide cast numbers", () => {
+    const callSheet = buildCallSheet(schedule, 2, { title: "Test Shoot" });
+
+    assert.equal(callSheet.title, "Test Shoot");
+    assert.equal(callSheet.totalDays, 2);
+    assert.equal(callSheet.weekday, "TUE");
+    assert.equal(callSheet.totalPages, "1 4/8");
+    assert.deepEqual(callSheet.locations, ["RUMAH", "SET"]);
+    assert.deepEqual(callSheet.scenes.map(s => [s.order, s.scene_number, s.strip, s.set, s.cast]), [
+        [1, 2, "INT DAY", "RUMAH - DAPUR", [1, 2]],
+        [2, 1, "EXT NIGHT", "SET", [1]],
+    ]);
+    assert.deepEqual(callSheet.cast.map(member => [member.castId, member.name, member.scenes]), [[1, "Raisha", [2, 1]], [2, "Haikal", [2]]]);
+    assert.deepEqual(callSheet.elements.props, [{ item: "Keris", scenes: [2, 1] }, { item: "Torch", scenes: [1] }]);
+    assert.deepEqual(callSheet.elements.vehicles, [{ item: "Jeep", scenes: [1] }]);
+    assert.deepEqual(callSheet.elements.stunts, []);
+});
+
+test("buildCallSheet returns null for a day that isn't in the schedule", () => {
+    assert.equal(buildCallSheet(schedule, 3), null);
+});
+
+test("renderCallSheet prints the day, its scenes and cast", async () => {
+    const text = await extractPdfText(Buffer.from(await renderCallSheet(buildCallSheet(schedule, 2, { title: "Test Shoot" }))));
+
+    assert.match(text, /Test Shoot/);
+    assert.match(text, /Raisha hides the keris\./);
+    assert.match(text, /Haikal/);
+    assert.match(text, /Keris/);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { assignCastNumbers, castIdsForScene, formatPages } from "../castList.js";
+import { buildCallSheet } from "../callSheet.js";
+import { buildDayOutOfDays } from "../dood.js";
+import { scene } from "./fixtures.js";
+
+test("assignCastNumbers numbers the character in the most scenes 1, ties in script order", () => {
+    // Schedule order, not script order - Musa is first on the schedule but Sal is first in the script
+    const scenes = [
+        scene(7, { characters: ["Musa", "Haikal"] }),
+        scene(2, { characters: ["Sal", "Haikal"] }),
+        scene(5, { characters: ["Haikal"] }),
+    ];
+
+    assert.deepEqual(assignCastNumbers(scenes), [
+        { castId: 1, name: "Haikal", sceneCount: 3 },
+        { castId: 2, name: "Sal", sceneCount: 1 },
+        { castId: 3, name: "Musa", sceneCount: 1 },
+    ]);
+});
+
+test("assignCastNumbers takes names that differ in case as one character", () => {
+    const scenes = [
+        scene(1, { characters: ["Haikal", " HAIKAL "] }),
+        scene(2, { characters: ["HAIKAL", "Raisha"] }),
+    ];
+    const castList = assignCastNumbers(scenes);
+
+    assert.deepEqual(castList, [
+        { castId: 1, name: "Haikal", sceneCount: 2 },
+        { castId: 2, name: "Raisha", sceneCount: 1 },
+    ]);
+    assert.deepEqual(castIdsForScene(scenes[1], castList), [1, 2]);
+    assert.deepEqual(castIdsForScene(scenes[0], castList), [1]);
+});
+
+test("call sheets and the Day Out of Days have one row per character whatever the case", () => {
+    const schedule = [
+        { day: 1, scenes: [scene(1, { characters: ["Haikal"] })], totalTime: 2 },
+        { day: 2, scenes: [scene(2, { characters: ["HAIKAL"] })], totalTime: 2 },
+    ];
+
+    assert.deepEqual(buildCallSheet(schedule, 2).cast.map(member => [member.castId, member.name, member.scenes]), [[1, "Haikal", [2]]]);
+    assert.deepEqual(buildDayOutOfDays(schedule).rows.map(row => [row.name, row.codes]), [["Haikal", ["SW", "WF"]]]);
+});
+
+test("formatPages counts in eighths", () => {
+    assert.equal(formatPages(1.375), "1 3/8");
+    assert.equal(formatPages(0.125), "1/8");
+    assert.equal(formatPages(2), "2");
+    assert.equal(formatPages(null), "0");
+});
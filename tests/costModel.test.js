@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCostModel, costOfDay, costBreakdown, HARD_CONSTRAINT_PENALTY } from "../costModel.js";
+import { scene } from "./fixtures.js";
+
+test("costOfDay prices every term of a day", () => {
+    const day = [
+        scene(1, { characters: ["Haikal", "Raisha"] }),
+        scene(2, { location_type: "EXT", location_name: "ROAD", characters: ["Haikal"], estimatedTime: 11 }),
+    ];
+    const { totalTime, overtimeHours, terms, total, violations } = costOfDay(day, createCostModel());
+
+    assert.equal(totalTime, 13);
+    assert.equal(overtimeHours, 1);
+    assert.deepEqual(terms, {
+        location: 100,
+        subLocation: 0,
+        locationType: 20,
+        character: 20,
+        characterOverlap: -10,
+        overtime: 50,
+        travel: 0,
+        rentalDay: 0,
+        shootingDay: 100,
+        hardConstraints: 0,
+    });
+    assert.equal(total, 280);
+    assert.deepEqual(violations, []);
+});
+
+test("profiles and weights change the price, dayHours the length of a day", () => {
+    const day = [scene(1), scene(2, { location_name: "ROAD" })];
+
+    assert.equal(costOfDay(day, createCostModel({ profile: "compact" })).terms.location, 60);
+    assert.equal(costOfDay(day, createCostModel({ weights: { location: 5 } })).terms.location, 5);
+
+    const costModel = createCostModel({ maxDayTimeHours: 12, dayHours: { 2: 3 } });
+    assert.deepEqual(costBreakdown([day, day], costModel).days.map(d => d.overtimeHours), [0, 1]);
+});
+
+test("hard constraints add HARD_CONSTRAINT_PENALTY per breach", () => {
+    const day = [scene(1, { estimatedTime: 14 }), scene(2, { location_name: "ROAD" })];
+    const costModel = createCostModel({ hardConstraints: { maxOvertimeHours: 2, maxLocationsPerDay: 1 } });
+    const { terms, violations } = costOfDay(day, costModel);
+
+    assert.deepEqual(violations.map(v => v.rule), ["maxOvertimeHours", "maxLocationsPerDay"]);
+    assert.equal(terms.hardConstraints, 2 * HARD_CONSTRAINT_PENALTY);
+    assert.deepEqual(costOfDay(day, createCostModel()).violations, []);
+});
+
+test("costBreakdown reports broken locks on the day the scene is on", () => {
+    const costModel = createCostModel({ locks: [{ scene_number: 2, day: 1 }] });
+    const breakdown = costBreakdown([[scene(1)], [scene(2)]], costModel);
+
+    assert.equal(breakdown.feasible, false);
+    assert.deepEqual(breakdown.violations, [{ day: 2, rule: "sceneLock", message: "Scene 2 is locked to day 1" }]);
+    assert.equal(breakdown.total, breakdown.days[0].total + breakdown.days[1].total);
+});
+
+test("createCostModel rejects unknown profiles, weights and constraints", () => {
+    assert.throws(() => createCostModel({ profile: "cheap" }), /Unknown cost profile "cheap"/);
+    assert.throws(() => createCostModel({ profile: "constructor" }), /Unknown cost profile/);
+    assert.throws(() => createCostModel({ weights: { toString: 1 } }), /Unknown cost weight "toString"/);
+    assert.throws(() => createCostModel({ weights: { location: "100" } }), /must be a number/);
+    assert.throws(() => createCostModel({ hardConstraints: { hasOwnProperty: 1 } }), /Unknown hard constraint/);
+    assert.throws(() => createCostModel({ hardConstraints: { maxLocationsPerDay: "2" } }), /number or null/);
+    assert.throws(() => createCostModel({ dayHours: { 0: 10 } }), /not a shooting day number/);
+    assert.throws(() => createCostModel({ dayHours: { 3: 30 } }), /between 0 and 24/);
+});
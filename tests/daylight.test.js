@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sunTimes, exteriorHours, createDaylight, addDaylight } from "../daylight.js";
+import { consecutiveDayToDate } from "../calendar.js";
+import { createCostModel, costBreakdown } from "../costModel.js";
+import { scheduleScenes } from "../scheduler.js";
+import { scene, sceneNumbers } from "./fixtures.js";
+
+const minutesApart = (date, iso) => Math.abs(date - new Date(iso)) / 60000;
+
+test("sunTimes matches the almanac to a couple of minutes", () => {
+    // Greenwich on the June solstice: sunrise 04:43 and sunset 21:21 BST
+    const greenwich = sunTimes("2026-06-21", 51.48, 0);
+
+    assert.ok(minutesApart(greenwich.sunrise, "2026-06-21T03:43:00Z") <= 2, greenwich.sunrise.toISOString());
+    assert.ok(minutesApart(greenwich.sunset, "2026-06-21T20:21:00Z") <= 2, greenwich.sunset.toISOString());
+    assert.equal(greenwich.daylightHours + greenwich.nightHours, 24);
+    assert.ok(greenwich.goldenHour.morning.to > greenwich.sunrise);
+    assert.ok(greenwich.goldenHour.evening.from < greenwich.sunset);
+});
+
+test("sunTimes handles the midnight sun and the polar night", () => {
+    const midsummer = sunTimes("2026-06-21", 69.65, 18.96);
+    const midwinter = sunTimes("2026-12-21", 69.65, 18.96);
+
+    assert.deepEqual([midsummer.sunrise, midsummer.sunset, midsummer.goldenHour, midsummer.daylightHours], [null, null, null, 24]);
+    assert.deepEqual([midwinter.sunrise, midwinter.sunset, midwinter.daylightHours], [null, null, 0]);
+});
+
+test("exteriorHours counts EXT, INT/EXT and I/E scenes by day and night", () => {
+    const day = [
+        scene(1, { location_type: "EXT", estimatedTime: 3 }),
+        scene(2, { location_type: "I/E", time_of_day: "NIGHT", estimatedTime: 2 }),
+        scene(3, { location_type: "INT", estimatedTime: 4 }),
+        scene(4, { location_type: "INT/EXT", estimatedTime: 1 }),
+    ];
+
+    assert.deepEqual(exteriorHours(day), { day: 4, night: 2 });
+});
+
+test("a day's window is shown in the shoot's time zone at the first location with coordinates", () => {
+    const daylight = createDaylight({ timeZone: "Asia/Kuala_Lumpur", latitude: 3.14, longitude: 101.69 }, consecutiveDayToDate("2026-11-02"), { "RESORT": { lat: 2.81, lng: 101.52 } });
+    const atBase = daylight.windowFor(1, [scene(1)]);
+    const atResort = daylight.windowFor(1, [scene(1), scene(2, { location_name: "resort" })]);
+
+    assert.deepEqual([atBase.date, atBase.location, atBase.sunrise, atBase.sunset], ["2026-11-02", null, "06:56", "18:56"]);
+    assert.deepEqual([atResort.location, atResort.latitude], ["resort", 2.81]);
+    assert.equal(createDaylight({ latitude: 3.14, longitude: 101.69 }, null).windowFor(1, []), null);
+    assert.deepEqual(addDaylight([{ day: 1, scenes: [scene(1, { location_type: "EXT" })] }], daylight)[0].daylight.extDayHours, 2);
+});
+
+test("exterior scenes are capped by the daylight and darkness of their date", () => {
+    const daylight = createDaylight({ latitude: 3.14, longitude: 101.69 }, consecutiveDayToDate("2026-11-02"));
+    const longDay = [scene(1, { location_type: "EXT", estimatedTime: 8 }), scene(2, { location_type: "EXT", estimatedTime: 5 })];
+
+    assert.deepEqual(daylight.breaches(1, longDay), ["13 hours of EXT DAY scenes, only 12.01 hours of daylight on 2026-11-02"]);
+    assert.equal(daylight.canAdd(1, [longDay[0]], longDay[1]), false);
+    assert.equal(daylight.canAdd(1, [longDay[0]], scene(3, { estimatedTime: 5 })), true);
+    assert.deepEqual(costBreakdown([longDay], createCostModel({ daylight })).violations.map(v => v.rule), ["daylight"]);
+    assert.deepEqual(sceneNumbers(scheduleScenes(longDay, 14, { daylight }).schedule), [[1], [2]]);
+});
+
+test("createDaylight rejects bad settings", () => {
+    assert.equal(createDaylight(null), null);
+    assert.throws(() => createDaylight("KL"), /daylight must be an object/);
+    assert.throws(() => createDaylight({ latitude: 3, longitude: 101, zone: "UTC" }), /Unknown daylight setting "zone"/);
+    assert.throws(() => createDaylight({ latitude: 3, longitude: 101, timeZone: "Mars/Olympus" }), /is not a time zone/);
+    assert.throws(() => createDaylight({ latitude: 3, longitude: 101, goldenHourElevation: 45 }), /goldenHourElevation/);
+    assert.throws(() => createDaylight({ latitude: 100, longitude: 101 }), /the base needs numeric latitude/);
+    assert.throws(() => createDaylight({}), /needs a latitude and longitude or locations/);
+});
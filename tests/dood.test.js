@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildDayOutOfDays, dayOutOfDaysToCSV } from "../dood.js";
+import { scene } from "./fixtures.js";
+
+const schedule = [
+    { day: 1, date: "2026-11-02", scenes: [scene(1, { characters: ["Haikal", "Raisha"] })] },
+    { day: 2, date: "2026-11-03", scenes: [scene(2, { characters: ["Raisha"] })] },
+    { day: 3, date: "2026-11-04", scenes: [scene(3, { characters: ["Haikal", "Raisha", "Sal, the driver"] })] },
+];
+
+test("buildDayOutOfDays codes start, work, hold and finish days", () => {
+    const dood = buildDayOutOfDays(schedule);
+
+    assert.deepEqual(dood.days, [{ day: 1, date: "2026-11-02" }, { day: 2, date: "2026-11-03" }, { day: 3, date: "2026-11-04" }]);
+    assert.deepEqual(dood.rows.map(({ name, codes, startDay, finishDay, workDays, holdDays, totalDays }) => [name, codes, startDay, finishDay, workDays, holdDays, totalDays]), [
+        ["Raisha", ["SW", "W", "WF"], 1, 3, 3, 0, 3],
+        ["Haikal", ["SW", "H", "WF"], 1, 3, 2, 1, 3],
+        ["Sal, the driver", ["", "", "SWF"], 3, 3, 1, 0, 1],
+    ]);
+});
+
+test("dayOutOfDaysToCSV has a column per day and quotes what needs quoting", () => {
+    assert.equal(dayOutOfDaysToCSV(buildDayOutOfDays(schedule)), [
+        "Cast ID,Character,Day 1 (2026-11-02),Day 2 (2026-11-03),Day 3 (2026-11-04),Work,Hold,Total",
+        "1,Raisha,SW,W,WF,3,0,3",
+        "2,Haikal,SW,H,WF,2,1,3",
+        '3,"Sal, the driver",,,SWF,1,0,1',
+        "",
+    ].join("\n"));
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bookedDays, createElementRentals, elementReport } from "../elements.js";
+import { consecutiveDayToDate } from "../calendar.js";
+import { createCostModel, costBreakdown } from "../costModel.js";
+import { scene } from "./fixtures.js";
+
+const jeep = scene(1, { vehicles: ["Jeep Wrangler"], stunts: ["Fall"] });
+const days = [[jeep], [scene(2, { vehicles: ["Lorry"] })], [scene(3, { vehicles: ["jeep wrangler"] }), scene(4, { vehicles: ["JEEP WRANGLER"] })]];
+
+test("bookedDays lists every item with the days that need it, first seen first", () => {
+    assert.deepEqual(bookedDays(days, "vehicles"), [{ name: "Jeep Wrangler", days: [0, 2] }, { name: "Lorry", days: [1] }]);
+    assert.deepEqual(bookedDays(days, "stunts"), [{ name: "Fall", days: [0] }]);
+    assert.deepEqual(bookedDays([[scene(1, { characters: ["Raisha"] })]], "cast"), [{ name: "Raisha", days: [0] }]);
+    assert.deepEqual(bookedDays(days, "locations"), [{ name: "SET", days: [0, 1, 2] }]);
+});
+
+test("listed elements are charged for every day they are on hire", () => {
+    const elements = createElementRentals({ vehicles: { "Jeep Wrangler": { weight: 3 } } });
+
+    assert.deepEqual(elements.rentals(days), [{ department: "vehicles", item: "Jeep Wrangler", weight: 3, first: 0, last: 2, needed: [0, 2] }]);
+
+    const breakdown = costBreakdown(days, createCostModel({ elements }));
+    assert.deepEqual(breakdown.days.map(day => day.terms.rentalDay), [120, 120, 120]);
+    assert.deepEqual(costBreakdown([days[0], days[2], days[1]], createCostModel({ elements })).days.map(day => day.terms.rentalDay), [120, 120, 0]);
+});
+
+test("an element outside its window makes the day unavailable", () => {
+    const elements = createElementRentals({ vehicles: { "JEEP WRANGLER": { from: "2026-11-03", to: "2026-11-04" }, "*": {} } }, consecutiveDayToDate("2026-11-02"));
+
+    assert.deepEqual(elements.unavailableElements(jeep, 1), [{ department: "vehicles", item: "Jeep Wrangler", reason: "Jeep Wrangler (vehicles) is only available 2026-11-03 to 2026-11-04, not on 2026-11-02" }]);
+    assert.equal(elements.canAdd(2, jeep), true);
+    assert.deepEqual(elements.availabilityEnded(jeep, 4), ["Jeep Wrangler's availability ended on 2026-11-04"]);
+    assert.deepEqual(elements.availabilityEnded(jeep, 3), []);
+    assert.equal(elements.find("vehicles", "Lorry").name, "*");
+    assert.deepEqual(costBreakdown([[jeep]], createCostModel({ elements })).violations.map(v => v.rule), ["elementAvailability"]);
+});
+
+test("elementReport puts listed elements first with their booked and idle days", () => {
+    const schedule = days.map((scenes, i) => ({ day: i + 1, date: consecutiveDayToDate("2026-11-02")(i + 1), scenes }));
+    const elements = createElementRentals({ vehicles: { "Lorry": { to: "2026-11-02" } } }, consecutiveDayToDate("2026-11-02"));
+    const report = elementReport(schedule, elements);
+
+    assert.deepEqual(report.map(({ item, listed, neededDays, rentalDays, idleDays }) => [item, listed, neededDays, rentalDays, idleDays]), [
+        ["Lorry", true, [2], 1, 0],
+        ["Jeep Wrangler", false, [1, 3], 3, 1],
+        ["Fall", false, [1], 1, 0],
+    ]);
+    assert.deepEqual(report[0].outsideWindow, [2]);
+    assert.deepEqual(report[1].scenes, [1, 3, 4]);
+    assert.deepEqual(report[1].bookedTo, { day: 3, date: "2026-11-04" });
+});
+
+test("createElementRentals rejects bad settings", () => {
+    assert.equal(createElementRentals(null), null);
+    assert.throws(() => createElementRentals([]), /elements must be an object/);
+    assert.throws(() => createElementRentals({ props: {} }), /unknown department "props"/);
+    assert.throws(() => createElementRentals({ vehicles: [] }), /vehicles must be an object/);
+    assert.throws(() => createElementRentals({ vehicles: { "Jeep": { cost: 3 } } }), /unknown setting "cost" for Jeep/);
+    assert.throws(() => createElementRentals({ vehicles: { "Jeep": { weight: 0 } } }), /Jeep needs a weight above 0/);
+    assert.throws(() => createElementRentals({ vehicles: { "Jeep": { from: "2026-11-05", to: "2026-11-01" } } }, consecutiveDayToDate("2026-11-02")), /from <= to/);
+    assert.throws(() => createElementRentals({ vehicles: { "Jeep": { from: "2026-11-05" } } }), /startDate is required/);
+});
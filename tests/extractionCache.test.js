@@ -0,0 +1,48 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The cache directory is read when the module loads, so it's pointed at a temp dir before the import
+const cacheDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "extraction-cache-")), "cache");
+process.env.EXTRACTION_CACHE_DIR = cacheDir;
+const { extractionCacheKey, readCachedExtraction, writeCachedExtraction, extractionCacheStats, purgeExtractionCache } = await import("../extractionCache.js");
+
+after(() => fs.rmSync(path.dirname(cacheDir), { recursive: true, force: true }));
+
+const chunk = { pdfBuffer: Buffer.from("%PDF chunk 1"), prompt: "Extract the scenes", provider: "anthropic", model: "claude-sonnet-4-6" };
+
+test("the cache key changes with the chunk, the prompt, the provider and the model", () => {
+    const key = extractionCacheKey(chunk);
+
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(extractionCacheKey({ ...chunk, pdfBuffer: Buffer.from("%PDF chunk 1") }), key);
+    for (const change of [{ pdfBuffer: Buffer.from("%PDF chunk 2") }, { prompt: "Extract the scenes!" }, { provider: "openai" }, { model: "claude-opus-4-1" }]) {
+        assert.notEqual(extractionCacheKey({ ...chunk, ...change }), key, JSON.stringify(Object.keys(change)));
+    }
+    // Parts are kept apart, moving text from one to the next is a different key
+    assert.notEqual(extractionCacheKey({ ...chunk, provider: "anthropicclaude", model: "-sonnet-4-6" }), key);
+});
+
+test("results are written, read back, counted and purged", () => {
+    const key = extractionCacheKey(chunk);
+    assert.equal(readCachedExtraction(key), null);
+
+    writeCachedExtraction(key, { scenes: [{ scene_number: 1 }] });
+    assert.deepEqual(readCachedExtraction(key), { scenes: [{ scene_number: 1 }] });
+    assert.equal(extractionCacheStats().entries, 1);
+    assert.ok(extractionCacheStats().bytes > 0);
+
+    assert.equal(purgeExtractionCache(), 1);
+    assert.equal(readCachedExtraction(key), null);
+    assert.deepEqual(extractionCacheStats(), { entries: 0, bytes: 0 });
+});
+
+test("an unreadable entry is a miss", () => {
+    const key = extractionCacheKey({ ...chunk, model: "broken" });
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(path.join(cacheDir, `${key}.json`), "{\"scenes\": [");
+
+    assert.equal(readCachedExtraction(key), null);
+});
@@ -0,0 +1,25 @@
+import fs from "fs";
+
+// The sample breakdown simulated_annealing.js runs on, a fresh copy for every test so none of them share state
+export function sampleScenes() {
+    return JSON.parse(fs.readFileSync(new URL("./fixtures/scenes.json", import.meta.url), "utf8"));
+}
+
+// A minimal scene for tests that only care about a few fields
+export function scene(scene_number, fields = {}) {
+    return {
+        scene_number,
+        scene_heading: `INT. SET ${scene_number}`,
+        location_type: "INT",
+        location_name: "SET",
+        sub_location_name: "",
+        time_of_day: "DAY",
+        characters: [],
+        estimatedTime: 2,
+        ...fields,
+    };
+}
+
+export function sceneNumbers(schedule) {
+    return schedule.map(day => day.scenes.map(scene => scene.scene_number));
+}
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startJob, getJob, cancelJob, subscribeToJob, jobSummary, JobCancelledError } from "../jobs.js";
+
+// Resolves with every event of the job once it has finished
+function finished(job) {
+    return new Promise(resolve => {
+        const events = [];
+        subscribeToJob(job, event => {
+            events.push(event);
+            if (event.type === "status" && event.status !== "running") resolve(events);
+        });
+    });
+}
+
+test("a job reports its progress and hands back its result when done", async () => {
+    const job = startJob("schedule", async job => {
+        job.progress("scheduling", { scenes: 16 });
+        return { days: 3 };
+    });
+
+    assert.equal(getJob(job.id), job);
+    assert.equal(jobSummary(job).result, undefined);
+
+    const events = await finished(job);
+    assert.deepEqual(events.map(({ type, status, stage }) => type === "status" ? status : stage), ["running", "scheduling", "done"]);
+
+    const { jobId, kind, status, progress, error, result } = jobSummary(job);
+    assert.deepEqual({ jobId, kind, status, error, result }, { jobId: job.id, kind: "schedule", status: "done", error: null, result: { days: 3 } });
+    assert.equal(progress.scenes, 16);
+});
+
+test("a failed job keeps its error message", async () => {
+    const job = startJob("extract", async () => {
+        throw new Error("The model returned no JSON");
+    });
+
+    await finished(job);
+    assert.equal(job.status, "failed");
+    assert.equal(jobSummary(job).error, "The model returned no JSON");
+});
+
+test("cancelling aborts the job's signal and it never reports done", async () => {
+    let release;
+    const job = startJob("extract", async job => {
+        await new Promise(resolve => { release = resolve; });
+        job.throwIfCancelled();
+        return "too late";
+    });
+    const events = finished(job);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(cancelJob(job.id), true);
+    assert.equal(job.signal.aborted, true);
+    assert.equal(cancelJob(job.id), false);
+    release();
+
+    assert.deepEqual((await events).map(event => event.status).filter(Boolean), ["running", "cancelled"]);
+    assert.equal(jobSummary(job).result, undefined);
+    assert.equal(cancelJob("no-such-job"), false);
+    assert.equal(getJob("no-such-job"), null);
+});
+
+test("throwIfCancelled throws a JobCancelledError", () => {
+    const job = startJob("schedule", async () => null);
+    job.controller.abort();
+
+    assert.throws(() => job.throwIfCancelled(), JobCancelledError);
+});
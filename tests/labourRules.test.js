@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLabourRules, addLabourReport } from "../labourRules.js";
+import { createShootingCalendar } from "../calendar.js";
+import { createCostModel, costBreakdown } from "../costModel.js";
+import { scene } from "./fixtures.js";
+
+const labour = createLabourRules({ cast: { "Raisha": "minor", "haikal": "sag" } });
+
+test("a minor's day counts from their first scene to their last, plus breaks and tutoring", () => {
+    const day = [scene(1, { characters: ["Raisha"], estimatedTime: 3 }), scene(2, { characters: ["Haikal"] }), scene(3, { characters: ["Raisha"] })];
+    const [report] = labour.reportDays([day]);
+
+    assert.deepEqual(report.cast.map(({ name, scenes, workHours, breaks, breakHours, tutorHours, onSetHours }) => [name, scenes, workHours, breaks, breakHours, tutorHours, onSetHours]), [
+        ["Raisha", [1, 3], 7, 2, 0.5, 3, 10.5],
+        ["haikal", [2], 2, 0, 0, 0, 2],
+    ]);
+    assert.deepEqual(report.requirements, [{ character: "Raisha", type: "tutor", hours: 3 }, { character: "Raisha", type: "break", count: 2, minutes: 15 }]);
+    assert.deepEqual(report.breaches, [{ character: "Raisha", rule: "maxHoursPerDay", message: "Raisha (minor) is on set 10.5 hours - 7 working, 0.5 breaks, 3 tutoring - limit is 9" }]);
+    assert.deepEqual(costBreakdown([day], createCostModel({ labour })).violations.map(v => v.rule), ["labour"]);
+});
+
+test("weekly hours add up within a week and start again in the next", () => {
+    const days = Array.from({ length: 8 }, (_, i) => [scene(i + 1, { characters: ["Raisha"], estimatedTime: 4 })]);
+    const reports = labour.reportDays(days);
+
+    assert.deepEqual(reports.map(report => report.cast[0].weekHours), [7.25, 14.5, 21.75, 29, 36.25, 43.5, 50.75, 7.25]);
+    assert.deepEqual(reports.map(report => report.breaches.length), [0, 0, 0, 0, 0, 1, 1, 0]);
+    assert.equal(reports[5].breaches[0].message, "Raisha (minor) reaches 43.5 hours in the days 1-7, limit is 40");
+
+    // With a shooting calendar the weeks run Monday to Sunday
+    const { dayToDate } = createShootingCalendar({ startDate: "2026-11-05" });
+    const weeks = createLabourRules({ cast: { "Raisha": "minor" } }, { dayToDate }).reportDays(days).map(report => report.week);
+    assert.deepEqual(weeks.slice(3, 5), ["week of 2026-11-02", "week of 2026-11-09"]);
+});
+
+test("custom profiles and per character overrides", () => {
+    const custom = createLabourRules({
+        cast: { "Joe": { profile: "sag", maxHoursPerDay: 5 }, "Sal": "stunt" },
+        profiles: { "stunt": { maxHoursPerDay: 4 } },
+    });
+    const [report] = custom.reportDays([[scene(1, { characters: ["Joe", "Sal"], estimatedTime: 6 })]]);
+
+    assert.deepEqual(report.breaches.map(breach => breach.message), [
+        "Joe (sag) is on set 6.5 hours - 6 working, 0.5 breaks, 0 tutoring - limit is 5",
+        "Sal (stunt) is on set 6 hours - 6 working, 0 breaks, 0 tutoring - limit is 4",
+    ]);
+    assert.deepEqual(report.requirements, [{ character: "Joe", type: "break", count: 1, minutes: 30 }]);
+});
+
+test("canAdd and sceneBreaches keep scenes off days their cast can't work", () => {
+    const morning = [scene(1, { characters: ["Raisha"], estimatedTime: 3 })];
+
+    assert.equal(labour.canAdd([], morning, scene(2, { characters: ["Raisha"], estimatedTime: 4 })), false);
+    assert.equal(labour.canAdd([], morning, scene(2, { characters: ["Raisha"], estimatedTime: 2 })), true);
+    assert.equal(labour.canAdd([], morning, scene(2, { characters: ["Sal"], estimatedTime: 8 })), true);
+    assert.deepEqual(labour.sceneBreaches(scene(9, { characters: ["Raisha"], estimatedTime: 8 })), ["Scene 9 on its own: Raisha (minor) is on set 11.5 hours - 8 working, 0.5 breaks, 3 tutoring - limit is 9"]);
+    assert.deepEqual(labour.sceneBreaches(morning[0]), []);
+});
+
+test("addLabourReport puts the compliance report on every day", () => {
+    const schedule = [{ day: 1, scenes: [scene(1, { characters: ["Haikal"] })], totalTime: 2 }];
+
+    assert.deepEqual(addLabourReport(schedule, labour)[0].labour.cast.map(member => member.name), ["haikal"]);
+    assert.equal(addLabourReport(schedule, null), schedule);
+});
+
+test("createLabourRules rejects bad settings", () => {
+    assert.equal(createLabourRules(null), null);
+    assert.throws(() => createLabourRules([]), /labour must be an object/);
+    assert.throws(() => createLabourRules({ rules: {} }), /Unknown labour setting "rules"/);
+    assert.throws(() => createLabourRules({ cast: { "Raisha": "child" } }), /Raisha has unknown profile "child"/);
+    assert.throws(() => createLabourRules({ cast: { "Raisha": "constructor" } }), /unknown profile/);
+    assert.throws(() => createLabourRules({ profiles: { "stunt": { maxDays: 4 } } }), /unknown rule "maxDays" in profile stunt/);
+    assert.throws(() => createLabourRules({ profiles: { "stunt": { breakEveryHours: 0 } } }), /breakEveryHours in profile stunt must be more than 0/);
+    assert.throws(() => createLabourRules({ cast: { "Joe": { profile: "sag", maxHoursPerDay: "10" } } }), /maxHoursPerDay in Joe must be a number/);
+});
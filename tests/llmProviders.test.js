@@ -0,0 +1,49 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getLLMProvider } from "../llmProviders.js";
+
+const ENV_KEYS = ["LLM_PROVIDER", "LLM_MODEL", "LLM_MAX_TOKENS", "OPENAI_COMPATIBLE_BASE_URL"];
+
+// node --test runs every test file in its own process, so clearing the LLM settings here touches nothing else
+beforeEach(() => {
+    for (const key of ENV_KEYS) delete process.env[key];
+});
+
+test("without settings it's Anthropic with its default model", () => {
+    const { name, model, maxTokens } = getLLMProvider();
+
+    assert.deepEqual({ name, model, maxTokens }, { name: "anthropic", model: "claude-sonnet-4-6", maxTokens: 12000 });
+});
+
+test("request options win over env", () => {
+    process.env.LLM_PROVIDER = "openai";
+    process.env.LLM_MAX_TOKENS = "4000";
+
+    assert.equal(getLLMProvider().name, "openai");
+    assert.equal(getLLMProvider().maxTokens, 4000);
+    assert.equal(getLLMProvider({ provider: "anthropic", maxTokens: 500 }).maxTokens, 500);
+    assert.equal(getLLMProvider({ model: "gpt-4.1" }).model, "gpt-4.1");
+});
+
+test("LLM_MODEL only applies to LLM_PROVIDER", () => {
+    process.env.LLM_PROVIDER = "openai";
+    process.env.LLM_MODEL = "gpt-4.1-mini";
+
+    assert.equal(getLLMProvider().model, "gpt-4.1-mini");
+    assert.equal(getLLMProvider({ provider: "anthropic" }).model, "claude-sonnet-4-6");
+});
+
+test("the openai-compatible provider needs a base URL and a model", () => {
+    assert.throws(() => getLLMProvider({ provider: "openai-compatible", model: "llama3" }), /OPENAI_COMPATIBLE_BASE_URL/);
+
+    process.env.OPENAI_COMPATIBLE_BASE_URL = "http://localhost:11434/v1";
+    assert.throws(() => getLLMProvider({ provider: "openai-compatible" }), /A model is required/);
+    assert.equal(getLLMProvider({ provider: "openai-compatible", model: "llama3" }).model, "llama3");
+});
+
+test("unknown providers and bad maxTokens are rejected", () => {
+    assert.throws(() => getLLMProvider({ provider: "gemini" }), /Unknown LLM provider "gemini"/);
+    assert.throws(() => getLLMProvider({ provider: "constructor" }), /Unknown LLM provider/);
+    assert.throws(() => getLLMProvider({ maxTokens: "lots" }), /maxTokens/);
+    assert.throws(() => getLLMProvider({ maxTokens: -5 }), /maxTokens/);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, StandardFonts } from "pdf-lib";
+import { parseSlugline, parseScriptLocally } from "../localParser.js";
+
+// A one page script with a line of text per entry, top to bottom
+async function scriptPDF(lines) {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Courier);
+    const page = pdf.addPage([612, 792]);
+    lines.forEach((text, i) => page.drawText(text, { x: 72, y: 720 - i * 14, size: 12, font }));
+    return Buffer.from(await pdf.save());
+}
+
+test("parseSlugline reads numbered sluglines in both styles", () => {
+    assert.deepEqual(parseSlugline("12 INT. HOUSE - KITCHEN - NIGHT 12"), {
+        scene_number: "12",
+        scene_heading: "12 INT. HOUSE - KITCHEN - NIGHT 12",
+        location_type: "INT",
+        location_name: "HOUSE",
+        sub_location_name: "KITCHEN",
+        time_of_day: "NIGHT",
+    });
+    assert.deepEqual(parseSlugline("NIGHT. INT. RUMAH BESAR. DINING HALL 10"), {
+        scene_number: "10",
+        scene_heading: "NIGHT. INT. RUMAH BESAR. DINING HALL 10",
+        location_type: "INT",
+        location_name: "RUMAH BESAR",
+        sub_location_name: "DINING HALL",
+        time_of_day: "NIGHT",
+    });
+});
+
+test("parseSlugline takes en and em dashes as separators", () => {
+    for (const dash of ["-", "–", "—", "--"]) {
+        const slug = parseSlugline(`EXT. ROAD ${dash} BRIDGE ${dash} DAY`);
+        assert.equal(slug.location_name, "ROAD", dash);
+        assert.equal(slug.sub_location_name, "BRIDGE", dash);
+        assert.equal(slug.time_of_day, "DAY", dash);
+    }
+});
+
+test("parseSlugline skips lines that aren't sluglines", () => {
+    assert.equal(parseSlugline("Int. the house is dark."), null);
+    assert.equal(parseSlugline("INTERIOR DESIGN"), null);
+    assert.equal(parseSlugline("HAIKAL"), null);
+});
+
+test("parseScriptLocally numbers unnumbered scenes without reusing a printed number", async () => {
+    const scenes = await parseScriptLocally(await scriptPDF([
+        "1 INT. HOUSE - DAY 1",
+        "Raisha opens the door.",
+        "EXT. ROAD - NIGHT",
+        "The jeep speeds past.",
+        "2 INT. HOUSE - NIGHT 2",
+        "RAISHA",
+        "Who's there?",
+    ]));
+
+    assert.deepEqual(scenes.map(scene => scene.scene_number), [1, "1A", 2]);
+    assert.deepEqual(scenes.map(scene => scene.time_of_day), ["DAY", "NIGHT", "NIGHT"]);
+    assert.deepEqual(scenes[2].characters, ["Raisha"]);
+    assert.equal(scenes[1].scene_summary, "The jeep speeds past.");
+});
+
+test("parseScriptLocally numbers a script without scene numbers 1, 2, 3", async () => {
+    const scenes = await parseScriptLocally(await scriptPDF([
+        "INT. HOUSE - DAY",
+        "Raisha opens the door.",
+        "EXT. ROAD - NIGHT",
+        "The jeep speeds past.",
+    ]));
+
+    assert.deepEqual(scenes.map(scene => scene.scene_number), [1, 2]);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeLocks, applyLockedPositions, applyManualMoves, arrangeSchedule } from "../locks.js";
+import { scheduleScenes } from "../scheduler.js";
+import { sampleScenes, scene, sceneNumbers } from "./fixtures.js";
+
+test("normalizeLocks cleans up locks and rejects unusable ones", () => {
+    assert.deepEqual(normalizeLocks([{ scene_number: "12a", day: "3", position: "1" }, { scene_number: 4, day: 2 }]), [
+        { scene_number: "12a", day: 3, position: 1 },
+        { scene_number: 4, day: 2, position: null },
+    ]);
+
+    assert.throws(() => normalizeLocks({}), /locks must be a list/);
+    assert.throws(() => normalizeLocks([{ day: 1 }]), /needs a scene_number/);
+    assert.throws(() => normalizeLocks([{ scene_number: 1, day: 0 }]), /lock day/);
+    assert.throws(() => normalizeLocks([{ scene_number: 1, day: 1, position: 0 }]), /lock position/);
+    assert.throws(() => normalizeLocks([{ scene_number: "1a", day: 1 }, { scene_number: "1A", day: 2 }]), /locked twice/);
+});
+
+test("applyLockedPositions puts positioned scenes back in place", () => {
+    const dayScenes = [scene(1), scene(2), scene(3)];
+    applyLockedPositions(dayScenes, normalizeLocks([{ scene_number: 3, day: 1, position: 1 }, { scene_number: 1, day: 1, position: 9 }]));
+
+    assert.deepEqual(dayScenes.map(s => s.scene_number), [3, 2, 1]);
+});
+
+test("applyManualMoves moves scenes and adds days past the end", () => {
+    const schedule = [{ day: 1, scenes: [scene(1), scene(2)] }, { day: 2, scenes: [scene(3)] }];
+    const { schedule: moved, moves } = applyManualMoves(schedule, [{ scene_number: 3, toDay: 1, position: 1 }, { scene_number: 2, toDay: 4 }]);
+
+    assert.deepEqual(sceneNumbers(moved), [[3, 1], [], [], [2]]);
+    assert.deepEqual(moved.map(day => day.totalTime), [4, 0, 0, 2]);
+    assert.deepEqual(moves, [
+        { scene_number: 3, fromDay: 2, toDay: 1, position: 1 },
+        { scene_number: 2, fromDay: 1, toDay: 4, position: 1 },
+    ]);
+    assert.deepEqual(sceneNumbers(schedule), [[1, 2], [3]]);
+    assert.throws(() => applyManualMoves(schedule, [{ scene_number: 9, toDay: 1 }]), /not in the schedule/);
+});
+
+test("arrangeSchedule needs every scene on exactly one day", () => {
+    const schedule = [{ day: 1, scenes: [scene(1), scene(2)] }, { day: 2, scenes: [scene(3)] }];
+
+    assert.deepEqual(sceneNumbers(arrangeSchedule(schedule, [[2], [3, 1]])), [[2], [3, 1]]);
+    assert.throws(() => arrangeSchedule(schedule, [[1, 2]]), /missing from the board: 3/);
+    assert.throws(() => arrangeSchedule(schedule, [[1, 2], [3, 1]]), /more than one day/);
+});
+
+test("scheduleScenes puts locked scenes on their day and position", () => {
+    const locks = normalizeLocks([{ scene_number: 7, day: 1, position: 1 }, { scene_number: 9, day: 3 }]);
+    const { schedule, conflicts } = scheduleScenes(sampleScenes(), 12, { locks });
+
+    assert.equal(schedule[0].scenes[0].scene_number, 7);
+    assert.ok(sceneNumbers(schedule)[2].includes(9));
+    assert.deepEqual(conflicts, []);
+});
+
+test("with locks, the last scene at a location doesn't push a day that has scenes over its length", () => {
+    const locks = normalizeLocks([{ scene_number: 7, day: 1, position: 1 }, { scene_number: 2, day: 4 }]);
+    const { schedule, conflicts } = scheduleScenes(sampleScenes(), 12, { locks });
+
+    for (const day of schedule) {
+        assert.ok(day.totalTime <= 12 || day.scenes.length === 1, `day ${day.day} is ${day.totalTime} hours`);
+    }
+    assert.equal(sceneNumbers(schedule).flat().length + conflicts.length, 16);
+});
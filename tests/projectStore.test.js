@@ -0,0 +1,71 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The store directory is read when the module loads, so it's pointed at a temp dir before the import
+const projectsDir = fs.mkdtempSync(path.join(os.tmpdir(), "projects-"));
+process.env.PROJECTS_DIR = projectsDir;
+const store = await import("../projectStore.js");
+
+after(() => fs.rmSync(projectsDir, { recursive: true, force: true }));
+
+test("a project keeps numbered versions of its scripts, breakdowns and schedules", () => {
+    const project = store.createProject({ name: "  Rumah Besar " });
+    assert.equal(project.name, "Rumah Besar");
+
+    const first = store.addScript(project.id, { filename: "draft1.pdf", buffer: Buffer.from("%PDF draft 1") });
+    const second = store.addScript(project.id, { filename: "draft2.pdf", buffer: Buffer.from("%PDF draft 2") });
+    assert.deepEqual([first.version, second.version], [1, 2]);
+    assert.equal(store.getScript(project.id, first.id).buffer.toString(), "%PDF draft 1");
+
+    const breakdown = store.addBreakdown(project.id, { scriptId: second.id, scenes: [{ scene_number: 1 }], validation: { invalid: [] } });
+    assert.deepEqual([breakdown.version, breakdown.scriptId, breakdown.scenes], [1, second.id, 1]);
+    assert.deepEqual(store.getBreakdown(project.id, breakdown.id).validation, { invalid: [] });
+
+    const schedule = store.addSchedule(project.id, { breakdownId: breakdown.id, title: "Week 1", schedule: [{ day: 1, scenes: [] }] });
+    assert.equal(store.findSchedule(schedule.id).title, "Week 1");
+    assert.equal(store.findSchedule(schedule.id).projectId, project.id);
+
+    const saved = store.getProject(project.id);
+    assert.deepEqual([saved.scripts.length, saved.breakdowns.length, saved.schedules.length], [2, 1, 1]);
+});
+
+test("deleting an entry takes it out of the index, the next version follows the highest one left", () => {
+    const project = store.createProject({ name: "Versions" });
+    const first = store.addScript(project.id, { filename: "a.pdf", buffer: Buffer.from("a") });
+    const second = store.addScript(project.id, { filename: "b.pdf", buffer: Buffer.from("b") });
+
+    assert.equal(store.deleteEntry(project.id, "scripts", second.id), true);
+    assert.equal(store.deleteEntry(project.id, "scripts", second.id), false);
+    assert.equal(store.getScript(project.id, second.id), null);
+    assert.equal(store.addScript(project.id, { filename: "c.pdf", buffer: Buffer.from("c") }).version, 2);
+    assert.equal(store.getScript(project.id, first.id).filename, "a.pdf");
+});
+
+test("listProjects summarizes projects, most recently changed first", async () => {
+    const older = store.createProject({ name: "Older" });
+    const newer = store.createProject({ name: "Newer" });
+    // updatedAt has millisecond precision
+    await new Promise(resolve => setTimeout(resolve, 5));
+    store.addScript(older.id, { filename: "a.pdf", buffer: Buffer.from("a") });
+
+    const listed = store.listProjects().filter(project => [older.id, newer.id].includes(project.id));
+    assert.deepEqual(listed.map(({ name, scripts }) => [name, scripts]), [["Older", 1], ["Newer", 0]]);
+});
+
+test("a deleted project is gone, ids that aren't ours are never found", () => {
+    const project = store.createProject({ name: "Gone" });
+    const schedule = store.addSchedule(project.id, { schedule: [] });
+
+    assert.equal(store.deleteProject(project.id), true);
+    assert.equal(store.getProject(project.id), null);
+    assert.equal(store.findSchedule(schedule.id), null);
+    assert.equal(store.deleteProject(project.id), false);
+    assert.equal(store.addScript(project.id, { filename: "a.pdf", buffer: Buffer.from("a") }), null);
+
+    assert.equal(store.getProject("../../etc"), null);
+    assert.equal(store.getSchedule(project.id, "../project"), null);
+    assert.throws(() => store.createProject({ name: " " }), /needs a name/);
+});
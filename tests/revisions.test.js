@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffBreakdowns, rescheduleRevision } from "../revisions.js";
+import { createCostModel } from "../costModel.js";
+import { scene, sceneNumbers } from "./fixtures.js";
+
+const schedule = [
+    { day: 1, scenes: [scene(1), scene(2, { location_name: "ROAD" })] },
+    { day: 2, scenes: [scene(3), scene(4)] },
+];
+const previousScenes = schedule.flatMap(day => day.scenes);
+
+test("diffBreakdowns lists added, omitted and changed scenes", () => {
+    const previous = [scene(1), scene(2), scene(3), scene(4, { characters: ["raisha"] })];
+    const revised = [scene(1), scene("1a"), scene(3, { estimatedTime: 5, characters: ["Raisha"] }), scene(4, { time_of_day: "NIGHT", characters: ["Raisha"] }), scene(5)];
+    const diff = diffBreakdowns(previous, revised);
+
+    assert.deepEqual(diff.added, [{ scene_number: "1a", scene_heading: "INT. SET 1a" }, { scene_number: 5, scene_heading: "INT. SET 5" }]);
+    assert.deepEqual(diff.omitted, [{ scene_number: 2, scene_heading: "INT. SET 2" }]);
+    assert.deepEqual(diff.changed, [
+        { scene_number: 3, scene_heading: "INT. SET 3", changes: { estimatedTime: { from: 2, to: 5 }, characters: { added: ["RAISHA"], removed: [] } } },
+        { scene_number: 4, scene_heading: "INT. SET 4", changes: { time_of_day: { from: "DAY", to: "NIGHT" } } },
+    ]);
+    assert.deepEqual(diff.aScenes, ["1a"]);
+    assert.equal(diff.unchanged, 1);
+});
+
+test("rescheduleRevision keeps strips on their day and only moves what it has to", () => {
+    const revised = [scene(1), scene("1A"), scene(3, { estimatedTime: 5 }), scene(4)];
+    const { schedule: rescheduled, moves, conflicts } = rescheduleRevision(schedule, revised, 6, { previousScenes });
+
+    assert.deepEqual(sceneNumbers(rescheduled), [[1, "1A"], [4], [3]]);
+    assert.deepEqual(rescheduled.map(day => day.totalTime), [4, 2, 5]);
+    assert.deepEqual(moves.map(({ scene_number, fromDay, toDay, reason }) => [scene_number, fromDay, toDay, reason]), [
+        ["1A", null, 1, "added"],
+        [2, 1, null, "omitted"],
+        [3, 2, 3, "overtime"],
+    ]);
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(sceneNumbers(schedule), [[1, 2], [3, 4]]);
+});
+
+test("rescheduleRevision moves locked strips to their day first and places the rest around them", () => {
+    const revised = [scene(1), scene("1A"), scene(3, { estimatedTime: 5 }), scene(4)];
+    const costModel = createCostModel({ maxDayTimeHours: 6, locks: [{ scene_number: 4, day: 1 }] });
+    const { schedule: rescheduled, moves } = rescheduleRevision(schedule, revised, 6, { costModel, previousScenes });
+
+    assert.deepEqual(sceneNumbers(rescheduled), [[1, 4, "1A"], [3]]);
+    assert.deepEqual(moves.map(({ scene_number, reason }) => [scene_number, reason]), [["1A", "added"], [2, "omitted"], [4, "locked"]]);
+});
+
+test("rescheduleRevision keeps emptied days in place so later days keep their numbers", () => {
+    const { schedule: rescheduled } = rescheduleRevision(schedule, [scene(3), scene(4)], 12, { previousScenes });
+
+    assert.deepEqual(sceneNumbers(rescheduled), [[], [3, 4]]);
+    assert.deepEqual(rescheduled.map(day => day.day), [1, 2]);
+});
+
+test("scenes the old breakdown had but never scheduled are reported as unscheduled, not added", () => {
+    const { moves } = rescheduleRevision(schedule, [...previousScenes, scene(9)], 12, { previousScenes: [...previousScenes, scene(9)] });
+
+    assert.deepEqual(moves.map(({ scene_number, reason }) => [scene_number, reason]), [[9, "unscheduled"]]);
+});
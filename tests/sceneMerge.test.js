@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compareSceneNumbers, mergeChunkScenes, findSceneNumberGaps } from "../sceneMerge.js";
+import { scene } from "./fixtures.js";
+
+test("compareSceneNumbers sorts in natural script order", () => {
+    const numbers = ["12B", 2, "A1", "12AA", 12, "1a", 1, "12A", "?"];
+
+    assert.deepEqual(numbers.sort(compareSceneNumbers), [1, "1a", 2, 12, "12A", "12B", "12AA", "?", "A1"]);
+});
+
+test("mergeChunkScenes keeps the most complete copy of a scene split across chunks", () => {
+    const cutShort = scene(2, { scene_heading: "2 INT. RUMAH - NIGHT 2", characters: ["Raisha"], lines_count: 4 });
+    const whole = scene(2, { scene_heading: "INT. RUMAH - NIGHT", characters: ["Raisha", "Haikal"], lines_count: 20 });
+    const { scenes, duplicates, numberConflicts } = mergeChunkScenes([
+        [scene(1), cutShort],
+        [whole, scene(3)],
+    ]);
+
+    assert.deepEqual(scenes.map(s => s.scene_number), [1, 2, 3]);
+    assert.equal(scenes[1], whole);
+    assert.deepEqual(duplicates, [{ scene_number: 2, keptChunk: 2, droppedChunk: 1 }]);
+    assert.deepEqual(numberConflicts, []);
+});
+
+test("mergeChunkScenes lets the earlier chunk win a tie", () => {
+    const first = scene("4A", { scene_heading: "INT. SET" });
+    const { scenes, duplicates } = mergeChunkScenes([[first], [scene("4a", { scene_heading: "INT. SET" })]]);
+
+    assert.equal(scenes[0], first);
+    assert.deepEqual(duplicates, [{ scene_number: "4a", keptChunk: 1, droppedChunk: 2 }]);
+});
+
+test("mergeChunkScenes sorts chunks in script order and reports a number used for two scenes", () => {
+    const { scenes, numberConflicts } = mergeChunkScenes([
+        [scene(5, { scene_heading: "EXT. JALAN - DAY" }), scene("1A")],
+        [scene(1), scene(5, { scene_heading: "INT. KEDAI - NIGHT" })],
+    ]);
+
+    assert.deepEqual(scenes.map(s => [s.scene_number, s.scene_heading]), [
+        [1, "INT. SET 1"],
+        ["1A", "INT. SET 1A"],
+        [5, "EXT. JALAN - DAY"],
+        [5, "INT. KEDAI - NIGHT"],
+    ]);
+    assert.deepEqual(numberConflicts, [{ scene_number: 5, scene_heading: "INT. KEDAI - NIGHT", chunk: 2 }]);
+});
+
+test("findSceneNumberGaps skips A-scenes and runs too long to be lost scenes", () => {
+    assert.deepEqual(findSceneNumberGaps([scene(1), scene("2A"), scene(4)]), [3]);
+    assert.deepEqual(findSceneNumberGaps([scene(1), scene(2), scene(3), scene(9999)]), []);
+    assert.deepEqual(findSceneNumberGaps([]), []);
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeScene, validateScenes, normalizeTimeOfDay, normalizeLocationType, parseModelJSON, buildSceneRepairPrompt } from "../sceneSchema.js";
+
+test("times of day fold to DAY and NIGHT in English and Malay", () => {
+    assert.equal(normalizeTimeOfDay("Morning"), "DAY");
+    assert.equal(normalizeTimeOfDay("EVENING"), "DAY");
+    assert.equal(normalizeTimeOfDay("petang"), "DAY");
+    assert.equal(normalizeTimeOfDay("malam."), "NIGHT");
+    assert.equal(normalizeTimeOfDay("Dusk"), "NIGHT");
+    assert.equal(normalizeTimeOfDay("LATER"), "UNKNOWN");
+    assert.equal(normalizeTimeOfDay(undefined), "UNKNOWN");
+});
+
+test("location types take the usual spellings", () => {
+    assert.equal(normalizeLocationType("int."), "INT");
+    assert.equal(normalizeLocationType("Exterior"), "EXT");
+    assert.equal(normalizeLocationType("EXT./INT."), "INT/EXT");
+    assert.equal(normalizeLocationType("luar"), "EXT");
+    assert.equal(normalizeLocationType("E/I"), "I/E");
+    assert.equal(normalizeLocationType("ROOF"), "UNKNOWN");
+});
+
+test("normalizeScene cleans up a model's scene", () => {
+    const { scene, errors } = normalizeScene({
+        scene_number: " 12a ",
+        scene_heading: "INT. RUMAH - MALAM",
+        location_type: "int",
+        location_name: "RUMAH",
+        time_of_day: "malam",
+        characters: ["Raisha", " Raisha ", "", 7, null],
+        props: "Keris, Torch",
+        lines_count: "14.6",
+        estimatedTime: "1,5 hours",
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(scene, {
+        scene_number: "12A",
+        scene_heading: "INT. RUMAH - MALAM",
+        location_name: "RUMAH",
+        sub_location_name: "",
+        scene_summary: "",
+        location_type: "INT",
+        time_of_day: "NIGHT",
+        characters: ["Raisha", "7"],
+        props: ["Keris", "Torch"],
+        wardrobe: [],
+        set_dressing: [],
+        vehicles: [],
+        vfx: [],
+        sfx: [],
+        stunts: [],
+        extras: [],
+        lines_count: 15,
+        page_estimate: 0.75,
+        estimatedTime: 1.5,
+    });
+    assert.equal(normalizeScene({ scene_number: "7", location_name: "RUMAH", estimatedTime: 2 }).scene.scene_number, 7);
+});
+
+test("normalizeScene takes the shooting time from the page count when it's missing", () => {
+    const { scene } = normalizeScene({ scene_number: 3, location_name: "RUMAH", page_estimate: 1.25 });
+
+    assert.equal(scene.estimatedTime, 2.5);
+    assert.equal(scene.page_estimate, 1.25);
+});
+
+test("validateScenes keeps the good scenes and says what's wrong with the rest", () => {
+    const { scenes, invalid } = validateScenes([
+        { scene_number: 1, location_name: "RUMAH", estimatedTime: 2 },
+        { scene_number: "twelve", location_name: "RUMAH", estimatedTime: 2 },
+        { scene_number: 3, estimatedTime: 2 },
+        { scene_number: 4, location_name: "RUMAH", estimatedTime: "soon" },
+        "scene 5",
+    ]);
+
+    assert.deepEqual(scenes.map(scene => scene.scene_number), [1]);
+    assert.deepEqual(invalid.map(({ index, errors }) => [index, errors.length]), [[1, 1], [2, 1], [3, 1], [4, 1]]);
+    assert.match(invalid[0].errors[0], /scene_number "twelve"/);
+    assert.match(invalid[1].errors[0], /both empty/);
+    assert.match(invalid[2].errors[0], /estimatedTime "soon"/);
+    assert.deepEqual(invalid[3].errors, ["Scene is not an object"]);
+    assert.deepEqual(validateScenes({ scenes: [] }).invalid[0].errors, ['"scenes" is not an array']);
+});
+
+test("parseModelJSON reads fenced replies and gives up on broken ones", () => {
+    assert.deepEqual(parseModelJSON('Here you go:\n```json\n{"scenes": []}\n```'), { scenes: [] });
+    assert.equal(parseModelJSON('{"scenes": [{"scene_number": 1,'), null);
+    assert.equal(parseModelJSON("no json here"), null);
+    assert.equal(parseModelJSON(undefined), null);
+});
+
+test("buildSceneRepairPrompt lists every broken scene with its problems", () => {
+    const prompt = buildSceneRepairPrompt([{ raw: { scene_number: 3 }, errors: ["scene_heading and location_name are both empty"] }]);
+
+    assert.match(prompt, /\{"scene_number":3\}\n {2}Problems: scene_heading and location_name are both empty/);
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scheduleScenes } from "../scheduler.js";
+import { sampleScenes, sceneNumbers } from "./fixtures.js";
+
+test("scheduleScenes places every scene once and only runs a day over to finish a location", () => {
+    for (const maxDayTimeHours of [12, 10, 8]) {
+        const { schedule, conflicts } = scheduleScenes(sampleScenes(), maxDayTimeHours);
+
+        assert.deepEqual(conflicts, []);
+        assert.deepEqual(sceneNumbers(schedule).flat().sort((a, b) => a - b), sampleScenes().map(scene => scene.scene_number));
+        for (const day of schedule) {
+            // The last scene at a location goes in even when it doesn't fit, so without one of its strips every day does
+            assert.ok(day.scenes.some(scene => day.totalTime - scene.estimatedTime <= maxDayTimeHours), `${maxDayTimeHours} hour days: day ${day.day} is ${day.totalTime} hours`);
+        }
+    }
+});
+
+test("short days still get their first location, scenes too long for them are shot alone or reported", () => {
+    const { schedule, conflicts } = scheduleScenes(sampleScenes(), 4);
+    const length = sceneNumber => sampleScenes().find(scene => scene.scene_number === sceneNumber).estimatedTime;
+
+    assert.ok(conflicts.length > 0);
+    assert.ok(conflicts.every(conflict => length(conflict.scene_number) > 4 && conflict.reasons.includes("Does not fit in a 4 hour day")));
+    assert.equal(sceneNumbers(schedule).flat().length + conflicts.length, sampleScenes().length);
+    assert.ok(schedule.every(day => day.scenes.length > 0 && (day.totalTime <= 4 || day.scenes.length === 1)));
+});
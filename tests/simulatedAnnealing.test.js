@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { simulatedAnnealing, checkAnnealingOptions, MAX_ITERATIONS_PER_TEMPERATURE, MAX_ANNEALING_ITERATIONS } from "../simulated_annealing.js";
+import { createCostModel } from "../costModel.js";
+import { sampleScenes, sceneNumbers } from "./fixtures.js";
+
+test("the same seed gives the same schedule", () => {
+    const first = simulatedAnnealing(sampleScenes(), 12, { seed: 7 });
+    const second = simulatedAnnealing(sampleScenes(), 12, { seed: 7 });
+
+    assert.deepEqual(sceneNumbers(second.schedule), sceneNumbers(first.schedule));
+    assert.equal(second.finalCost, first.finalCost);
+    assert.equal(second.iterations, first.iterations);
+    assert.equal(first.seed, 7);
+});
+
+test("the sample breakdown anneals from 1270 to 1120 with seed 42", () => {
+    const result = simulatedAnnealing(sampleScenes(), 12, { seed: 42 });
+
+    assert.equal(result.initialCost, 1270);
+    assert.equal(result.finalCost, 1120);
+    assert.equal(result.iterations, 13500);
+});
+
+test("never ends worse than the greedy schedule and places every scene once", () => {
+    for (const seed of [1, 2, 3]) {
+        const result = simulatedAnnealing(sampleScenes(), 12, { seed });
+
+        assert.ok(result.finalCost <= result.initialCost);
+        assert.equal(result.costBreakdown.total, result.finalCost);
+        assert.deepEqual(sceneNumbers(result.schedule).flat().sort((a, b) => a - b), sampleScenes().map(scene => scene.scene_number));
+    }
+});
+
+test("locked scenes keep their day", () => {
+    const costModel = createCostModel({ locks: [{ scene_number: 7, day: 2 }, { scene_number: 9, day: 1, position: 1 }] });
+    const result = simulatedAnnealing(sampleScenes(), 12, { seed: 3, costModel });
+
+    assert.ok(sceneNumbers(result.schedule)[1].includes(7));
+    assert.equal(sceneNumbers(result.schedule)[0][0], 9);
+});
+
+test("a slow cooling schedule stops at MAX_ANNEALING_ITERATIONS", () => {
+    const result = simulatedAnnealing(sampleScenes().slice(0, 4), 12, { coolingRate: 0.99999, iterationsPerTemperature: MAX_ITERATIONS_PER_TEMPERATURE });
+
+    assert.equal(result.iterations, MAX_ANNEALING_ITERATIONS);
+});
+
+test("checkAnnealingOptions accepts the defaults and a linear schedule", () => {
+    assert.doesNotThrow(() => checkAnnealingOptions({}));
+    assert.doesNotThrow(() => checkAnnealingOptions({ cooling: "linear", coolingStep: 5, coolingRate: 7 }));
+});
+
+test("checkAnnealingOptions rejects options that never cool down", () => {
+    const rejected = [
+        [{ coolingRate: 1 }, /coolingRate/],
+        [{ coolingRate: 0 }, /coolingRate/],
+        [{ coolingRate: "0.9" }, /coolingRate/],
+        [{ cooling: "linear", coolingStep: 0 }, /coolingStep/],
+        [{ minTemperature: 0 }, /minTemperature/],
+        [{ initialTemperature: 0.1, minTemperature: 0.1 }, /initialTemperature/],
+        [{ iterationsPerTemperature: MAX_ITERATIONS_PER_TEMPERATURE + 1 }, /iterationsPerTemperature/],
+        [{ iterationsPerTemperature: 1.5 }, /iterationsPerTemperature/],
+    ];
+
+    for (const [options, message] of rejected) {
+        assert.throws(() => checkAnnealingOptions(options), message, JSON.stringify(options));
+    }
+    assert.throws(() => simulatedAnnealing(sampleScenes(), 12, { coolingRate: 1 }), /coolingRate/);
+});
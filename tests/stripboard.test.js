@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, StandardFonts } from "pdf-lib";
+import { stripCategory, pdfSafe, fitText, renderStripboard } from "../stripboard.js";
+import { extractPdfText } from "../localParser.js";
+import { scene } from "./fixtures.js";
+
+test("stripCategory colours strips by location type and normalised time of day", () => {
+    assert.equal(stripCategory(scene(1, { location_type: "EXT", time_of_day: "DAY" })), "EXT DAY");
+    assert.equal(stripCategory(scene(2, { location_type: "INT", time_of_day: "NIGHT" })), "INT NIGHT");
+    assert.equal(stripCategory(scene(3, { location_type: "", time_of_day: "" })), "UNKNOWN UNKNOWN");
+});
+
+test("pdfSafe and fitText keep strip text printable and inside its column", async () => {
+    const font = await (await PDFDocument.create()).embedFont(StandardFonts.Helvetica);
+
+    assert.equal(pdfSafe("Café → jalan"), "Café ? jalan");
+    assert.equal(pdfSafe(null), "");
+    assert.equal(fitText("SET", font, 9, 100), "SET");
+
+    const fitted = fitText("RUMAH BESAR - DINING HALL - UPSTAIRS", font, 9, 60);
+    assert.ok(fitted.endsWith("..."));
+    assert.ok(font.widthOfTextAtSize(fitted, 9) <= 60);
+});
+
+test("renderStripboard prints a strip per scene, a banner per day and the cast list", async () => {
+    const schedule = [
+        { day: 1, date: "2026-11-02", weekday: "MON", totalTime: 4, scenes: [
+            scene(3, { location_name: "RUMAH", sub_location_name: "DAPUR", characters: ["Raisha"], page_estimate: 1.375 }),
+            scene(1, { characters: ["Raisha"], page_estimate: 0.5 }),
+        ] },
+        { day: 2, totalTime: 2, scenes: [scene(2, { location_type: "EXT", time_of_day: "NIGHT", characters: ["Haikal"] })] },
+    ];
+    const text = await extractPdfText(Buffer.from(await renderStripboard(schedule, { title: "Test Board" })));
+
+    assert.match(text, /Test Board/);
+    assert.match(text, /RUMAH - DAPUR/);
+    assert.match(text, /EXT NIGHT/);
+    assert.match(text, /END OF DAY 1 - MON 2026-11-02 - 4 hrs - 1 7\/8 pages/);
+    assert.match(text, /END OF DAY 2 - 2 hrs - 0 pages/);
+    assert.match(text, /1\. Raisha/);
+    assert.match(text, /2\. Haikal/);
+});
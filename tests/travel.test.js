@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTravel, addCompanyMoves } from "../travel.js";
+import { createCostModel, costOfDay } from "../costModel.js";
+import { scheduleScenes } from "../scheduler.js";
+import { scene } from "./fixtures.js";
+
+test("without settings there is no travel", () => {
+    assert.equal(createTravel(null), null);
+    assert.equal(createTravel(undefined), null);
+    assert.deepEqual(addCompanyMoves([{ day: 1, scenes: [] }], null), [{ day: 1, scenes: [] }]);
+});
+
+test("travel time comes from the matrix, then coordinates, then unknownTravelHours", () => {
+    const travel = createTravel({
+        locations: { "Resort": { lat: 2.81, lng: 101.52 }, "RUMAH BESAR": { lat: 2.9, lng: 101.52 } },
+        matrix: { "RESORT": { "JALANRAYA": 0.5 }, "JALANRAYA": { "resort": 0.75 }, "PONDOK": { "RESORT": 0.25 } },
+        packUpHours: 0.5,
+        unknownTravelHours: 2,
+    });
+
+    assert.deepEqual(travel.moveTime("resort", "Jalanraya"), { travelHours: 0.5, distanceKm: null, source: "matrix", packUpHours: 0.5, hours: 1 });
+    assert.equal(travel.moveTime("JALANRAYA", "RESORT").travelHours, 0.75);
+    assert.equal(travel.moveTime("RESORT", "PONDOK").travelHours, 0.25);
+
+    const byRoad = travel.moveTime("RESORT", "RUMAH BESAR");
+    assert.equal(byRoad.source, "coordinates");
+    assert.equal(byRoad.distanceKm, 13);
+    assert.equal(byRoad.travelHours, 0.43);
+    assert.equal(byRoad.hours, 0.93);
+
+    assert.deepEqual(travel.moveTime("RESORT", "PEJABAT"), { travelHours: 2, distanceKm: null, source: "unknown", packUpHours: 0.5, hours: 2.5 });
+});
+
+test("a company move is a change of location between two strips of the same day", () => {
+    const travel = createTravel({ matrix: { "RESORT": { "ROAD": 1 } } });
+    const day = [scene(1, { location_name: "RESORT" }), scene(2, { location_name: "resort" }), scene(3, { location_name: "ROAD" })];
+
+    assert.deepEqual(travel.companyMoves(day), [{ afterScene: 2, beforeScene: 3, from: "resort", to: "ROAD", travelHours: 1, distanceKm: null, source: "matrix", packUpHours: 1, hours: 2 }]);
+    assert.equal(travel.moveHours(day), 2);
+    assert.deepEqual(addCompanyMoves([{ day: 1, scenes: day, totalTime: 6 }], travel).map(({ moveHours, companyMoves }) => [moveHours, companyMoves.length]), [[2, 1]]);
+});
+
+test("company moves use up day time and cost per hour", () => {
+    const travel = createTravel({ matrix: { "RESORT": { "ROAD": 1 } } });
+    const day = [scene(1, { location_name: "RESORT", estimatedTime: 5 }), scene(2, { location_name: "ROAD", estimatedTime: 6 })];
+    const { moveHours, overtimeHours, terms } = costOfDay(day, createCostModel({ travel }));
+
+    assert.equal(moveHours, 2);
+    assert.equal(overtimeHours, 1);
+    assert.equal(terms.travel, 100);
+});
+
+test("the scheduler leaves room for company moves", () => {
+    const travel = createTravel({ matrix: { "RESORT": { "ROAD": 2 } } });
+    const scenes = [
+        ...[1, 2, 3, 4].map(number => scene(number, { location_name: "RESORT", estimatedTime: 1.5 })),
+        ...[5, 6, 7].map(number => scene(number, { location_name: "ROAD", estimatedTime: 2 })),
+    ];
+
+    assert.deepEqual(scheduleScenes(scenes, 12).schedule.map(day => day.scenes.length), [7]);
+    assert.deepEqual(scheduleScenes(scenes, 12, { travel }).schedule.map(day => day.scenes.length), [5, 2]);
+});
+
+test("createTravel rejects bad settings", () => {
+    assert.throws(() => createTravel([]), /travel must be an object/);
+    assert.throws(() => createTravel({ packUp: 1 }), /Unknown travel setting "packUp"/);
+    assert.throws(() => createTravel({ packUpHours: -1 }), /packUpHours must be a number from 0/);
+    assert.throws(() => createTravel({ averageSpeedKmh: 0 }), /more than 0/);
+    assert.throws(() => createTravel({ locations: { "RESORT": { lat: 95, lng: 0 } } }), /RESORT needs numeric lat/);
+    assert.throws(() => createTravel({ matrix: { "RESORT": 1 } }), /matrix\.RESORT must be an object/);
+    assert.throws(() => createTravel({ matrix: { "RESORT": { "ROAD": "1h" } } }), /RESORT to ROAD must be a number of hours/);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTurnaround, formatClock, addCallTimes } from "../turnaround.js";
+import { createShootingCalendar } from "../calendar.js";
+import { scene } from "./fixtures.js";
+
+// Day 1 runs into the night with Raisha in the last scene, day 2 has her again in the morning
+const nightShoot = [
+    [scene(1), scene(2, { time_of_day: "NIGHT", characters: ["Raisha"], estimatedTime: 4 })],
+    [scene(3, { characters: ["Raisha"] })],
+];
+
+test("formatClock marks times that run into another day", () => {
+    assert.equal(formatClock(420), "07:00");
+    assert.equal(formatClock(1410.4), "23:30");
+    assert.equal(formatClock(1500), "01:00+1");
+    assert.equal(formatClock(-60), "23:00-1");
+});
+
+test("a day with night scenes is called so they start at nightfall, the next call waits for the crew's rest", () => {
+    const [first, second] = createTurnaround({}).planDays(nightShoot);
+
+    assert.deepEqual([first.callTime, first.wrapTime, first.nightfall], ["17:30", "23:30", "19:30"]);
+    assert.deepEqual([second.callTime, second.restBefore, second.delayedBy], ["10:30", 11, 3.5]);
+    assert.deepEqual(second.cast.map(({ name, call, restBefore }) => [name, call, restBefore]), [["Raisha", "10:30", 11]]);
+    assert.deepEqual(second.violations, [{ rule: "castTurnaround", message: "Raisha gets 11 hours between day 1 and this call, needs 12" }]);
+});
+
+test("a later crew call is only a breach when it pushes exterior day scenes past nightfall", () => {
+    const turnaround = createTurnaround({ castTurnaroundHours: 11 });
+    const exterior = [nightShoot[0], [scene(3, { location_type: "EXT", estimatedTime: 10 })]];
+
+    assert.deepEqual(turnaround.planDays(nightShoot)[1].violations, []);
+    assert.deepEqual(turnaround.planDays(exterior)[1].violations.map(v => v.message), ["Crew turnaround after day 1 pushes call to 10:30, EXT DAY scene 3 run past nightfall at 19:30"]);
+});
+
+test("cast prep, a cast member's own turnaround and weekends all count", () => {
+    assert.equal(createTurnaround({ castPrepHours: 1 }).planDays(nightShoot)[1].cast[0].call, "09:30");
+    assert.deepEqual(createTurnaround({ cast: { "raisha": 10 } }).planDays(nightShoot)[1].violations, []);
+
+    // Friday night to Monday morning
+    const calendar = createShootingCalendar({ startDate: "2026-11-06", weeklyPattern: 5 });
+    const [, monday] = createTurnaround({}, { dayToDate: calendar.dayToDate }).planDays(nightShoot);
+    assert.deepEqual([monday.callTime, monday.violations], ["07:00", []]);
+});
+
+test("canAdd keeps a scene off a day it would break the turnaround of", () => {
+    const turnaround = createTurnaround({});
+    const plans = turnaround.planDays([nightShoot[0]]);
+
+    assert.equal(turnaround.canAdd(plans, 2, [], scene(4, { characters: ["Raisha"] })), false);
+    assert.equal(turnaround.canAdd(plans, 2, [], scene(4, { characters: ["Haikal"] })), true);
+});
+
+test("addCallTimes puts the plan on every day", () => {
+    const schedule = nightShoot.map((scenes, i) => ({ day: i + 1, scenes, totalTime: 0 }));
+    const [first] = addCallTimes(schedule, createTurnaround({}));
+
+    assert.deepEqual(first.callTimes.scenes, [{ scene_number: 1, start: "17:30", end: "19:30" }, { scene_number: 2, start: "19:30", end: "23:30" }]);
+    assert.equal(first.callTimes.cast[0].wrapMinutes, undefined);
+    assert.equal(addCallTimes(schedule, null), schedule);
+});
+
+test("createTurnaround rejects bad settings", () => {
+    assert.equal(createTurnaround(null), null);
+    assert.throws(() => createTurnaround([]), /turnaround must be an object/);
+    assert.throws(() => createTurnaround({ crewRest: 10 }), /Unknown turnaround setting "crewRest"/);
+    assert.throws(() => createTurnaround({ crewTurnaroundHours: 30 }), /crewTurnaroundHours must be a number of hours/);
+    assert.throws(() => createTurnaround({ crewCall: "7am" }), /crewCall must be a time like "07:00"/);
+    assert.throws(() => createTurnaround({ cast: { "Raisha": "12" } }), /Raisha needs a number of turnaround hours/);
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeTranscript, splitTranscript, parseCommand, parseTranscript, validateCommand, applyCommands } from "../voiceCommands.js";
+import { scene, sceneNumbers } from "./fixtures.js";
+
+const commandOf = text => {
+    const { source, text: segment, ...command } = parseCommand(normalizeTranscript(text)) || {};
+    return segment === undefined ? null : command;
+};
+
+test("normalizeTranscript spells numbers as digits", () => {
+    assert.equal(normalizeTranscript("Move scene twenty-one to day three!"), "move scene 21 to day 3");
+    assert.equal(normalizeTranscript("make day 5 a ten-hour day"), "make day 5 a 10 hour day");
+    assert.equal(normalizeTranscript("put scene 12 a on day 2 first"), "put scene 12a on day 2 first");
+    assert.equal(normalizeTranscript("set day 4 to 9.5 hours"), "set day 4 to 9.5 hours");
+    assert.equal(normalizeTranscript("constructor"), "constructor");
+});
+
+test("splitTranscript splits on and and then only when a command follows", () => {
+    assert.deepEqual(splitTranscript("move scene 12 to day 3 and lock scene 5 to day 1"), ["move scene 12 to day 3", "lock scene 5 to day 1"]);
+    assert.deepEqual(splitTranscript("Move scene 3 to day 2, then make day five a ten-hour day. What scenes need the jeep?"), [
+        "move scene 3 to day 2",
+        "make day 5 a 10 hour day",
+        "what scenes need the jeep",
+    ]);
+    assert.deepEqual(splitTranscript("unlock scene 7, swap scenes 3 and 4"), ["unlock scene 7", "swap scenes 3 and 4"]);
+    assert.deepEqual(splitTranscript("swap scenes 3 and 4"), ["swap scenes 3 and 4"]);
+    assert.deepEqual(splitTranscript("which scenes have Sal and Norman"), ["which scenes have sal and norman"]);
+});
+
+test("parseCommand knows every command of the grammar", () => {
+    assert.deepEqual(commandOf("move scene 12 to day 3"), { type: "move", scene_number: 12, toDay: 3, position: null });
+    assert.deepEqual(commandOf("put scene 12A on day 2 first"), { type: "move", scene_number: "12A", toDay: 2, position: 1 });
+    assert.deepEqual(commandOf("lock scene 7 to day 1 at position 2"), { type: "lock", scene_number: 7, day: 1, position: 2 });
+    assert.deepEqual(commandOf("unpin scene 7"), { type: "unlock", scene_number: 7 });
+    assert.deepEqual(commandOf("swap scenes 3 and 4"), { type: "swap", scene_number: 3, with: 4 });
+    assert.deepEqual(commandOf("switch scene 3 with scene 4b"), { type: "swap", scene_number: 3, with: "4B" });
+    assert.deepEqual(commandOf("make day 5 a ten-hour day"), { type: "dayHours", day: 5, hours: 10 });
+    assert.deepEqual(commandOf("set day 5 to 10 hours"), { type: "dayHours", day: 5, hours: 10 });
+    assert.deepEqual(commandOf("which scenes have Raisha"), { type: "query", element: "raisha" });
+    assert.equal(commandOf("reshoot the wedding"), null);
+});
+
+test("parseTranscript sends what the grammar doesn't know to the LLM", async () => {
+    const noLLM = await parseTranscript("move scene 12 to day 3 and lock scene 5 to day 1. reshoot the wedding");
+    assert.deepEqual(noLLM.commands.map(command => command.type), ["move", "lock"]);
+    assert.deepEqual(noLLM.unparsed, [{ text: "reshoot the wedding", reason: "Not a command the grammar knows" }]);
+
+    const llm = { complete: async () => '{"commands":[{"type":"move","scene_number":"1","toDay":"4"},{"type":"fly"}]}' };
+    const withLLM = await parseTranscript("reshoot the wedding on day four", llm);
+    assert.deepEqual(withLLM.commands, [{ type: "move", scene_number: 1, toDay: 4, position: null, source: "llm", text: "reshoot the wedding on day 4" }]);
+    assert.deepEqual(withLLM.unparsed, []);
+});
+
+test("validateCommand only lets through commands in the grammar's shape", () => {
+    assert.deepEqual(validateCommand({ type: "swap", scene_number: "3", with: "4a" }), { type: "swap", scene_number: 3, with: "4A" });
+    assert.equal(validateCommand({ type: "swap", scene_number: "3" }), null);
+    assert.equal(validateCommand({ type: "dayHours", day: 2, hours: 30 }), null);
+    assert.equal(validateCommand({ type: "lock", scene_number: "", day: 1 }), null);
+});
+
+test("applyCommands edits a copy of the schedule in order and reports what it couldn't do", () => {
+    const saved = {
+        schedule: [{ day: 1, scenes: [scene(1), scene(2)] }, { day: 2, scenes: [scene(3), scene(4, { props: ["Jeep keys"] })] }],
+        locks: [{ scene_number: 3, day: 2, position: null }],
+        dayHours: {},
+    };
+    const result = applyCommands(saved, [
+        { type: "swap", scene_number: 1, with: 3 },
+        { type: "lock", scene_number: 4, day: 1, position: 1 },
+        { type: "dayHours", day: 2, hours: 10 },
+        { type: "query", element: "jeep" },
+        { type: "move", scene_number: 9, toDay: 1, position: null },
+    ]);
+
+    assert.deepEqual(sceneNumbers(result.schedule), [[4, 3, 2], [1]]);
+    assert.deepEqual(sceneNumbers(saved.schedule), [[1, 2], [3, 4]]);
+    assert.deepEqual(result.locks, [{ scene_number: 4, day: 1, position: 1 }]);
+    assert.deepEqual(result.changes.locks.map(change => [change.scene_number, change.action]), [[3, "unlocked"], [4, "locked"]]);
+    assert.deepEqual(result.dayHours, { 2: 10 });
+    assert.deepEqual(result.answers, [{ element: "jeep", scenes: [{ scene_number: 4, scene_heading: "INT. SET 4", day: 1, fields: ["props"] }] }]);
+    assert.deepEqual(result.errors.map(({ error }) => error), ["Scene 9 is not in the schedule"]);
+    assert.equal(result.changed, true);
+});
@@ -0,0 +1,149 @@
+// Company moves and travel time between locations
+// Given as JSON, location names matched case-insensitively against scene.location_name:
+// {
+//   "locations": { "RESORT": { "lat": 2.81, "lng": 101.52 } },     // coordinates, travel time comes from the distance
+//   "matrix": { "RESORT": { "JALANRAYA": 0.5 } },                  // or travel hours between two locations, used both ways
+//   "averageSpeedKmh": 30,                                          // for coordinates
+//   "packUpHours": 1,                                               // wrapping one location and setting up at the next
+//   "unknownTravelHours": 1                                         // between locations with neither
+// }
+// A company move is a change of location_name between two strips of the same day. Travel and pack-up time
+// come off the day's hours - the scheduler leaves room for them and the cost model charges them (see costModel.js)
+
+export const DEFAULT_TRAVEL_SETTINGS = {
+    averageSpeedKmh: 30,
+    packUpHours: 1,
+    unknownTravelHours: 1,
+};
+
+// Roads are longer than the straight line between two points
+const ROAD_DISTANCE_FACTOR = 1.3;
+const EARTH_RADIUS_KM = 6371;
+
+function normalizeName(name) {
+    return String(name ?? "").trim().toUpperCase();
+}
+
+function roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+function distanceKm(a, b) {
+    const toRadians = degrees => (degrees * Math.PI) / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// null when there are no travel settings, so callers can skip company moves altogether
+export function createTravel(settings) {
+    if (settings === null || settings === undefined) return null;
+    if (typeof settings !== "object" || Array.isArray(settings)) {
+        throw new Error("travel must be an object with locations and/or matrix");
+    }
+
+    const { locations = {}, matrix = {}, ...numbers } = settings;
+    const options = { ...DEFAULT_TRAVEL_SETTINGS, ...numbers };
+
+    for (const key of Object.keys(numbers)) {
+        if (!Object.hasOwn(DEFAULT_TRAVEL_SETTINGS, key)) throw new Error(`Unknown travel setting "${key}"`);
+        if (!isNonNegativeNumber(numbers[key])) throw new Error(`travel: ${key} must be a number from 0`);
+    }
+    if (!(options.averageSpeedKmh > 0)) throw new Error("travel: averageSpeedKmh must be more than 0");
+
+    const coordinates = new Map();
+    for (const [name, point] of Object.entries(locations)) {
+        const { lat, lng } = point || {};
+        if (typeof lat !== "number" || typeof lng !== "number" || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            throw new Error(`travel: ${name} needs numeric lat (-90 to 90) and lng (-180 to 180)`);
+        }
+        coordinates.set(normalizeName(name), { lat, lng });
+    }
+
+    const hoursBetween = new Map();
+    const given = [];
+    for (const [from, row] of Object.entries(matrix)) {
+        if (typeof row !== "object" || row === null || Array.isArray(row)) {
+            throw new Error(`travel: matrix.${from} must be an object of location to hours`);
+        }
+        for (const [to, hours] of Object.entries(row)) {
+            if (!isNonNegativeNumber(hours)) throw new Error(`travel: ${from} to ${to} must be a number of hours from 0`);
+            hoursBetween.set(`${normalizeName(from)}\u0000${normalizeName(to)}`, hours);
+            given.push({ from, to, hours });
+        }
+    }
+    // The other direction only when it isn't given separately
+    for (const { from, to, hours } of given) {
+        const back = `${normalizeName(to)}\u0000${normalizeName(from)}`;
+        if (!hoursBetween.has(back)) hoursBetween.set(back, hours);
+    }
+
+    // The annealer asks for the same pairs over and over
+    const cache = new Map();
+
+    // Travel and pack-up between two locations, matrix first, then coordinates, then unknownTravelHours
+    function moveTime(from, to) {
+        const key = `${normalizeName(from)}\u0000${normalizeName(to)}`;
+        if (cache.has(key)) return cache.get(key);
+
+        let travel;
+        if (hoursBetween.has(key)) {
+            travel = { travelHours: hoursBetween.get(key), distanceKm: null, source: "matrix" };
+        } else if (coordinates.has(normalizeName(from)) && coordinates.has(normalizeName(to))) {
+            const km = distanceKm(coordinates.get(normalizeName(from)), coordinates.get(normalizeName(to))) * ROAD_DISTANCE_FACTOR;
+            travel = { travelHours: roundHours(km / options.averageSpeedKmh), distanceKm: Math.round(km * 10) / 10, source: "coordinates" };
+        } else {
+            travel = { travelHours: options.unknownTravelHours, distanceKm: null, source: "unknown" };
+        }
+
+        const result = { ...travel, packUpHours: options.packUpHours, hours: roundHours(travel.travelHours + options.packUpHours) };
+        cache.set(key, result);
+        return result;
+    }
+
+    // Every company move in a day's scenes, in shooting order
+    function companyMoves(dayScenes) {
+        const moves = [];
+        for (let i = 1; i < dayScenes.length; i++) {
+            const previous = dayScenes[i - 1];
+            const scene = dayScenes[i];
+            if (normalizeName(previous.location_name) === normalizeName(scene.location_name)) continue;
+
+            moves.push({
+                afterScene: previous.scene_number,
+                beforeScene: scene.scene_number,
+                from: previous.location_name,
+                to: scene.location_name,
+                ...moveTime(previous.location_name, scene.location_name),
+            });
+        }
+        return moves;
+    }
+
+    function moveHours(dayScenes) {
+        return roundHours(companyMoves(dayScenes).reduce((total, move) => total + move.hours, 0));
+    }
+
+    return {
+        // As given, minus the defaults - what a saved schedule keeps to be scored again later
+        settings: { locations, matrix, ...numbers },
+        moveTime,
+        companyMoves,
+        moveHours,
+    };
+}
+
+// Adds companyMoves and moveHours to every day of a { day, scenes, totalTime } schedule, as is without travel
+export function addCompanyMoves(schedule, travel) {
+    if (!travel) return schedule;
+
+    return schedule.map(day => {
+        const companyMoves = travel.companyMoves(day.scenes);
+        return { ...day, companyMoves, moveHours: roundHours(companyMoves.reduce((total, move) => total + move.hours, 0)) };
+    });
+}
@@ -0,0 +1,241 @@
+import { daysBetween } from "./calendar.js";
+
+// Call and wrap times, and the rest between them
+// Every shooting day gets a planned crew call and wrap: day work starts at crewCall, a day with night scenes is
+// called late enough for them to start at nightfall (sunset with daylight settings, see daylight.js). The gap
+// between one day's wrap and the next call is the turnaround. Given as JSON:
+// {
+//   "crewCall": "07:00",              // usual crew call
+//   "nightStart": "19:30",            // when night scenes can start, without daylight settings
+//   "crewTurnaroundHours": 11,        // wrap to next call, whole crew
+//   "castTurnaroundHours": 12,        // a cast member's wrap to their next call
+//   "castPrepHours": 1,               // cast are called this long before their first scene (hair, make-up, wardrobe), 0 by default
+//   "cast": { "Raisha": 12 }          // cast members with their own turnaround hours
+// }
+// A crew call that comes too soon after the last wrap is pushed back. That is only a breach when it pushes
+// exterior day scenes past nightfall. A cast member called too soon is always a breach - the scheduler avoids
+// both, the cost model counts them as hard constraints
+
+export const DEFAULT_TURNAROUND_SETTINGS = {
+    crewCall: "07:00",
+    nightStart: "19:30",
+    crewTurnaroundHours: 11,
+    castTurnaroundHours: 12,
+    castPrepHours: 0,
+};
+
+const EXTERIOR_TYPES = ["EXT", "INT/EXT", "I/E"];
+const CLOCK_TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function normalizeName(name) {
+    return String(name).trim().toUpperCase();
+}
+
+function parseClock(value, label) {
+    const match = CLOCK_TIME.exec(String(value));
+    if (!match) throw new Error(`turnaround: ${label} must be a time like "07:00"`);
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Minutes from the day's midnight as "HH:MM", "+1" when it runs into the next day
+export function formatClock(minutes) {
+    const rounded = Math.round(minutes);
+    const dayOffset = Math.floor(rounded / 1440);
+    const inDay = rounded - dayOffset * 1440;
+    const clock = `${String(Math.floor(inDay / 60)).padStart(2, "0")}:${String(inDay % 60).padStart(2, "0")}`;
+    return dayOffset === 0 ? clock : `${clock}${dayOffset > 0 ? "+" : ""}${dayOffset}`;
+}
+
+function hours(minutes) {
+    return Math.round((minutes / 60) * 100) / 100;
+}
+
+// null when there are no turnaround settings
+// dayToDate (calendar.js) turns shooting days into dates so weekends count as rest, consecutive days otherwise.
+// daylight (daylight.js) gives nightfall, travel (travel.js) the company moves in between scenes
+export function createTurnaround(settings, { dayToDate = null, daylight = null, travel = null } = {}) {
+    if (settings === null || settings === undefined) return null;
+    if (typeof settings !== "object" || Array.isArray(settings)) {
+        throw new Error("turnaround must be an object of call times and turnaround hours");
+    }
+
+    const { cast = {}, ...rest } = settings;
+    const options = { ...DEFAULT_TURNAROUND_SETTINGS, ...rest };
+    for (const key of Object.keys(rest)) {
+        if (!Object.hasOwn(DEFAULT_TURNAROUND_SETTINGS, key)) throw new Error(`Unknown turnaround setting "${key}"`);
+    }
+    for (const key of ["crewTurnaroundHours", "castTurnaroundHours", "castPrepHours"]) {
+        if (typeof options[key] !== "number" || !(options[key] >= 0 && options[key] < 24)) {
+            throw new Error(`turnaround: ${key} must be a number of hours from 0 to 24`);
+        }
+    }
+    const crewCall = parseClock(options.crewCall, "crewCall");
+    const nightStart = parseClock(options.nightStart, "nightStart");
+
+    if (typeof cast !== "object" || cast === null || Array.isArray(cast)) {
+        throw new Error("turnaround: cast must be an object of character name to turnaround hours");
+    }
+    const castTurnaround = new Map();
+    for (const [name, turnaroundHours] of Object.entries(cast)) {
+        if (typeof turnaroundHours !== "number" || !(turnaroundHours >= 0 && turnaroundHours < 24)) {
+            throw new Error(`turnaround: ${name} needs a number of turnaround hours from 0 to 24`);
+        }
+        castTurnaround.set(normalizeName(name), turnaroundHours);
+    }
+
+    const turnaroundFor = character => castTurnaround.get(normalizeName(character)) ?? options.castTurnaroundHours;
+
+    // Minutes between the midnights of two shooting days
+    function dayGap(fromDay, toDay) {
+        const fromDate = dayToDate ? dayToDate(fromDay) : null;
+        const toDate = dayToDate ? dayToDate(toDay) : null;
+        return (fromDate && toDate ? daysBetween(fromDate, toDate) : toDay - fromDay) * 1440;
+    }
+
+    function nightfall(day, dayScenes) {
+        const sunset = daylight?.windowFor(day, dayScenes)?.sunset;
+        return sunset ? parseClock(sunset, "sunset") : nightStart;
+    }
+
+    // Scenes back to back from the call, with company moves in between
+    function timeline(dayScenes, call) {
+        let clock = call;
+        return dayScenes.map((scene, i) => {
+            const previous = dayScenes[i - 1];
+            if (travel && previous && normalizeName(previous.location_name) !== normalizeName(scene.location_name)) {
+                clock += travel.moveTime(previous.location_name, scene.location_name).hours * 60;
+            }
+            const slot = { scene, start: clock, end: clock + scene.estimatedTime * 60 };
+            clock = slot.end;
+            return slot;
+        });
+    }
+
+    // The plan for one day given the plans of the days before it, scenes in shooting order
+    function planDay(previousPlans, day, dayScenes) {
+        if (dayScenes.length === 0) return { day, call: null, wrap: null, slots: [], cast: [], violations: [] };
+
+        const dusk = nightfall(day, dayScenes);
+
+        // Night scenes start at nightfall, the day is called early enough to get the day scenes done before it
+        const firstNight = dayScenes.findIndex(scene => scene.time_of_day === "NIGHT");
+        const preferredCall = firstNight === -1
+            ? crewCall
+            : Math.max(crewCall, dusk - (timeline(dayScenes, 0)[firstNight]?.start ?? 0));
+
+        const violations = [];
+        let earliestCall = -Infinity;
+        let restBefore = null;
+        const lastWorked = [...previousPlans].reverse().find(plan => plan.call !== null);
+        if (lastWorked) {
+            const wrapFromToday = lastWorked.wrap - dayGap(lastWorked.day, day);
+            earliestCall = wrapFromToday + options.crewTurnaroundHours * 60;
+            restBefore = Math.max(preferredCall, earliestCall) - wrapFromToday;
+        }
+
+        const call = Math.max(preferredCall, earliestCall);
+        const slots = timeline(dayScenes, call);
+        const wrap = slots[slots.length - 1].end;
+
+        const lateExterior = slots.filter(({ scene, end }) => EXTERIOR_TYPES.includes(scene.location_type) && scene.time_of_day === "DAY" && end > dusk);
+        if (call > preferredCall && lateExterior.length > 0) {
+            violations.push({
+                rule: "crewTurnaround",
+                message: `Crew turnaround after day ${lastWorked.day} pushes call to ${formatClock(call)}, EXT DAY scene${lateExterior.length > 1 ? "s" : ""} ${lateExterior.map(slot => slot.scene.scene_number).join(", ")} run past nightfall at ${formatClock(dusk)}`,
+            });
+        }
+
+        // Each cast member from their first scene (less prep time) to the end of their last
+        const castTimes = new Map();
+        slots.forEach(({ scene, start, end }) => {
+            (scene.characters || []).forEach(character => {
+                const key = normalizeName(character);
+                const times = castTimes.get(key) || { name: character, call: start - options.castPrepHours * 60, wrap: end };
+                times.wrap = end;
+                castTimes.set(key, times);
+            });
+        });
+
+        const cast = [...castTimes.entries()].map(([key, times]) => {
+            const lastDay = [...previousPlans].reverse().find(plan => plan.cast.some(member => normalizeName(member.name) === key));
+            const previous = lastDay?.cast.find(member => normalizeName(member.name) === key);
+            const rest = previous ? times.call - (previous.wrapMinutes - dayGap(lastDay.day, day)) : null;
+            const needed = turnaroundFor(times.name) * 60;
+
+            if (rest !== null && rest < needed) {
+                violations.push({
+                    rule: "castTurnaround",
+                    message: `${times.name} gets ${hours(rest)} hours between day ${lastDay.day} and this call, needs ${hours(needed)}`,
+                });
+            }
+            return {
+                name: times.name,
+                call: formatClock(times.call),
+                wrap: formatClock(times.wrap),
+                restBefore: rest === null ? null : hours(rest),
+                wrapMinutes: times.wrap,
+            };
+        });
+
+        return {
+            day,
+            call,
+            wrap,
+            callTime: formatClock(call),
+            wrapTime: formatClock(wrap),
+            nightfall: formatClock(dusk),
+            restBefore: restBefore === null ? null : hours(restBefore),
+            delayedBy: hours(call - preferredCall),
+            slots,
+            cast,
+            violations,
+        };
+    }
+
+    // Plans for every day, days being arrays of scenes in shooting order (days[i] is day i + 1)
+    function planDays(days) {
+        const plans = [];
+        days.forEach((dayScenes, i) => plans.push(planDay(plans, i + 1, dayScenes)));
+        return plans;
+    }
+
+    return {
+        settings: { ...settings },
+        planDay,
+        planDays,
+        // Whether the scene can join the day without a new turnaround breach, ordered puts the day in shooting order
+        canAdd(previousPlans, day, dayScenes, scene, ordered = scenes => scenes) {
+            const before = planDay(previousPlans, day, ordered([...dayScenes])).violations.length;
+            return planDay(previousPlans, day, ordered([...dayScenes, scene])).violations.length <= before;
+        },
+    };
+}
+
+// What a plan from createTurnaround() looks like on a schedule day
+export function describePlan(plan) {
+    if (plan.call === null) return null;
+
+    return {
+        callTime: plan.callTime,
+        wrapTime: plan.wrapTime,
+        nightfall: plan.nightfall,
+        restBefore: plan.restBefore,
+        delayedBy: plan.delayedBy,
+        scenes: plan.slots.map(({ scene, start, end }) => ({ scene_number: scene.scene_number, start: formatClock(start), end: formatClock(end) })),
+        cast: plan.cast.map(({ wrapMinutes, ...member }) => member),
+        violations: plan.violations,
+    };
+}
+
+// Adds the planned call, wrap and cast times to every day of a { day, scenes, totalTime } schedule, as is
+// without turnaround settings
+export function addCallTimes(schedule, turnaround) {
+    if (!turnaround) return schedule;
+
+    const plans = [];
+    return schedule.map(day => {
+        const plan = turnaround.planDay(plans, day.day, day.scenes);
+        plans.push(plan);
+        return { ...day, callTimes: describePlan(plan) };
+    });
+}
@@ -0,0 +1,315 @@
+import { parseModelJSON } from "./sceneSchema.js";
+import { applyManualMoves, isSameScene, normalizeLocks } from "./locks.js";
+
+// Spoken schedule edits
+// A transcript like "move scene 12 to day 3 and make day 5 a ten-hour day" is split into commands by a small
+// fixed grammar, anything it doesn't recognise can go to an LLM. Commands are applied to a copy of a saved
+// schedule so the result can be shown and confirmed before it is saved
+//
+//   move     move scene 12 to day 3 [first | at position 2]
+//   lock     lock scene 7 to day 1 [first | at position 2]
+//   unlock   unlock scene 7
+//   swap     swap scenes 3 and 4 | switch scene 3 with scene 4
+//   dayHours make day 5 a ten-hour day | set day 5 to 10 hours
+//   query    what scenes need the jeep? | which scenes have Raisha
+
+const NUMBER_WORDS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18,
+    nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10,
+};
+const TENS = ["twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+
+// "first" stays a word when it means the first shot of the day, not day 1
+const POSITION_TAIL = "(?: (?:as )?(?:the )?(first|last)(?: shot| scene| strip)?(?: of the day)?| at position (\\d+)| position (\\d+))?";
+const SCENE = "scene (?:number )?(\\d+[a-z]*)";
+
+// Words a command starts with - "and" or "then" before one of them starts the next command
+const COMMAND_START = "(?:please )?(?:move|put|shift|push|lock|pin|unlock|unpin|swap|switch|make|set|what|which)\\b";
+
+const GRAMMAR = [
+    {
+        type: "move",
+        pattern: new RegExp(`^(?:please )?(?:move|put|shift|push) ${SCENE} (?:to|onto|on|into) day (\\d+)${POSITION_TAIL}$`),
+        build: ([, scene, day, firstOrLast, at, position]) => ({ scene_number: sceneNumber(scene), toDay: Number(day), position: positionOf(firstOrLast, at || position) }),
+    },
+    {
+        type: "lock",
+        pattern: new RegExp(`^(?:please )?(?:lock|pin) ${SCENE} (?:to|on|onto|into) day (\\d+)${POSITION_TAIL}$`),
+        build: ([, scene, day, firstOrLast, at, position]) => ({ scene_number: sceneNumber(scene), day: Number(day), position: positionOf(firstOrLast, at || position) }),
+    },
+    {
+        type: "unlock",
+        pattern: new RegExp(`^(?:please )?(?:unlock|unpin) ${SCENE}$`),
+        build: ([, scene]) => ({ scene_number: sceneNumber(scene) }),
+    },
+    {
+        type: "swap",
+        pattern: /^(?:please )?(?:swap|switch) scenes? (?:number )?(\d+[a-z]*) (?:and|with) (?:scene )?(?:number )?(\d+[a-z]*)$/,
+        build: ([, scene, other]) => ({ scene_number: sceneNumber(scene), with: sceneNumber(other) }),
+    },
+    {
+        type: "dayHours",
+        pattern: /^(?:please )?(?:make|set) day (\d+) (?:an? |to |to an? )?(\d+(?:\.\d+)?) hours?(?: day)?(?: long)?$/,
+        build: ([, day, hours]) => ({ day: Number(day), hours: Number(hours) }),
+    },
+    {
+        type: "query",
+        pattern: /^(?:what|which) scenes? (?:do |does )?(?:need|needs|use|uses|have|has|feature|features|include|includes|require|requires|with) (?:the |a |an )?(.+?)$/,
+        build: ([, element]) => ({ element }),
+    },
+];
+
+function sceneNumber(token) {
+    return /^\d+$/.test(token) ? Number(token) : token.toUpperCase();
+}
+
+function positionOf(firstOrLast, position) {
+    if (firstOrLast === "first") return 1;
+    if (firstOrLast === "last") return null;
+    return position ? Number(position) : null;
+}
+
+// Lower case, no punctuation, numbers as digits ("twenty one" -> 21, "ten-hour" -> "10 hour")
+// "first" and "last" are kept as words after a day number, where they mean a position
+export function normalizeTranscript(text) {
+    const words = String(text)
+        .toLowerCase()
+        .replace(/(\d)\.(\d)/g, "$1DECIMAL$2")
+        .replace(/[^a-z0-9\s-]|DECIMAL/gi, match => (match === "DECIMAL" ? "." : " "))
+        .replace(/-/g, " ")
+        .split(/\s+/)
+        .filter(Boolean);
+
+    const result = [];
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+        const keepAsWord = (word === "first" || word === "last") && /^\d+$/.test(result[result.length - 1] || "");
+        if (keepAsWord || !Object.hasOwn(NUMBER_WORDS, word)) {
+            result.push(word);
+            continue;
+        }
+
+        let value = NUMBER_WORDS[word];
+        if (TENS.includes(word) && NUMBER_WORDS[words[i + 1]] > 0 && NUMBER_WORDS[words[i + 1]] < 10) {
+            value += NUMBER_WORDS[words[++i]];
+        }
+        result.push(String(value));
+    }
+
+    // "scene 12 a" is scene 12A
+    return result.join(" ").replace(/\bscene (\d+) ([a-e])\b(?= to| on| onto| into|$)/g, "scene $1$2");
+}
+
+// One spoken sentence can hold several commands: "move scene 3 to day 2 and lock scene 5 to day 1" is split on
+// sentence ends, and on commas, "and" and "then" when a command follows ("swap scenes 3 and 4" stays whole).
+// Returns the normalised pieces
+export function splitTranscript(text) {
+    const nextCommand = new RegExp(`[.;!?](?=\\s|$)|,?\\s+(?:and then|and also|then|and)\\s+(?=${COMMAND_START})|,\\s*(?=${COMMAND_START})`, "i");
+    return String(text)
+        .split(nextCommand)
+        .map(normalizeTranscript)
+        .filter(Boolean);
+}
+
+// The grammar on one normalised piece, null if nothing matched
+export function parseCommand(segment) {
+    for (const rule of GRAMMAR) {
+        const match = segment.match(rule.pattern);
+        if (match) return { type: rule.type, ...rule.build(match), source: "grammar", text: segment };
+    }
+    return null;
+}
+
+// Checks a command from the LLM, returns it in the grammar's shape or null
+export function validateCommand(command) {
+    if (!command || typeof command !== "object") return null;
+
+    const day = value => (Number.isInteger(Number(value)) && Number(value) >= 1 ? Number(value) : null);
+    const scene = command.scene_number === undefined || command.scene_number === null || String(command.scene_number).trim() === ""
+        ? null
+        : sceneNumber(String(command.scene_number).trim().toLowerCase());
+    const position = command.position === undefined || command.position === null ? null : day(command.position);
+
+    switch (command.type) {
+        case "move":
+            return scene !== null && day(command.toDay) ? { type: "move", scene_number: scene, toDay: day(command.toDay), position } : null;
+        case "lock":
+            return scene !== null && day(command.day) ? { type: "lock", scene_number: scene, day: day(command.day), position } : null;
+        case "unlock":
+            return scene !== null ? { type: "unlock", scene_number: scene } : null;
+        case "swap": {
+            const other = command.with === undefined || command.with === null || String(command.with).trim() === ""
+                ? null
+                : sceneNumber(String(command.with).trim().toLowerCase());
+            return scene !== null && other !== null ? { type: "swap", scene_number: scene, with: other } : null;
+        }
+        case "dayHours":
+            return day(command.day) && Number(command.hours) > 0 && Number(command.hours) <= 24
+                ? { type: "dayHours", day: day(command.day), hours: Number(command.hours) }
+                : null;
+        case "query":
+            return typeof command.element === "string" && command.element.trim() ? { type: "query", element: command.element.trim().toLowerCase() } : null;
+        default:
+            return null;
+    }
+}
+
+export function buildCommandPrompt(segment) {
+    return `You turn spoken requests from a film Assistant Director into schedule edit commands.
+
+      The request: "${segment}"
+
+      Allowed commands:
+        { "type": "move", "scene_number": "12", "toDay": 3, "position": null }     position 1 is the first shot of the day
+        { "type": "lock", "scene_number": "7", "day": 1, "position": null }
+        { "type": "unlock", "scene_number": "7" }
+        { "type": "swap", "scene_number": "3", "with": "4" }                       the two scenes trade places
+        { "type": "dayHours", "day": 5, "hours": 10 }                               a day with its own length
+        { "type": "query", "element": "jeep" }                                     which scenes need a prop, vehicle, character...
+
+      Return a single JSON object {"commands": [...]} with the commands the request asks for, or {"commands": []}
+      if it asks for none of them. Return ONLY the raw JSON object. No explanation, no markdown, no backticks.`;
+}
+
+// Splits and parses a transcript. Pieces the grammar doesn't know go to llm (a provider from getLLMProvider())
+// when there is one. Returns the commands in spoken order and the pieces nothing could make sense of
+export async function parseTranscript(text, llm = null) {
+    const commands = [];
+    const unparsed = [];
+
+    for (const segment of splitTranscript(text)) {
+        const command = parseCommand(segment);
+        if (command) {
+            commands.push(command);
+            continue;
+        }
+        if (!llm) {
+            unparsed.push({ text: segment, reason: "Not a command the grammar knows" });
+            continue;
+        }
+
+        try {
+            const parsed = parseModelJSON(await llm.complete({ prompt: buildCommandPrompt(segment) }));
+            const fromModel = (parsed?.commands || []).map(validateCommand).filter(Boolean);
+            if (fromModel.length === 0) {
+                unparsed.push({ text: segment, reason: "The model found no command in it" });
+            }
+            commands.push(...fromModel.map(command => ({ ...command, source: "llm", text: segment })));
+        } catch (err) {
+            unparsed.push({ text: segment, reason: `LLM call failed: ${err.message}` });
+        }
+    }
+
+    return { commands, unparsed };
+}
+
+// Scenes whose breakdown mentions the element - characters, props, vehicles, wardrobe, effects, extras, location
+const SEARCHED_FIELDS = ["characters", "props", "vehicles", "wardrobe", "set_dressing", "sfx", "vfx", "stunts", "extras"];
+
+function answerQuery(schedule, element) {
+    const needle = element.toLowerCase();
+    const matches = [];
+
+    schedule.forEach(day => day.scenes.forEach(scene => {
+        const fields = SEARCHED_FIELDS.filter(field => (scene[field] || []).some(item => String(item).toLowerCase().includes(needle)));
+        if (String(scene.location_name || "").toLowerCase().includes(needle)) fields.push("location_name");
+        if (fields.length > 0) {
+            matches.push({ scene_number: scene.scene_number, scene_heading: scene.scene_heading, day: day.day, fields });
+        }
+    }));
+
+    return { element, scenes: matches };
+}
+
+// Applies commands to a copy of a saved schedule ({ schedule, locks, dayHours }), in order
+// A command that can't be applied (unknown scene...) is reported and skipped, the others still go through
+// Returns the edited schedule, locks and dayHours, what changed, and the answers to queries
+export function applyCommands(saved, commands) {
+    let schedule = saved.schedule.map(day => ({ ...day, scenes: [...day.scenes] }));
+    let locks = [...(saved.locks || [])];
+    const dayHours = { ...(saved.dayHours || {}) };
+
+    const moves = [];
+    const lockChanges = [];
+    const dayHoursChanges = [];
+    const answers = [];
+    const errors = [];
+
+    const removeLock = sceneNumber => {
+        const existing = locks.find(lock => String(lock.scene_number).toUpperCase() === String(sceneNumber).toUpperCase());
+        locks = locks.filter(lock => lock !== existing);
+        return existing || null;
+    };
+
+    for (const command of commands) {
+        try {
+            if (command.type === "move" || command.type === "lock") {
+                const toDay = command.type === "move" ? command.toDay : command.day;
+                const onSchedule = schedule.some(day => day.scenes.some(scene => isSameScene(scene, command.scene_number)));
+                if (!onSchedule) throw new Error(`Scene ${command.scene_number} is not in the schedule`);
+
+                const moved = applyManualMoves(schedule, [{ scene_number: command.scene_number, toDay, position: command.position }]);
+                schedule = moved.schedule;
+                moves.push(...moved.moves.filter(move => move.fromDay !== move.toDay || command.position !== null));
+
+                // A scene moved away from its lock loses it, a lock command puts a new one on
+                const previous = removeLock(command.scene_number);
+                if (command.type === "lock") {
+                    const lock = { scene_number: moved.moves[0].scene_number, day: toDay, position: command.position };
+                    locks.push(lock);
+                    lockChanges.push({ ...lock, action: "locked", previous });
+                } else if (previous) {
+                    lockChanges.push({ ...previous, action: "unlocked" });
+                }
+            } else if (command.type === "swap") {
+                const placeOf = sceneNumber => {
+                    const day = schedule.find(d => d.scenes.some(scene => isSameScene(scene, sceneNumber)));
+                    if (!day) throw new Error(`Scene ${sceneNumber} is not in the schedule`);
+                    const index = day.scenes.findIndex(scene => isSameScene(scene, sceneNumber));
+                    return { day: day.day, index, scene: day.scenes[index] };
+                };
+                const first = placeOf(command.scene_number);
+                const second = placeOf(command.with);
+                if (first.scene === second.scene) throw new Error(`Scene ${command.scene_number} can't swap with itself`);
+
+                schedule = schedule.map(day => {
+                    const scenes = day.scenes.map(scene => (scene === first.scene ? second.scene : scene === second.scene ? first.scene : scene));
+                    return { ...day, scenes, totalTime: scenes.reduce((total, scene) => total + scene.estimatedTime, 0) };
+                });
+                moves.push(
+                    { scene_number: first.scene.scene_number, fromDay: first.day, toDay: second.day, position: second.index + 1 },
+                    { scene_number: second.scene.scene_number, fromDay: second.day, toDay: first.day, position: first.index + 1 },
+                );
+
+                // Like a move, both scenes lose their locks
+                [first, second].forEach(({ scene }) => {
+                    const previous = removeLock(scene.scene_number);
+                    if (previous) lockChanges.push({ ...previous, action: "unlocked" });
+                });
+            } else if (command.type === "unlock") {
+                const previous = removeLock(command.scene_number);
+                if (!previous) throw new Error(`Scene ${command.scene_number} is not locked`);
+                lockChanges.push({ ...previous, action: "unlocked" });
+            } else if (command.type === "dayHours") {
+                dayHoursChanges.push({ day: command.day, from: dayHours[command.day] ?? null, to: command.hours });
+                dayHours[command.day] = command.hours;
+            } else if (command.type === "query") {
+                answers.push(answerQuery(schedule, command.element));
+            }
+        } catch (err) {
+            errors.push({ command, error: err.message });
+        }
+    }
+
+    return {
+        schedule,
+        locks: normalizeLocks(locks),
+        dayHours,
+        changes: { moves, locks: lockChanges, dayHours: dayHoursChanges },
+        answers,
+        errors,
+        changed: moves.length + lockChanges.length + dayHoursChanges.length > 0,
+    };
+}